@@ -0,0 +1,98 @@
+"use strict";
+
+/**
+ * Compares the trie word store with the plain object that Typo used before:
+ * retained memory and lookup time for every word form of en_US.
+ *
+ * Usage: node --expose-gc benchmark/store.js [locale]
+ */
+
+var Typo = require("../typo");
+var WordTrie = require("../lib/trie");
+
+if (typeof global.gc !== "function") {
+  console.error("Run with node --expose-gc to measure memory.");
+  process.exit(2);
+}
+
+var locale = process.argv[2] || "en_US";
+var dictionary = new Typo(locale);
+var words = dictionary.dictionaryTable.words();
+var misses = words.map(function(word) {
+  return word + "q";
+});
+
+// Checked words come fresh from a tokenizer, without a cached hash.
+function fresh(word) {
+  return (" " + word).slice(1);
+}
+
+function heapUsed() {
+  global.gc();
+  global.gc();
+
+  return process.memoryUsage().heapUsed;
+}
+
+function measure(name, build, lookup) {
+  var before = heapUsed();
+  var store = build();
+  var retained = heapUsed() - before;
+  var found = 0;
+  var start = process.hrtime.bigint();
+
+  for (var round = 0; round < 5; round++) {
+    for (var i = 0, len = words.length; i < len; i++) {
+      found += lookup(store, fresh(words[i])) ? 1 : 0;
+      found += lookup(store, fresh(misses[i])) ? 1 : 0;
+    }
+  }
+
+  var elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+  var lookups = words.length * 2 * 5;
+
+  console.log(name + ": " + (retained / 1048576).toFixed(1) + " MB retained, " +
+    (elapsed * 1e6 / lookups).toFixed(0) + " ns per lookup (" + found + " hits)");
+
+  return store;
+}
+
+console.log(locale + ": " + words.length + " word forms, " + dictionary.dictionaryTable.nodeCount + " trie nodes");
+
+var entries = [];
+
+dictionary.dictionaryTable.forEach(function(word, wordEntries) {
+  entries.push([ word, wordEntries ]);
+});
+
+dictionary = null;
+
+measure("plain object", function() {
+  var table = {};
+
+  entries.forEach(function(entry) {
+    table[entry[0]] = entry[1].map(function(rules) {
+      return rules.slice();
+    });
+  });
+
+  return table;
+}, function(table, word) {
+  return table[word] !== undefined;
+});
+
+measure("trie", function() {
+  var trie = new WordTrie();
+
+  entries.forEach(function(entry) {
+    trie.set(entry[0], entry[1].map(function(rules) {
+      return rules.slice();
+    }));
+  });
+
+  trie.compact();
+
+  return trie;
+}, function(trie, word) {
+  return trie.get(word) !== undefined;
+});
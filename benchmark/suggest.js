@@ -0,0 +1,113 @@
+"use strict";
+
+/**
+ * Compares Typo#suggest() with the Norvig-style suggester it replaced, which
+ * generated every string within two edits of the misspelling and ran check()
+ * on each one. The number of check() calls of each is printed too: suggest()
+ * only checks the candidates it found.
+ *
+ * Usage: node benchmark/suggest.js [word ...]
+ */
+
+var Typo = require("../typo");
+
+var dictionary = new Typo("en_US");
+var words = process.argv.slice(2);
+
+if (words.length === 0) {
+  words = [ "mispeling", "teh", "wrold", "recieve", "definately", "thier", "seperate", "enviroment", "22th" ];
+}
+
+/**
+ * The previous suggester, without its replacement table step.
+ */
+
+function legacySuggest(word, limit) {
+  var alphabet = "abcdefghijklmnopqrstuvwxyz";
+
+  function edits1(candidates) {
+    var rv = [];
+
+    candidates.forEach(function(candidate) {
+      for (var i = 0; i <= candidate.length; i++) {
+        var head = candidate.substring(0, i);
+        var tail = candidate.substring(i);
+
+        if (tail) {
+          rv.push(head + tail.substring(1));
+        }
+
+        if (tail.length > 1) {
+          rv.push(head + tail[1] + tail[0] + tail.substring(2));
+        }
+
+        if (tail) {
+          for (var j = 0; j < alphabet.length; j++) {
+            rv.push(head + alphabet[j] + tail.substring(1));
+            rv.push(head + alphabet[j] + tail);
+          }
+        }
+      }
+    });
+
+    return rv;
+  }
+
+  var ed1 = edits1([ word ]);
+  var corrections = ed1.concat(edits1(ed1)).filter(function(candidate) {
+    return dictionary.check(candidate);
+  });
+  var weights = {};
+
+  corrections.forEach(function(correction) {
+    weights[correction] = (weights[correction] || 0) + 1;
+  });
+
+  return Object.keys(weights).sort(function(a, b) {
+    return weights[b] - weights[a];
+  }).slice(0, limit);
+}
+
+var checks = 0;
+var check = dictionary.check;
+
+dictionary.check = function(word) {
+  checks++;
+
+  return check.call(this, word);
+};
+
+function time(fn) {
+  checks = 0;
+
+  var start = process.hrtime.bigint();
+  var result = fn();
+
+  return { ms: Number(process.hrtime.bigint() - start) / 1e6, result: result, checks: checks };
+}
+
+var totals = { legacy: 0, current: 0 };
+
+// Warm up the JIT so that the first word is not penalized.
+legacySuggest("warmup", 5);
+dictionary.suggest("warmup", 5);
+
+words.forEach(function(word) {
+  var legacy = time(function() {
+    return legacySuggest(word, 5);
+  });
+  var current = time(function() {
+    return dictionary.suggest(word, 5);
+  });
+
+  totals.legacy += legacy.ms;
+  totals.current += current.ms;
+
+  console.log(word + ": " + legacy.ms.toFixed(0) + " ms -> " + current.ms.toFixed(1) + " ms, " +
+    legacy.checks + " -> " + current.checks + " check() calls");
+  console.log("  before: " + legacy.result.join(", "));
+  console.log("  now:    " + current.result.join(", "));
+});
+
+console.log("total: " + totals.legacy.toFixed(0) + " ms -> " + totals.current.toFixed(0) + " ms (" +
+  (totals.legacy / totals.current).toFixed(0) + "x faster)");
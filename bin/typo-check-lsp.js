@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+"use strict";
+
+var lsp = require("../lib/lsp");
+
+// Editors usually pass --stdio, the only transport of the server.
+lsp.start(process.stdin, process.stdout, {
+  onExit: function(status) {
+    process.exit(status);
+  }
+});
@@ -0,0 +1,130 @@
+"use strict";
+
+/**
+ * The capitalization of words. Typo#check() accepts a dictionary word written
+ * in ALLCAPS, or with a capital first letter, so suggestions are given the
+ * capitalization of the misspelling they replace: "TEH" -> "THE", "Teh" -> "The".
+ *
+ * Characters are taken whole, astral ones included ("𝐀"), and conversions
+ * follow a locale when one is given: "i" is "İ" in Turkish.
+ */
+
+/**
+ * Returns the first character of a word, which may be two UTF-16 code units long.
+ */
+
+function firstCharacter(word) {
+  var code = word.charCodeAt(0);
+
+  return code >= 0xd800 && code <= 0xdbff && word.length > 1 ? word.substring(0, 2) : word.substring(0, 1);
+}
+
+/**
+ * Returns the lowercase form of a word.
+ *
+ * @param {String} word
+ * @param {String} [locale] A language such as "tr"; the default conversions otherwise.
+ * @returns {String}
+ */
+
+function lowerCase(word, locale) {
+  return locale ? word.toLocaleLowerCase(locale) : word.toLowerCase();
+}
+
+/**
+ * Returns the uppercase form of a word ("straße" -> "STRASSE").
+ *
+ * @param {String} word
+ * @param {String} [locale]
+ * @returns {String}
+ */
+
+function upperCase(word, locale) {
+  return locale ? word.toLocaleUpperCase(locale) : word.toUpperCase();
+}
+
+/**
+ * Tells whether a word is in ALLCAPS: at least two characters, with capitals
+ * and no lowercase letters.
+ *
+ * @param {String} word
+ * @param {String} [locale]
+ * @returns {Boolean}
+ */
+
+function isAllCaps(word, locale) {
+  return word.length > firstCharacter(word).length && upperCase(word, locale) === word && lowerCase(word, locale) !== word;
+}
+
+/**
+ * Tells whether a word starts with a capital letter.
+ *
+ * @param {String} word
+ * @param {String} [locale]
+ * @returns {Boolean}
+ */
+
+function startsWithCapital(word, locale) {
+  var first = firstCharacter(word);
+
+  return first !== "" && first !== lowerCase(first, locale);
+}
+
+/**
+ * Returns a word with a capital first letter, the others unchanged.
+ *
+ * @param {String} word
+ * @param {String} [locale]
+ * @returns {String}
+ */
+
+function capitalize(word, locale) {
+  var first = firstCharacter(word);
+
+  return upperCase(first, locale) + word.substring(first.length);
+}
+
+/**
+ * Returns a word with a capital first letter and the others in lowercase,
+ * e.g. the capitalized form of an ALLCAPS word.
+ *
+ * @param {String} word
+ * @param {String} [locale]
+ * @returns {String}
+ */
+
+function titleCase(word, locale) {
+  var first = firstCharacter(word);
+
+  return upperCase(first, locale) + lowerCase(word.substring(first.length), locale);
+}
+
+/**
+ * Gives a word the capitalization of another one: ALLCAPS, or a capital first
+ * letter. The capitals of the word itself ("Paris", "iPod") stay otherwise.
+ *
+ * @param {String} pattern The word whose capitalization is followed, e.g. a misspelling.
+ * @param {String} word The word to recase, e.g. a suggestion.
+ * @param {String} [locale]
+ * @returns {String}
+ */
+
+function matchCase(pattern, word, locale) {
+  if (isAllCaps(pattern, locale)) {
+    return upperCase(word, locale);
+  } else if (startsWithCapital(pattern, locale)) {
+    return capitalize(word, locale);
+  }
+
+  return word;
+}
+
+module.exports = {
+  lowerCase: lowerCase,
+  upperCase: upperCase,
+  isAllCaps: isAllCaps,
+  startsWithCapital: startsWithCapital,
+  capitalize: capitalize,
+  titleCase: titleCase,
+  matchCase: matchCase
+};
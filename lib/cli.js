@@ -0,0 +1,706 @@
+"use strict";
+
+/**
+ * The typo-check command.
+ */
+
+var fs = require("fs");
+var Typo = require("../typo");
+var files = require("./files");
+var autofix = require("./fix");
+var projectConfig = require("./config");
+var reporters = require("./reporters");
+var pkg = require("../package.json");
+
+var USAGE = [
+  "Usage: typo-check [options] [file | directory | glob ...]",
+  "",
+  "Checks the spelling of files, or of standard input when no file is given (or \"-\").",
+  "Exits with status 1 when misspellings are found, 2 on errors.",
+  "",
+  "With --validate, checks the .aff and .dic files of the dictionaries instead, and",
+  "exits with status 1 when they have errors.",
+  "",
+  "Options:",
+  "  -d, --dictionary <locales>  dictionary to use (default: en_US); a comma-separated",
+  "                              list stacks several, e.g. en_US,tech_terms",
+  "      --dictionary-path <dir> folder holding <locale>/<locale>.aff and .dic (the",
+  "                              bundled dictionaries are used for the others)",
+  "  -w, --words <file>          personal word list to accept (also read: ~/.typo-words",
+  "                              and the .typo-words next to .typocheckrc, or in the",
+  "                              current directory without one)",
+  "  -m, --mode <mode>           auto (default, by file extension), text, code,",
+  "                              markdown or html",
+  "  -l, --list                  print only the misspelled words, one per line",
+  "  -f, --format <format>       text (default), json, sarif or checkstyle",
+  "  -n, --limit <number>        maximum number of suggestions per word (default: 5)",
+  "  -c, --config <file>         configuration file (default: the closest .typocheckrc)",
+  "      --fix                   correct in place the misspellings that have an",
+  "                              unambiguous suggestion, and report the others",
+  "      --dry-run               with --fix, print the corrections as a diff instead",
+  "  -i, --interactive           ask how to correct each misspelling",
+  "      --diff <file>           check only the lines that a unified diff adds (\"-\"",
+  "                              for standard input)",
+  "      --diff-base <ref>       check only the lines added since a git revision, as",
+  "                              \"git diff <ref>\" shows them",
+  "      --validate              report the errors and warnings of the dictionary files",
+  "  -h, --help                  show this help",
+  "  -v, --version               show the version",
+  ""
+].join("\n");
+
+/**
+ * The options of the command, by long name. Options taking a value name it in "value".
+ */
+
+var OPTIONS = {
+  dictionary: { alias: "d", value: "locale" },
+  "dictionary-path": { value: "dir" },
+  words: { alias: "w", value: "file" },
+  mode: { alias: "m", value: "mode" },
+  list: { alias: "l" },
+  format: { alias: "f", value: "format" },
+  limit: { alias: "n", value: "number" },
+  config: { alias: "c", value: "file" },
+  fix: {},
+  "dry-run": {},
+  interactive: { alias: "i" },
+  diff: { value: "file" },
+  "diff-base": { value: "ref" },
+  validate: {},
+  help: { alias: "h" },
+  version: { alias: "v" }
+};
+
+/**
+ * Parses the command-line arguments.
+ *
+ * @param {String[]} argv The arguments, without the node and script paths.
+ * @returns {Object} { options, args }; throws an Error on unknown options.
+ */
+
+function parseArgs(argv) {
+  var options = {};
+  var args = [];
+  var aliases = {};
+
+  Object.keys(OPTIONS).forEach(function(name) {
+    if (OPTIONS[name].alias) {
+      aliases[OPTIONS[name].alias] = name;
+    }
+  });
+
+  for (var i = 0, len = argv.length; i < len; i++) {
+    var arg = argv[i];
+    var name = null;
+    var value = null;
+
+    if (arg === "--") {
+      args = args.concat(argv.slice(i + 1));
+      break;
+    } else if (/^--[^-]/.test(arg)) {
+      var equals = arg.indexOf("=");
+
+      name = arg.substring(2, equals === -1 ? arg.length : equals);
+      value = equals === -1 ? null : arg.substring(equals + 1);
+    } else if (/^-[^-]$/.test(arg)) {
+      name = aliases[arg[1]] || arg;
+    } else {
+      args.push(arg);
+      continue;
+    }
+
+    if (!(name in OPTIONS)) {
+      throw new Error("unknown option " + arg);
+    }
+
+    if (OPTIONS[name].value) {
+      if (value === null) {
+        if (i + 1 >= len) {
+          throw new Error("option --" + name + " needs a <" + OPTIONS[name].value + "> value");
+        }
+
+        value = argv[++i];
+      }
+
+      options[name] = value;
+    } else {
+      options[name] = true;
+    }
+  }
+
+  return { options: options, args: args };
+}
+
+function readStream(stream) {
+  return new Promise(function(resolve, reject) {
+    var chunks = [];
+
+    stream.on("data", function(chunk) {
+      chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+    });
+    stream.on("end", function() {
+      resolve(Buffer.concat(chunks).toString("utf8"));
+    });
+    stream.on("error", reject);
+  });
+}
+
+/**
+ * Checks a stream of plain text as it arrives; see Typo#createCheckStream().
+ *
+ * @returns {Promise} Resolves to the misspellings.
+ */
+
+function checkStream(dictionary, stream, options) {
+  return new Promise(function(resolve, reject) {
+    var misspellings = [];
+    var checker = dictionary.createCheckStream(options);
+
+    stream.on("error", reject);
+    checker.on("error", reject);
+    checker.on("data", function(misspelling) {
+      misspellings.push(misspelling);
+    });
+    checker.on("end", function() {
+      resolve(misspellings);
+    });
+
+    stream.pipe(checker);
+  });
+}
+
+/**
+ * Runs "git diff" against a revision, in the current directory.
+ *
+ * @param {String} ref The revision, e.g. "origin/main".
+ * @returns {Promise} Resolves to the diff.
+ */
+
+function gitDiff(ref) {
+  var childProcess = require("child_process");
+
+  if (/^-/.test(ref)) {
+    return Promise.reject(new Error("bad revision \"" + ref + "\""));
+  }
+
+  return new Promise(function(resolve, reject) {
+    var args = [ "diff", "--no-color", "--no-ext-diff", "--relative", ref, "--" ];
+
+    childProcess.execFile("git", args, { maxBuffer: 1024 * 1024 * 1024 }, function(error, stdout, stderr) {
+      if (error) {
+        reject(new Error("git diff " + ref + " failed: " + (String(stderr).trim() || error.message)));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+/**
+ * Reads the answers to the questions of --interactive, one per line.
+ *
+ * @param {Object} io { stdin, stdout }
+ * @returns {Object} { ask, close }; ask(question) resolves to the answer, or
+ *                   to null at the end of the input.
+ */
+
+function createPrompt(io) {
+  var readline = require("readline");
+  var lines = readline.createInterface({ input: io.stdin });
+  var answers = [];
+  var waiting = null;
+  var closed = false;
+
+  lines.on("line", function(line) {
+    if (waiting) {
+      var resolve = waiting;
+
+      waiting = null;
+      resolve(line.trim());
+    } else {
+      answers.push(line.trim());
+    }
+  });
+
+  lines.on("close", function() {
+    closed = true;
+
+    if (waiting) {
+      waiting(null);
+    }
+  });
+
+  return {
+    ask: function(question) {
+      io.stdout.write(question);
+
+      if (answers.length > 0) {
+        return Promise.resolve(answers.shift());
+      }
+
+      return closed ? Promise.resolve(null) : new Promise(function(resolve) {
+        waiting = resolve;
+      });
+    },
+
+    close: function() {
+      lines.close();
+    }
+  };
+}
+
+/**
+ * Asks how to correct each misspelling of a file: with one of its suggestions,
+ * with one of them everywhere ("a" and its number), not at all ("s"), or to
+ * stop ("q"). The answers for the whole run are kept in state.
+ *
+ * @returns {Promise} Resolves to { text, fixes, misspellings }, as Typo#fixText().
+ */
+
+function promptFixes(dictionary, prompt, file, text, checkOptions, state) {
+  var lines = text.split("\n");
+  var fixes = [];
+  var misspellings = [];
+
+  function fix(misspelling, replacement) {
+    fixes.push({
+      word: misspelling.word,
+      replacement: autofix.matchApostrophes(misspelling.word, replacement),
+      start: misspelling.start,
+      end: misspelling.end,
+      line: misspelling.line,
+      column: misspelling.column
+    });
+  }
+
+  function ask(misspelling) {
+    var suggestions = misspelling.suggestions;
+    var choices = suggestions.map(function(suggestion, i) {
+      return (i + 1) + ") " + suggestion;
+    }).join("  ");
+    var question = "\n" + file + ":" + misspelling.line + ":" + misspelling.column + " " + misspelling.word + "\n" +
+      "    " + lines[misspelling.line - 1].trim() + "\n" +
+      (choices ? "  " + choices + "\n" : "") +
+      "  " + (suggestions.length > 0 ? "[1-" + suggestions.length + "] replace, a[1-" + suggestions.length + "] replace all, " : "") +
+      "[s]kip, [q]uit? ";
+
+    return prompt.ask(question).then(function(answer) {
+      var choice = /^(a?)([0-9]*)$/.exec(answer === null ? "q" : answer);
+
+      if (answer === null || answer === "q") {
+        state.quit = true;
+        misspellings.push(misspelling);
+      } else if (answer === "s") {
+        misspellings.push(misspelling);
+      } else if (choice && (choice[1] || choice[2]) && suggestions[(parseInt(choice[2], 10) || 1) - 1]) {
+        var replacement = suggestions[(parseInt(choice[2], 10) || 1) - 1];
+
+        if (choice[1]) {
+          state.replaceAll[misspelling.word] = replacement;
+        }
+
+        fix(misspelling, replacement);
+      } else {
+        return ask(misspelling);
+      }
+    });
+  }
+
+  return dictionary.checkText(text, checkOptions).reduce(function(previous, misspelling) {
+    return previous.then(function() {
+      if (state.quit) {
+        misspellings.push(misspelling);
+      } else if ({}.hasOwnProperty.call(state.replaceAll, misspelling.word)) {
+        fix(misspelling, state.replaceAll[misspelling.word]);
+      } else {
+        return ask(misspelling);
+      }
+    });
+  }, Promise.resolve()).then(function() {
+    return { text: autofix.applyFixes(text, fixes), fixes: fixes, misspellings: misspellings };
+  });
+}
+
+/**
+ * Corrects files, in place or as a diff; see --fix, --dry-run and --interactive.
+ *
+ * @param {Typo|Composite} dictionary
+ * @param {String[]} fixedFiles
+ * @param {Object} options { checkOptions(file), dryRun, interactive }
+ * @param {Object} io
+ * @returns {Promise} Resolves to { results, diff, fixed }: the misspellings
+ *                    left, per file, the diff of the corrections and their number.
+ */
+
+function fixFiles(dictionary, fixedFiles, options, io) {
+  var prompt = options.interactive ? createPrompt(io) : null;
+  var state = { replaceAll: {}, quit: false };
+  var results = [];
+  var diff = "";
+  var fixed = 0;
+
+  return fixedFiles.reduce(function(previous, file) {
+    return previous.then(function() {
+      var buffer = fs.readFileSync(file);
+
+      if (files.isBinary(buffer)) {
+        return null;
+      }
+
+      var text = buffer.toString("utf8");
+      var checkOptions = options.checkOptions(file);
+      var fixing = prompt ?
+        promptFixes(dictionary, prompt, file, text, checkOptions, state) :
+        Promise.resolve(dictionary.fixText(text, checkOptions));
+
+      return fixing.then(function(result) {
+        results.push({ file: file, misspellings: result.misspellings });
+
+        if (result.fixes.length > 0) {
+          fixed += result.fixes.length;
+
+          if (options.dryRun) {
+            diff += autofix.unifiedDiff(file, text, result.text);
+          } else {
+            fs.writeFileSync(file, result.text);
+          }
+        }
+      });
+    });
+  }, Promise.resolve()).then(function() {
+    if (prompt) {
+      prompt.close();
+    }
+
+    return { results: results, diff: diff, fixed: fixed };
+  });
+}
+
+/**
+ * Validates the files of dictionaries; see Typo.validate().
+ *
+ * @param {String[]} dictionaries The locale codes.
+ * @param {Object} settings Constructor settings (dictionaryPath).
+ * @param {String} format "text" or "json".
+ * @returns {Promise} Resolves to { output, status }.
+ */
+
+function validateDictionaries(dictionaries, settings, format) {
+  return Promise.all(dictionaries.map(function(dictionary) {
+    return Typo.readDictionaryFilesAsync(dictionary, settings).then(function(files) {
+      var paths = Typo.resolveDictionaryPaths(dictionary, settings);
+
+      return Typo.validate(dictionary, files.affData, files.wordsData).map(function(diagnostic) {
+        return {
+          file: diagnostic.file === "aff" ? paths.affPath : paths.dicPath,
+          line: diagnostic.line,
+          severity: diagnostic.severity,
+          message: diagnostic.message
+        };
+      });
+    });
+  })).then(function(lists) {
+    var diagnostics = Array.prototype.concat.apply([], lists);
+    var output = format === "json" ? JSON.stringify(diagnostics, null, 2) + "\n" : diagnostics.map(function(diagnostic) {
+      return diagnostic.file + ":" + diagnostic.line + ": " + diagnostic.severity + ": " + diagnostic.message + "\n";
+    }).join("");
+
+    return {
+      output: output,
+      status: diagnostics.some(function(diagnostic) {
+        return diagnostic.severity === "error";
+      }) ? 1 : 0
+    };
+  });
+}
+
+/**
+ * Runs the command.
+ *
+ * @param {String[]} argv The arguments, without the node and script paths.
+ * @param {Object} io The streams to use, as { stdin, stdout, stderr }.
+ * @returns {Promise} Resolves to the exit status.
+ */
+
+function run(argv, io) {
+  var parsed;
+
+  function fail(message) {
+    io.stderr.write("typo-check: " + message + "\n");
+    return 2;
+  }
+
+  try {
+    parsed = parseArgs(argv);
+  } catch (e) {
+    return Promise.resolve(fail(e.message + "\n\n" + USAGE));
+  }
+
+  var options = parsed.options;
+
+  if (options.help) {
+    io.stdout.write(USAGE);
+    return Promise.resolve(0);
+  }
+
+  if (options.version) {
+    io.stdout.write(pkg.version + "\n");
+    return Promise.resolve(0);
+  }
+
+  var format = options.list ? "list" : (options.format || "text");
+  var config = null;
+
+  try {
+    var configFile = options.config || projectConfig.findConfig(".");
+
+    if (configFile) {
+      config = projectConfig.loadConfig(configFile);
+    }
+  } catch (e) {
+    return Promise.resolve(fail(e.message));
+  }
+
+  // Command-line options win over the configuration.
+  var dictionaries = options.dictionary ? options.dictionary.split(",") : (config && config.dictionaries) || [ "en_US" ];
+  var settings = { dictionaryPath: options["dictionary-path"] || (config && config.dictionaryPath) };
+
+  function fileOptions(file) {
+    return config ? projectConfig.fileOptions(config, file) : {};
+  }
+
+  if (options.validate) {
+    if (format !== "text" && format !== "json") {
+      return Promise.resolve(fail("--validate supports the text and json formats only"));
+    }
+
+    return validateDictionaries(dictionaries, settings, format).then(function(result) {
+      io.stdout.write(result.output);
+
+      return result.status;
+    }).catch(function(e) {
+      return fail(e.message);
+    });
+  }
+
+  if (!{}.hasOwnProperty.call(reporters, format)) {
+    return Promise.resolve(fail("unknown format \"" + format + "\""));
+  }
+
+  var limit = options.limit ? parseInt(options.limit, 10) : (config && config.limit) || 5;
+
+  if (!(limit > 0)) {
+    return Promise.resolve(fail("--limit must be a positive number"));
+  }
+
+  var fixing = options.fix || options.interactive;
+
+  if (options["dry-run"] && !fixing) {
+    return Promise.resolve(fail("--dry-run goes with --fix or --interactive"));
+  }
+
+  if (fixing && (parsed.args.length === 0 || parsed.args.indexOf("-") !== -1)) {
+    return Promise.resolve(fail("--fix and --interactive correct files, not standard input"));
+  }
+
+  var diffMode = Boolean(options.diff || options["diff-base"]);
+
+  if (options.diff && options["diff-base"]) {
+    return Promise.resolve(fail("--diff and --diff-base cannot be combined"));
+  }
+
+  if (diffMode && (fixing || parsed.args.length > 0)) {
+    return Promise.resolve(fail("--diff and --diff-base check the changed files, and take no files nor --fix"));
+  }
+
+  if (parsed.args.length === 0 && io.stdin.isTTY && !diffMode) {
+    return Promise.resolve(fail("no input given\n\n" + USAGE));
+  }
+
+  var inputs = parsed.args.length > 0 ? parsed.args : [ "-" ];
+  var readStdin = inputs.indexOf("-") !== -1;
+  var collected = files.collectFiles(inputs.filter(function(arg) {
+    return arg !== "-";
+  }));
+
+  if (collected.missing.length > 0) {
+    return Promise.resolve(fail("no such file or pattern: " + collected.missing.join(", ")));
+  }
+
+  var checkedFiles = collected.files.filter(function(file) {
+    return !config || !projectConfig.isIgnored(config, file);
+  });
+
+  // The project word list sits next to the configuration, wherever the command runs.
+  var loading = projectConfig.loadDictionaries(config, {
+    dictionaries: dictionaries,
+    dictionaryPath: settings.dictionaryPath,
+    words: options.words,
+    directory: config ? config.directory : "."
+  });
+
+  return loading.then(function(dictionary) {
+    var results = [];
+    var suggesting = format !== "list";
+    var indexing = null;
+
+    function checkOptions(file) {
+      var configured = fileOptions(file === "<stdin>" ? null : file);
+
+      return {
+        mode: options.mode || configured.mode || "auto",
+        fileName: file,
+        limit: limit,
+        suggest: suggesting,
+        ignoreWords: configured.ignoreWords,
+        ignorePatterns: configured.ignorePatterns
+      };
+    }
+
+    function checkOnly(file) {
+      return Object.assign(checkOptions(file), { suggest: false });
+    }
+
+    function check(file, text) {
+      var misspellings = dictionary.checkText(text, checkOnly(file));
+
+      // Suggestions need the words indexed by sound: index them in a worker
+      // thread while the other files are checked, and add the suggestions last.
+      if (suggesting && misspellings.length > 0 && !indexing) {
+        indexing = dictionary.buildPhoneticIndexAsync().catch(function() {});
+      }
+
+      results.push({ file: file, misspellings: misspellings });
+    }
+
+    function addSuggestions(checked) {
+      if (!suggesting) {
+        return Promise.resolve(checked);
+      }
+
+      return (indexing || Promise.resolve()).then(function() {
+        var suggestionCache = {};
+
+        checked.forEach(function(result) {
+          result.misspellings.forEach(function(misspelling) {
+            var word = misspelling.word;
+
+            if (!{}.hasOwnProperty.call(suggestionCache, word)) {
+              suggestionCache[word] = dictionary.suggest(word.replace(/’/g, "'"), limit);
+            }
+
+            misspelling.suggestions = suggestionCache[word].slice();
+          });
+        });
+
+        return checked;
+      });
+    }
+
+    if (diffMode) {
+      var reading = options["diff-base"] ? gitDiff(options["diff-base"]) :
+        options.diff === "-" ? readStream(io.stdin) : Promise.resolve().then(function() {
+          try {
+            return fs.readFileSync(options.diff, "utf8");
+          } catch (e) {
+            throw new Error(e.code === "ENOENT" ? "no such file: " + options.diff : e.message);
+          }
+        });
+
+      return reading.then(function(diff) {
+        return addSuggestions(dictionary.checkDiff(diff, {
+          fileOptions: checkOnly,
+          readFile: function(file) {
+            try {
+              var buffer = fs.readFileSync(file);
+
+              return files.isBinary(buffer) ? null : buffer.toString("utf8");
+            } catch (e) {
+              return null;
+            }
+          }
+        }).filter(function(result) {
+          return !config || !projectConfig.isIgnored(config, result.file);
+        }));
+      }).then(function(changed) {
+        io.stdout.write(reporters[format](changed));
+
+        return changed.some(function(result) {
+          return result.misspellings.length > 0;
+        }) ? 1 : 0;
+      });
+    }
+
+    if (fixing) {
+      return fixFiles(dictionary, checkedFiles, {
+        checkOptions: checkOptions,
+        dryRun: options["dry-run"],
+        interactive: options.interactive
+      }, io).then(function(result) {
+        var left = result.results.some(function(fileResult) {
+          return fileResult.misspellings.length > 0;
+        });
+
+        // The diff goes alone to the standard output, so that it can be piped to
+        // "git apply"; with --interactive, on the line after the last question.
+        if (options["dry-run"]) {
+          io.stdout.write((options.interactive && result.diff ? "\n" : "") + result.diff);
+        } else if (!options.interactive) {
+          io.stdout.write(reporters[format](result.results));
+        }
+
+        io.stderr.write("typo-check: " + (options["dry-run"] ? "would correct " : "corrected ") + result.fixed +
+          (result.fixed === 1 ? " misspelling" : " misspellings") + "\n");
+
+        return left ? 1 : 0;
+      });
+    }
+
+    checkedFiles.forEach(function(file) {
+      var buffer = fs.readFileSync(file);
+
+      if (!files.isBinary(buffer)) {
+        check(file, buffer.toString("utf8"));
+      }
+    });
+
+    var configured = fileOptions(null);
+    var stdinMode = options.mode || configured.mode || "auto";
+    var stdinChecked = Promise.resolve();
+
+    // Plain text is checked as it arrives, so that large inputs are not held in memory.
+    if (readStdin && (stdinMode === "text" || stdinMode === "auto")) {
+      stdinChecked = checkStream(dictionary, io.stdin, {
+        limit: limit,
+        suggest: false,
+        ignoreWords: configured.ignoreWords,
+        ignorePatterns: configured.ignorePatterns
+      }).then(function(misspellings) {
+        results.push({ file: "<stdin>", misspellings: misspellings });
+      });
+    } else if (readStdin) {
+      stdinChecked = readStream(io.stdin).then(function(text) {
+        check("<stdin>", text);
+      });
+    }
+
+    return stdinChecked.then(function() {
+      return addSuggestions(results);
+    }).then(function() {
+      io.stdout.write(reporters[format](results));
+
+      return results.some(function(result) {
+        return result.misspellings.length > 0;
+      }) ? 1 : 0;
+    });
+  }).catch(function(e) {
+    return fail(e.message);
+  });
+}
+
+module.exports = {
+  USAGE: USAGE,
+  parseArgs: parseArgs,
+  run: run
+};
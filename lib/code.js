@@ -0,0 +1,396 @@
+"use strict";
+
+/**
+ * Source-code mode: finds the words in the comments, string literals and
+ * identifiers of a program, and splits identifiers such as "parseRuleCodes",
+ * "XMLHttpRequest" or "MAX_WORD_LENGTH" into their sub-words.
+ */
+
+var tokenizer = require("./tokenize");
+
+var JS_KEYWORDS = [
+  "async", "await", "break", "case", "catch", "class", "const", "continue", "debugger", "default",
+  "delete", "do", "else", "enum", "export", "extends", "false", "finally", "for", "from", "function",
+  "get", "if", "implements", "import", "in", "instanceof", "interface", "let", "new", "null", "of",
+  "package", "private", "protected", "public", "return", "set", "static", "super", "switch", "this",
+  "throw", "true", "try", "typeof", "undefined", "var", "void", "while", "with", "yield"
+];
+
+var TS_KEYWORDS = JS_KEYWORDS.concat([
+  "abstract", "any", "as", "asserts", "bigint", "boolean", "declare", "infer", "is", "keyof",
+  "module", "namespace", "never", "number", "object", "readonly", "string", "symbol", "type",
+  "unique", "unknown"
+]);
+
+var C_KEYWORDS = [
+  "auto", "bool", "break", "case", "char", "class", "const", "constexpr", "continue", "default",
+  "delete", "do", "double", "else", "enum", "extern", "false", "final", "float", "for", "func",
+  "goto", "if", "impl", "import", "inline", "int", "interface", "long", "namespace", "new",
+  "nullptr", "package", "private", "protected", "public", "register", "return", "short",
+  "signed", "sizeof", "static", "struct", "switch", "template", "this", "throw", "true", "try",
+  "typedef", "typename", "union", "unsigned", "using", "var", "virtual", "void", "volatile", "while"
+];
+
+var SCRIPT_KEYWORDS = [
+  "and", "as", "assert", "async", "await", "begin", "break", "case", "class", "continue", "def",
+  "del", "do", "done", "elif", "else", "elsif", "end", "esac", "except", "export", "fi", "finally",
+  "for", "from", "function", "global", "if", "import", "in", "is", "lambda", "local", "module",
+  "next", "nil", "none", "nonlocal", "not", "or", "pass", "raise", "return", "self", "then",
+  "true", "false", "try", "unless", "until", "while", "with", "yield"
+];
+
+/**
+ * The languages known to the extractor. Strings are listed longest delimiter first.
+ */
+
+var LANGUAGES = {
+  javascript: {
+    extensions: [ "js", "mjs", "cjs", "jsx" ],
+    lineComments: [ "//" ],
+    blockComments: [ [ "/*", "*/" ] ],
+    strings: [ "\"", "'" ],
+    templates: true,
+    regexLiterals: true,
+    keywords: JS_KEYWORDS
+  },
+  typescript: {
+    extensions: [ "ts", "mts", "cts", "tsx" ],
+    lineComments: [ "//" ],
+    blockComments: [ [ "/*", "*/" ] ],
+    strings: [ "\"", "'" ],
+    templates: true,
+    regexLiterals: true,
+    keywords: TS_KEYWORDS
+  },
+  c: {
+    extensions: [ "c", "h", "cc", "cpp", "cxx", "hpp", "cs", "java", "go", "kt", "kts", "scala", "swift", "dart" ],
+    lineComments: [ "//" ],
+    blockComments: [ [ "/*", "*/" ] ],
+    strings: [ "\"", "'" ],
+    keywords: C_KEYWORDS
+  },
+  rust: {
+    extensions: [ "rs" ],
+    lineComments: [ "//" ],
+    blockComments: [ [ "/*", "*/" ] ],
+    // Single quotes also start lifetimes ('a), so only double-quoted strings are read.
+    strings: [ "\"" ],
+    keywords: C_KEYWORDS.concat([ "fn", "let", "match", "mod", "mut", "pub", "crate", "dyn", "loop", "ref", "trait", "where" ])
+  },
+  python: {
+    extensions: [ "py", "pyi" ],
+    lineComments: [ "#" ],
+    blockComments: [],
+    strings: [ "\"\"\"", "'''", "\"", "'" ],
+    keywords: SCRIPT_KEYWORDS
+  },
+  ruby: {
+    extensions: [ "rb" ],
+    lineComments: [ "#" ],
+    blockComments: [ [ "=begin", "=end" ] ],
+    strings: [ "\"", "'" ],
+    keywords: SCRIPT_KEYWORDS
+  },
+  shell: {
+    extensions: [ "sh", "bash", "zsh", "yml", "yaml", "toml" ],
+    lineComments: [ "#" ],
+    blockComments: [],
+    strings: [ "\"", "'" ],
+    keywords: SCRIPT_KEYWORDS
+  },
+  css: {
+    extensions: [ "css", "scss", "less" ],
+    lineComments: [],
+    blockComments: [ [ "/*", "*/" ] ],
+    strings: [ "\"", "'" ],
+    keywords: []
+  }
+};
+
+/**
+ * Characters after which a "/" starts a regular expression literal rather than a division.
+ */
+
+var REGEX_PRECEDERS = "(,=:[!&|?{};+-*%<>~^";
+var REGEX_KEYWORDS = [ "return", "typeof", "case", "do", "else", "in", "instanceof", "new", "throw", "void", "yield", "await" ];
+
+/**
+ * Returns the language of a file, going by its extension.
+ *
+ * @param {String} fileName
+ * @returns {String|null} The language name, or null if it is not a known source file.
+ */
+
+function detectLanguage(fileName) {
+  var extension = String(fileName).replace(/^.*\./, "").toLowerCase();
+
+  for (var name in LANGUAGES) {
+    if (LANGUAGES[name].extensions.indexOf(extension) !== -1) {
+      return name;
+    }
+  }
+
+  return null;
+}
+
+function startsWithAny(source, index, delimiters) {
+  for (var i = 0, len = delimiters.length; i < len; i++) {
+    if (source.startsWith(delimiters[i], index)) {
+      return delimiters[i];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds the comments, string literals and identifiers of a program.
+ *
+ * @param {String} source The program.
+ * @param {String} [language="javascript"] One of the keys of LANGUAGES.
+ * @returns {Object[]} The segments, as { kind, start, end } with kind one of
+ *                     "comment", "string" or "identifier".
+ */
+
+function extract(source, language) {
+  var definition = LANGUAGES[language || "javascript"];
+
+  if (!definition) {
+    throw new Error("Typo: unknown source language \"" + language + "\"");
+  }
+
+  var blockOpeners = definition.blockComments.map(function(pair) {
+    return pair[0];
+  });
+  var segments = [];
+  var len = source.length;
+  var i = 0;
+  // The last significant character or word, to tell regex literals from divisions.
+  var previous = "";
+  // Brace depths at which template literals resume, for `${...}` substitutions.
+  var templateStack = [];
+  var braceDepth = 0;
+
+  function push(kind, start, end) {
+    if (end > start) {
+      segments.push({ kind: kind, start: start, end: end });
+    }
+  }
+
+  function readTemplate() {
+    // i is just past the backtick or the closing brace of a substitution.
+    var start = i;
+
+    while (i < len) {
+      if (source[i] === "\\") {
+        i += 2;
+      } else if (source[i] === "`") {
+        push("string", start, i);
+        i++;
+        previous = "`";
+        return;
+      } else if (source[i] === "$" && source[i + 1] === "{") {
+        push("string", start, i);
+        i += 2;
+        templateStack.push(braceDepth);
+        braceDepth++;
+        previous = "{";
+        return;
+      } else {
+        i++;
+      }
+    }
+
+    push("string", start, len);
+  }
+
+  while (i < len) {
+    var character = source[i];
+    var delimiter;
+
+    if ((delimiter = startsWithAny(source, i, definition.lineComments))) {
+      var lineEnd = source.indexOf("\n", i);
+
+      lineEnd = lineEnd === -1 ? len : lineEnd;
+      push("comment", i + delimiter.length, lineEnd);
+      i = lineEnd;
+    } else if ((delimiter = startsWithAny(source, i, blockOpeners))) {
+      var closer = definition.blockComments[blockOpeners.indexOf(delimiter)][1];
+      var blockEnd = source.indexOf(closer, i + delimiter.length);
+
+      blockEnd = blockEnd === -1 ? len : blockEnd;
+      push("comment", i + delimiter.length, blockEnd);
+      i = Math.min(len, blockEnd + closer.length);
+    } else if ((delimiter = startsWithAny(source, i, definition.strings))) {
+      var contentStart = i + delimiter.length;
+      var j = contentStart;
+
+      while (j < len && !source.startsWith(delimiter, j)) {
+        if (source[j] === "\\") {
+          j++;
+        } else if (source[j] === "\n" && delimiter.length === 1) {
+          // Unterminated string.
+          break;
+        }
+
+        j++;
+      }
+
+      push("string", contentStart, Math.min(j, len));
+      i = Math.min(len, j + (source.startsWith(delimiter, j) ? delimiter.length : 0));
+      previous = "\"";
+    } else if (character === "`" && definition.templates) {
+      i++;
+      readTemplate();
+    } else if (character === "/" && definition.regexLiterals &&
+               (previous === "" || REGEX_PRECEDERS.indexOf(previous) !== -1 || REGEX_KEYWORDS.indexOf(previous) !== -1)) {
+      // Skip a regular expression literal, including its flags.
+      var inClass = false;
+
+      i++;
+
+      while (i < len && source[i] !== "\n" && (inClass || source[i] !== "/")) {
+        if (source[i] === "\\") {
+          i++;
+        } else if (source[i] === "[") {
+          inClass = true;
+        } else if (source[i] === "]") {
+          inClass = false;
+        }
+
+        i++;
+      }
+
+      i++;
+
+      while (i < len && /\w/.test(source[i])) {
+        i++;
+      }
+
+      previous = "/regex/";
+    } else if (/[\p{L}_$]/u.test(character)) {
+      var identifierStart = i;
+
+      while (i < len && /[\p{L}\p{M}\p{N}_$]/u.test(source[i])) {
+        i++;
+      }
+
+      var identifier = source.substring(identifierStart, i);
+
+      if (definition.keywords.indexOf(identifier) === -1) {
+        push("identifier", identifierStart, i);
+      }
+
+      previous = identifier;
+    } else {
+      if (character === "{") {
+        braceDepth++;
+      } else if (character === "}") {
+        braceDepth--;
+
+        if (templateStack.length > 0 && templateStack[templateStack.length - 1] === braceDepth) {
+          templateStack.pop();
+          i++;
+          readTemplate();
+          continue;
+        }
+      }
+
+      if (!/\s/.test(character)) {
+        previous = /[\p{N}\)\]]/u.test(character) ? "0" : character;
+      }
+
+      i++;
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Splits a word at case changes and digits: "parseAFF" gives "parse" and "AFF",
+ * "XMLHttpRequest" gives "XML", "Http" and "Request".
+ *
+ * @param {Object} token A token, as { word, start, end }.
+ * @returns {Object[]} The sub-words, as { word, start, end }; digits are dropped.
+ */
+
+function splitIdentifier(token) {
+  var expression = /\p{Lu}+(?=\p{Lu}\p{Ll})|\p{Lu}?[\p{Ll}\p{M}'’]+|\p{Lu}[\p{Lu}\p{M}]*|[\p{Lo}\p{M}]+/gu;
+  var parts = [];
+  var match;
+
+  while ((match = expression.exec(token.word)) !== null) {
+    parts.push({
+      word: match[0],
+      start: token.start + match.index,
+      end: token.start + match.index + match[0].length
+    });
+  }
+
+  return parts;
+}
+
+/**
+ * Finds the words of a program that should be spellchecked.
+ *
+ * @param {String} source The program.
+ * @param {String} [wordChars=""] The WORDCHARS of the dictionary.
+ * @param {Object} [options] Available properties are:
+ *                           {String} [language]: one of the keys of LANGUAGES; otherwise
+ *                             detected from fileName, falling back to "javascript".
+ *                           {String} [fileName]: the name of the file being checked.
+ *                           {Boolean} [identifiers=true]: whether to check identifiers.
+ *                           {Number} [minWordLength=3]: shorter sub-words are skipped.
+ * @returns {Object[]} The words, as { word, start, end } in source offsets.
+ */
+
+function tokenize(source, wordChars, options) {
+  options = options || {};
+
+  var language = options.language || (options.fileName && detectLanguage(options.fileName)) || "javascript";
+  var minWordLength = "minWordLength" in options ? options.minWordLength : 3;
+  var tokens = [];
+
+  // Sub-words are letters only, so digits are no longer word characters.
+  wordChars = (wordChars || "").replace(/\p{N}/gu, "");
+
+  extract(source, language).forEach(function(segment) {
+    if (segment.kind === "identifier" && options.identifiers === false) {
+      return;
+    }
+
+    var text = source.substring(segment.start, segment.end);
+
+    if (segment.kind === "string") {
+      // Blank out escape sequences so that "a\nb" does not read as "a" and "nb".
+      text = text.replace(/\\(?:u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[\s\S])/g, function(escape) {
+        return " ".repeat(escape.length);
+      });
+    }
+
+    if (segment.kind === "identifier") {
+      text = text.replace(/[_$\p{N}]/gu, " ");
+    }
+
+    tokenizer.tokenize(text, wordChars).forEach(function(token) {
+      var shifted = { word: token.word, start: segment.start + token.start, end: segment.start + token.end };
+
+      splitIdentifier(shifted).forEach(function(part) {
+        if (part.word.length >= minWordLength) {
+          tokens.push(part);
+        }
+      });
+    });
+  });
+
+  return tokens;
+}
+
+module.exports = {
+  LANGUAGES: LANGUAGES,
+  detectLanguage: detectLanguage,
+  extract: extract,
+  splitIdentifier: splitIdentifier,
+  tokenize: tokenize
+};
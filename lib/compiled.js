@@ -0,0 +1,342 @@
+"use strict";
+
+/**
+ * The precompiled dictionary format of Typo#serialize() and Typo.fromCompiled().
+ *
+ * A compiled dictionary is text. Its first line is a JSON header holding every
+ * property of the Typo instance except the word trie, with regular
+ * expressions stored as { "$regexp": source, "flags": flags }. The second
+ * line is the JSON list of the distinct rule code lists of the words, each
+ * stored once. The third line is the base64 of the trie's nodes (see
+ * lib/trie.js) in depth-first order, each as:
+ *
+ *     <varint UTF-16 code unit> <byte of NODE_* bits> [<varint index in the list>]
+ *
+ * the index being there for nodes that end a word. Loading rebuilds the node
+ * arrays in one pass, with no parsing of words at all.
+ *
+ * Version 2 files, which held the node arrays themselves as four base64 lines
+ * and the rule code lists of every word, are still read:
+ *
+ *     chars (Uint16), firstChild (Int32), nextSibling (Int32), valueIndex (Int32)
+ *
+ * So are version 1 files, which listed the words front-coded instead:
+ *
+ *     <length of prefix shared with previous word> TAB <rest of word> [TAB <JSON rule code lists>]
+ */
+
+var WordTrie = require("./trie");
+
+var FORMAT = "typo-compiled";
+var VERSION = 3;
+
+var NODE_ARRAYS = [ "chars", "firstChild", "nextSibling", "valueIndex" ];
+
+/**
+ * The bits of a node in a version 3 file.
+ */
+
+var NODE_HAS_CHILD = 1;
+var NODE_HAS_SIBLING = 2;
+var NODE_ENDS_WORD = 4;
+
+/**
+ * Properties that are not part of a compiled dictionary.
+ */
+
+var SKIPPED_PROPERTIES = [ "dictionaryTable", "ignoredWords", "alphabet", "phoneticIndex", "phoneticEncoder", "phoneticIndexing", "pool" ];
+
+function replacer(key, value) {
+  if (value instanceof RegExp) {
+    return { "$regexp": value.source, "flags": value.flags };
+  }
+
+  return value;
+}
+
+function reviver(key, value) {
+  if (value && typeof value === "object" && typeof value.$regexp === "string") {
+    return new RegExp(value.$regexp, value.flags);
+  }
+
+  return value;
+}
+
+/**
+ * Returns the properties of a Typo instance that a compiled dictionary keeps:
+ * all but the word trie and the per-session and cached data.
+ *
+ * @param {Typo} typo
+ * @returns {Object}
+ */
+
+function properties(typo) {
+  var rv = {};
+
+  for (var key in typo) {
+    if ({}.hasOwnProperty.call(typo, key) && SKIPPED_PROPERTIES.indexOf(key) === -1) {
+      rv[key] = typo[key];
+    }
+  }
+
+  return rv;
+}
+
+/**
+ * Appends the varint (7 bits per byte, least significant first) of a number to a byte list.
+ */
+
+function pushVarint(bytes, number) {
+  while (number >= 0x80) {
+    bytes.push((number & 0x7f) | 0x80);
+    number >>>= 7;
+  }
+
+  bytes.push(number);
+}
+
+/**
+ * Encodes the nodes of a trie in depth-first order, with the list of the
+ * distinct rule code lists they point to.
+ */
+
+function encodeNodes(trie) {
+  var bytes = [];
+  var table = [];
+  var tableIndexes = {};
+  var count = 0;
+
+  function visit(node, hasSibling) {
+    count++;
+
+    var entries = trie.nodeEntries(node);
+    var firstChild = trie.firstChild[node];
+
+    pushVarint(bytes, trie.chars[node]);
+    bytes.push((firstChild !== 0 ? NODE_HAS_CHILD : 0) | (hasSibling ? NODE_HAS_SIBLING : 0) |
+      (entries !== undefined ? NODE_ENDS_WORD : 0));
+
+    if (entries !== undefined) {
+      var key = JSON.stringify(entries);
+
+      if (!{}.hasOwnProperty.call(tableIndexes, key)) {
+        tableIndexes[key] = table.length;
+        table.push(entries);
+      }
+
+      pushVarint(bytes, tableIndexes[key]);
+    }
+
+    for (var child = firstChild; child !== 0; child = trie.nextSibling[child]) {
+      visit(child, trie.nextSibling[child] !== 0);
+    }
+  }
+
+  visit(0, false);
+
+  return { table: table, bytes: Buffer.from(bytes), count: count };
+}
+
+/**
+ * Encodes the state of a Typo instance.
+ *
+ * @param {Typo} typo
+ * @returns {String} The compiled dictionary.
+ */
+
+function encode(typo) {
+  var trie = typo.dictionaryTable;
+  var nodes = encodeNodes(trie);
+  var header = {
+    format: FORMAT,
+    version: VERSION,
+    properties: properties(typo),
+    trie: { nodeCount: nodes.count, size: trie.size }
+  };
+
+  return [ JSON.stringify(header, replacer), JSON.stringify(nodes.table), nodes.bytes.toString("base64") ].join("\n");
+}
+
+/**
+ * Restores a trie from the node line of a version 3 file.
+ */
+
+function decodeNodes(description, lines) {
+  var trie = new WordTrie(description.nodeCount + 1);
+  // Parsed without the reviver of the header, which is slow on large inputs.
+  var table = JSON.parse(lines[0]);
+  var bytes = Buffer.from(lines[1] || "", "base64");
+  var position = 0;
+  // The nodes whose next sibling is yet to come, innermost last.
+  var waiting = [];
+  var parent = -1;
+
+  function readByte() {
+    if (position >= bytes.length) {
+      throw new Error("Typo: truncated compiled dictionary");
+    }
+
+    return bytes[position++];
+  }
+
+  function readVarint() {
+    var number = 0;
+    var shift = 0;
+    var byte;
+
+    do {
+      byte = readByte();
+      number += (byte & 0x7f) * Math.pow(2, shift);
+      shift += 7;
+    } while (byte & 0x80);
+
+    return number;
+  }
+
+  for (var node = 0; node < description.nodeCount; node++) {
+    var code = readVarint();
+    var bits = readByte();
+
+    trie.chars[node] = code;
+
+    if (node > 0) {
+      if (parent !== -1) {
+        trie.firstChild[parent] = node;
+      } else {
+        trie.nextSibling[waiting.pop()] = node;
+      }
+    }
+
+    if (bits & NODE_ENDS_WORD) {
+      trie.storeEntries(node, table[readVarint()]);
+    }
+
+    if (bits & NODE_HAS_SIBLING) {
+      waiting.push(node);
+    }
+
+    parent = bits & NODE_HAS_CHILD ? node : -1;
+  }
+
+  trie.nodeCount = description.nodeCount;
+  trie.size = description.size;
+
+  return trie;
+}
+
+/**
+ * Restores a trie from the node array lines of a version 2 file.
+ */
+
+function decodeNodeArrays(description, lines) {
+  var trie = new WordTrie(1);
+
+  NODE_ARRAYS.forEach(function(name, i) {
+    var bytes = Buffer.from(lines[i + 1] || "", "base64");
+    var Type = trie[name].constructor;
+
+    if (bytes.length !== description.nodeCount * Type.BYTES_PER_ELEMENT) {
+      throw new Error("Typo: truncated compiled dictionary");
+    }
+
+    // Copy into a fresh, aligned buffer.
+    trie[name] = new Type(new Uint8Array(bytes).buffer);
+  });
+
+  trie.nodeCount = description.nodeCount;
+  trie.size = description.size;
+  // Parsed without the reviver of the header, which is slow on large inputs.
+  trie.values = JSON.parse(lines[0]);
+
+  return trie;
+}
+
+/**
+ * Restores a trie from the front-coded word list of a version 1 file.
+ */
+
+function decodeWordList(data, position) {
+  var trie = new WordTrie();
+  // Rule code lists repeat a lot; the inner lists are shared between words.
+  var parsedEntries = {};
+  var previous = "";
+  var len = data.length;
+
+  while (position < len) {
+    var lineEnd = data.indexOf("\n", position);
+
+    if (lineEnd === -1) {
+      lineEnd = len;
+    }
+
+    var firstTab = data.indexOf("\t", position);
+    var secondTab = data.indexOf("\t", firstTab + 1);
+    var wordEnd = secondTab === -1 || secondTab > lineEnd ? lineEnd : secondTab;
+    var shared = +data.substring(position, firstTab);
+    var word = previous.substring(0, shared) + data.substring(firstTab + 1, wordEnd);
+
+    if (wordEnd === lineEnd) {
+      trie.add(word, []);
+    } else {
+      var entries = data.substring(wordEnd + 1, lineEnd);
+
+      if (!{}.hasOwnProperty.call(parsedEntries, entries)) {
+        parsedEntries[entries] = JSON.parse(entries);
+      }
+
+      trie.set(word, parsedEntries[entries]);
+    }
+
+    previous = word;
+    position = lineEnd + 1;
+  }
+
+  trie.compact();
+
+  return trie;
+}
+
+/**
+ * Decodes a compiled dictionary.
+ *
+ * @param {String} data The compiled dictionary.
+ * @returns {Object} The properties of the Typo instance, dictionaryTable included.
+ */
+
+function decode(data) {
+  var headerEnd = data.indexOf("\n");
+  var header;
+
+  try {
+    header = JSON.parse(headerEnd === -1 ? data : data.substring(0, headerEnd), reviver);
+  } catch (e) {
+    header = null;
+  }
+
+  if (!header || header.format !== FORMAT) {
+    throw new Error("Typo: not a compiled dictionary");
+  }
+
+  var properties = header.properties;
+  var body = headerEnd === -1 ? data.length : headerEnd + 1;
+
+  if (header.version === 1) {
+    properties.dictionaryTable = decodeWordList(data, body);
+  } else if (header.version === 2) {
+    properties.dictionaryTable = decodeNodeArrays(header.trie, data.substring(body).split("\n"));
+  } else if (header.version === VERSION) {
+    properties.dictionaryTable = decodeNodes(header.trie, data.substring(body).split("\n"));
+  } else {
+    throw new Error("Typo: unsupported compiled dictionary version " + header.version + " (expected " + VERSION + ")");
+  }
+
+  return properties;
+}
+
+module.exports = {
+  FORMAT: FORMAT,
+  VERSION: VERSION,
+  properties: properties,
+  encode: encode,
+  decode: decode
+};
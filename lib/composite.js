@@ -0,0 +1,220 @@
+"use strict";
+
+/**
+ * A checker stacking several Typo instances, e.g. en_US plus a dictionary of
+ * technical terms plus a company glossary. A word is correct when any layer
+ * accepts it. Each layer keeps its own affix rules and flags (KEEPCASE,
+ * NOSUGGEST...), and suggestions are merged across layers by score.
+ */
+
+var Typo = require("../typo");
+
+/**
+ * Composite constructor.
+ *
+ * @param {Typo[]} layers The dictionaries, base dictionary first. Words added
+ *                        through addWord() go to the last layer.
+ * @returns {Composite}
+ */
+
+function Composite(layers) {
+  if (!layers || layers.length === 0) {
+    throw new Error("Typo: a composite checker needs at least one dictionary");
+  }
+
+  this.layers = layers.slice();
+  this.ignoredWords = {};
+
+  // The tokenizer splits words on the characters that no layer accepts.
+  var wordChars = "";
+
+  for (var i = 0, len = this.layers.length; i < len; i++) {
+    var layerChars = this.layers[i].flags.WORDCHARS || "";
+
+    for (var j = 0, charsLen = layerChars.length; j < charsLen; j++) {
+      if (wordChars.indexOf(layerChars[j]) === -1) {
+        wordChars += layerChars[j];
+      }
+    }
+  }
+
+  this.flags = wordChars ? { WORDCHARS: wordChars } : {};
+
+  return this;
+}
+
+/**
+ * Creates a composite checker from locale codes, loading each dictionary from disk.
+ *
+ * @param {String[]} dictionaries The locale codes, base dictionary first.
+ * @param {Object} [settings] Constructor settings, shared by every layer.
+ * @returns {Promise} Resolves to the Composite.
+ */
+
+Composite.fromDictionariesAsync = function(dictionaries, settings) {
+  return Promise.all(dictionaries.map(function(dictionary) {
+    return Typo.fromDictionaryAsync(dictionary, settings);
+  })).then(function(layers) {
+    return new Composite(layers);
+  });
+};
+
+Composite.prototype = {
+  /**
+   * Checks whether any layer accepts a word.
+   *
+   * @param {String} aWord The word to check.
+   * @returns {Boolean}
+   */
+
+  check: function(aWord) {
+    if ({}.hasOwnProperty.call(this.ignoredWords, this.foldCase(aWord))) {
+      return true;
+    }
+
+    for (var i = 0, len = this.layers.length; i < len; i++) {
+      if (this.layers[i].check(aWord)) {
+        return true;
+      }
+    }
+
+    return false;
+  },
+
+  /**
+   * Returns the suggestions of every layer, merged by score and de-duplicated.
+   *
+   * @param {String} word The misspelling.
+   * @param {Number} [limit=5] The maximum number of suggestions to return.
+   * @returns {String[]} The array of suggestions.
+   */
+
+  suggest: function(word, limit) {
+    return this.suggestDetailed(word, limit).map(function(suggestion) {
+      return suggestion.word;
+    });
+  },
+
+  /**
+   * Same as suggest(), with the details of Typo#suggestDetailed(). When several
+   * layers suggest a word, its best score is kept.
+   *
+   * @param {String} word The misspelling.
+   * @param {Number} [limit=5] The maximum number of suggestions to return.
+   * @returns {Object[]} The suggestions, best first.
+   */
+
+  suggestDetailed: function(word, limit) {
+    if (!limit) {
+      limit = 5;
+    }
+
+    if (this.check(word)) {
+      return [];
+    }
+
+    var ignoredWords = this.ignoredWords;
+    var merged = [];
+    var taken = {};
+
+    this.layers.forEach(function(layer, layerIndex) {
+      layer.suggestDetailed(word, limit).forEach(function(suggestion, rank) {
+        merged.push({ suggestion: suggestion, layer: layerIndex, rank: rank });
+      });
+    });
+
+    // Best score first; on equal scores, take the best suggestion of each
+    // layer, then the second best, and so on.
+    merged.sort(function(a, b) {
+      return (b.suggestion.score - a.suggestion.score) || (a.rank - b.rank) || (a.layer - b.layer);
+    });
+
+    var rv = [];
+
+    for (var i = 0, len = merged.length; i < len && rv.length < limit; i++) {
+      var suggestion = merged[i].suggestion;
+      var lowercase = suggestion.word.toLowerCase();
+
+      if (!{}.hasOwnProperty.call(taken, lowercase) && !{}.hasOwnProperty.call(ignoredWords, lowercase)) {
+        taken[lowercase] = true;
+        rv.push(suggestion);
+      }
+    }
+
+    return rv;
+  },
+
+  /**
+   * Indexes every layer by sound. See Typo#buildPhoneticIndex().
+   */
+
+  buildPhoneticIndex: function() {
+    for (var i = 0, len = this.layers.length; i < len; i++) {
+      this.layers[i].buildPhoneticIndex();
+    }
+
+    return this;
+  },
+
+  /**
+   * Indexes every layer by sound in worker threads. See Typo#buildPhoneticIndexAsync().
+   *
+   * @returns {Promise} Resolves to the composite checker.
+   */
+
+  buildPhoneticIndexAsync: function() {
+    var self = this;
+
+    return Promise.all(this.layers.map(function(layer) {
+      return layer.buildPhoneticIndexAsync();
+    })).then(function() {
+      return self;
+    });
+  },
+
+  /**
+   * Adds a word to the last layer. See Typo#addWord().
+   */
+
+  addWord: function(word, flags) {
+    this.layers[this.layers.length - 1].addWord(word, flags);
+
+    return this;
+  },
+
+  /**
+   * Removes a word from every layer. See Typo#removeWord().
+   */
+
+  removeWord: function(word) {
+    var removed = false;
+
+    for (var i = 0, len = this.layers.length; i < len; i++) {
+      removed = this.layers[i].removeWord(word) || removed;
+    }
+
+    return removed;
+  },
+
+  /**
+   * Returns the form under which ignoreWord() keeps a word, following the base layer.
+   *
+   * @param {String} word
+   * @returns {String}
+   */
+
+  foldCase: function(word) {
+    return this.layers[0].foldCase(word);
+  },
+
+  ignoreWord: Typo.prototype.ignoreWord,
+  addWords: Typo.prototype.addWords,
+  addWordsFromFile: Typo.prototype.addWordsFromFile,
+  checkText: Typo.prototype.checkText,
+  checkCode: Typo.prototype.checkCode,
+  fixText: Typo.prototype.fixText,
+  checkDiff: Typo.prototype.checkDiff,
+  createCheckStream: Typo.prototype.createCheckStream
+};
+
+module.exports = Composite;
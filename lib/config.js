@@ -0,0 +1,274 @@
+"use strict";
+
+/**
+ * The project configuration of the typo-check command: a .typocheckrc JSON
+ * file, looked up from the current directory upwards.
+ *
+ *     {
+ *       "dictionaries": [ "en_US", "tech_terms" ],
+ *       "dictionaryPath": "dictionaries",
+ *       "words": [ ".typo-words" ],
+ *       "ignoreWords": [ "webpack" ],
+ *       "ignorePaths": [ "dist/**", "*.min.js" ],
+ *       "ignorePatterns": [ "\\b[0-9a-f]{40}\\b" ],
+ *       "mode": "auto",
+ *       "limit": 5,
+ *       "overrides": [
+ *         { "files": [ "*.md" ], "ignoreWords": [ "frontmatter" ] }
+ *       ]
+ *     }
+ *
+ * Paths are relative to the directory of the file. Globs without a "/" match
+ * file names in any directory. Overrides set "mode", "ignoreWords" and
+ * "ignorePatterns" for the files they match; their lists add to the base ones.
+ */
+
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var Typo = require("../typo");
+var files = require("./files");
+
+var CONFIG_FILE = ".typocheckrc";
+
+var LIST_OPTIONS = [ "dictionaries", "words", "ignoreWords", "ignorePaths", "ignorePatterns" ];
+
+var OVERRIDE_OPTIONS = [ "files", "mode", "ignoreWords", "ignorePatterns" ];
+
+/**
+ * Returns the path of the .typocheckrc file of a directory or of its closest
+ * parent that has one, or null.
+ *
+ * @param {String} directory
+ * @returns {String|null}
+ */
+
+function findConfig(directory) {
+  directory = path.resolve(directory);
+
+  for (;;) {
+    var candidate = path.join(directory, CONFIG_FILE);
+
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+
+    var parent = path.dirname(directory);
+
+    if (parent === directory) {
+      return null;
+    }
+
+    directory = parent;
+  }
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [ value ];
+}
+
+function globMatcher(pattern) {
+  return files.globToRegExp(pattern.indexOf("/") === -1 ? "**/" + pattern : pattern.replace(/^\.\//, ""));
+}
+
+function compilePatterns(patterns, fail) {
+  return patterns.map(function(pattern) {
+    try {
+      return new RegExp(pattern);
+    } catch (e) {
+      return fail("bad ignore pattern \"" + pattern + "\": " + e.message);
+    }
+  });
+}
+
+/**
+ * Reads and checks a configuration file.
+ *
+ * @param {String} file The path of the file.
+ * @returns {Object} The configuration, with lists for the list options, absolute
+ *                   paths, compiled patterns and a "directory" property.
+ */
+
+function loadConfig(file) {
+  function fail(message) {
+    throw new Error(file + ": " + message);
+  }
+
+  var config;
+
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    fail(e.code === "ENOENT" ? "no such file" : e.message);
+  }
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    fail("the configuration should be a JSON object");
+  }
+
+  var directory = path.dirname(path.resolve(file));
+  var rv = { directory: directory, overrides: [] };
+
+  Object.keys(config).forEach(function(key) {
+    var value = config[key];
+
+    if (LIST_OPTIONS.indexOf(key) !== -1) {
+      rv[key] = toList(value);
+
+      if (rv[key].some(function(item) { return typeof item !== "string"; })) {
+        fail("\"" + key + "\" should be a string or a list of strings");
+      }
+    } else if (key === "dictionaryPath" || key === "mode") {
+      if (typeof value !== "string") {
+        fail("\"" + key + "\" should be a string");
+      }
+
+      rv[key] = value;
+    } else if (key === "limit") {
+      if (!(value > 0)) {
+        fail("\"limit\" should be a positive number");
+      }
+
+      rv.limit = value;
+    } else if (key !== "overrides") {
+      fail("unknown option \"" + key + "\"");
+    }
+  });
+
+  if (rv.dictionaryPath) {
+    rv.dictionaryPath = path.resolve(directory, rv.dictionaryPath);
+  }
+
+  rv.words = (rv.words || []).map(function(wordsFile) {
+    return path.resolve(directory, wordsFile);
+  });
+
+  rv.ignorePaths = (rv.ignorePaths || []).map(globMatcher);
+  rv.ignorePatterns = compilePatterns(rv.ignorePatterns || [], fail);
+
+  toList(config.overrides || []).forEach(function(override, i) {
+    if (!override || typeof override !== "object" || !override.files) {
+      fail("override " + (i + 1) + " needs \"files\"");
+    }
+
+    Object.keys(override).forEach(function(key) {
+      if (OVERRIDE_OPTIONS.indexOf(key) === -1) {
+        fail("unknown option \"" + key + "\" in override " + (i + 1));
+      }
+    });
+
+    rv.overrides.push({
+      files: toList(override.files).map(globMatcher),
+      mode: override.mode,
+      ignoreWords: toList(override.ignoreWords || []),
+      ignorePatterns: compilePatterns(toList(override.ignorePatterns || []), fail)
+    });
+  });
+
+  return rv;
+}
+
+/**
+ * Returns the path of a file relative to the directory of a configuration,
+ * with "/" separators.
+ */
+
+function relativePath(config, file) {
+  return path.relative(config.directory, path.resolve(file)).split(path.sep).join("/");
+}
+
+function matches(expressions, relative) {
+  return expressions.some(function(expression) {
+    return expression.test(relative);
+  });
+}
+
+/**
+ * Tells whether a file is left out by the "ignorePaths" of a configuration.
+ *
+ * @param {Object} config
+ * @param {String} file
+ * @returns {Boolean}
+ */
+
+function isIgnored(config, file) {
+  return matches(config.ignorePaths, relativePath(config, file));
+}
+
+/**
+ * Returns the checkText() options of a configuration for a file, overrides included.
+ *
+ * @param {Object} config
+ * @param {String} [file] The checked file; base options only when omitted.
+ * @returns {Object} { mode, ignoreWords, ignorePatterns }
+ */
+
+function fileOptions(config, file) {
+  var rv = {
+    mode: config.mode,
+    ignoreWords: config.ignoreWords || [],
+    ignorePatterns: config.ignorePatterns
+  };
+
+  if (file) {
+    var relative = relativePath(config, file);
+
+    config.overrides.forEach(function(override) {
+      if (matches(override.files, relative)) {
+        rv.mode = override.mode || rv.mode;
+        rv.ignoreWords = rv.ignoreWords.concat(override.ignoreWords);
+        rv.ignorePatterns = rv.ignorePatterns.concat(override.ignorePatterns);
+      }
+    });
+  }
+
+  return rv;
+}
+
+/**
+ * Loads the dictionaries of a project, with its personal word lists:
+ * ~/.typo-words, .typo-words in the project directory, those of the
+ * configuration and an extra one.
+ *
+ * @param {Object} config The configuration, or null.
+ * @param {Object} [options] Settings winning over the configuration:
+ *                           dictionaries, dictionaryPath, words (a word list
+ *                           file) and directory (the project directory).
+ * @returns {Promise} Resolves to a Typo instance, or to a Typo.Composite when
+ *                    there are several dictionaries.
+ */
+
+function loadDictionaries(config, options) {
+  options = options || {};
+  config = config || {};
+
+  var dictionaries = options.dictionaries || config.dictionaries || [ "en_US" ];
+  var settings = { dictionaryPath: options.dictionaryPath || config.dictionaryPath };
+  var loading = dictionaries.length > 1 ?
+    Typo.Composite.fromDictionariesAsync(dictionaries, settings) :
+    Typo.fromDictionaryAsync(dictionaries[0], settings);
+
+  return loading.then(function(dictionary) {
+    dictionary.addWordsFromFile(path.join(os.homedir(), ".typo-words"), true);
+    dictionary.addWordsFromFile(path.join(options.directory || ".", ".typo-words"), true);
+
+    (config.words || []).forEach(function(wordsFile) {
+      dictionary.addWordsFromFile(wordsFile);
+    });
+
+    if (options.words) {
+      dictionary.addWordsFromFile(options.words);
+    }
+
+    return dictionary;
+  });
+}
+
+module.exports = {
+  CONFIG_FILE: CONFIG_FILE,
+  findConfig: findConfig,
+  loadConfig: loadConfig,
+  isIgnored: isIgnored,
+  fileOptions: fileOptions,
+  loadDictionaries: loadDictionaries
+};
@@ -0,0 +1,167 @@
+"use strict";
+
+/**
+ * Checks the lines that a change adds, from a unified diff such as the output
+ * of "git diff", so that a pull request is only blamed for the misspellings
+ * it introduces; see Typo#checkDiff() and typo-check --diff.
+ */
+
+var HUNK_HEADER = /^@@ -\d+(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Returns the path of a file header line ("+++ b/docs/intro.md"), or null for
+ * /dev/null.
+ */
+
+function headerPath(line) {
+  var file = line.substring(4).replace(/\t.*$/, "");
+
+  if (/^"/.test(file)) {
+    // Git quotes unusual paths, escaping them like C strings.
+    try {
+      file = JSON.parse(file);
+    } catch (e) {
+      file = file.slice(1, -1);
+    }
+  }
+
+  return file === "/dev/null" ? null : file.replace(/^[ab]\//, "");
+}
+
+/**
+ * Parses a unified diff.
+ *
+ * @param {String} diff
+ * @returns {Object[]} The files with added lines, as { file, lines }: the path
+ *                     of the new file, and its added lines as { line, text },
+ *                     numbered from 1.
+ */
+
+function parseDiff(diff) {
+  var files = [];
+  var current = null;
+  var lineNumber = 0;
+
+  // The old and new lines left in the current hunk.
+  var oldLeft = 0;
+  var newLeft = 0;
+
+  var lines = diff.replace(/\r\n/g, "\n").split("\n");
+
+  for (var i = 0, len = lines.length; i < len; i++) {
+    var line = lines[i];
+    var hunk = HUNK_HEADER.exec(line);
+
+    if (oldLeft > 0 || newLeft > 0) {
+      if (line[0] === "+") {
+        if (current) {
+          current.lines.push({ line: lineNumber, text: line.substring(1) });
+        }
+
+        lineNumber++;
+        newLeft--;
+      } else if (line[0] === "-") {
+        oldLeft--;
+      } else if (line[0] === " " || line === "") {
+        // Blank context lines sometimes lose their space.
+        lineNumber++;
+        oldLeft--;
+        newLeft--;
+      }
+    } else if (hunk) {
+      oldLeft = hunk[1] === undefined ? 1 : parseInt(hunk[1], 10);
+      lineNumber = parseInt(hunk[2], 10);
+      newLeft = hunk[3] === undefined ? 1 : parseInt(hunk[3], 10);
+    } else if (/^\+\+\+ /.test(line)) {
+      var file = headerPath(line);
+
+      current = file ? { file: file, lines: [] } : null;
+
+      if (current) {
+        files.push(current);
+      }
+    }
+  }
+
+  return files.filter(function(changed) {
+    return changed.lines.length > 0;
+  });
+}
+
+/**
+ * Tells whether a text has the added lines of a diff, so that it is the new
+ * version of the changed file.
+ */
+
+function matchesLines(text, added) {
+  var lines = text.replace(/\r\n/g, "\n").split("\n");
+
+  return added.every(function(item) {
+    return lines[item.line - 1] === item.text;
+  });
+}
+
+/**
+ * Finds the misspellings on the added lines of a diff. When the new version of
+ * a file can be read, and has the added lines, the whole file is checked, so
+ * that comments and Markdown blocks are told apart as usual. Otherwise the
+ * added lines are checked on their own.
+ *
+ * @param {Typo|Composite} checker
+ * @param {String} diff A unified diff.
+ * @param {Object} [options] See Typo#checkDiff().
+ * @returns {Object[]} The misspellings by file, as { file, misspellings }.
+ */
+
+function checkDiff(checker, diff, options) {
+  options = options || {};
+
+  return parseDiff(diff).map(function(changed) {
+    var file = changed.file;
+    var textOptions = Object.assign({ mode: "auto" }, options, { fileName: file }, options.fileOptions ? options.fileOptions(file) : {});
+    var text = options.readFile ? options.readFile(file) : null;
+    var wholeFile = typeof text === "string" && matchesLines(text, changed.lines);
+    var added = {};
+
+    delete textOptions.readFile;
+    delete textOptions.fileOptions;
+
+    changed.lines.forEach(function(item) {
+      added[item.line] = true;
+    });
+
+    if (!wholeFile) {
+      // The other lines are left blank, which keeps the line numbers.
+      var lines = [];
+
+      changed.lines.forEach(function(item) {
+        while (lines.length < item.line - 1) {
+          lines.push("");
+        }
+
+        lines.push(item.text);
+      });
+
+      text = lines.join("\n");
+    }
+
+    var misspellings = checker.checkText(text, textOptions).filter(function(misspelling) {
+      return added[misspelling.line];
+    });
+
+    if (!wholeFile) {
+      // Offsets into the blanked text would not be those of any file.
+      misspellings.forEach(function(misspelling) {
+        misspelling.end = misspelling.column - 1 + misspelling.end - misspelling.start;
+        misspelling.start = misspelling.column - 1;
+      });
+    }
+
+    return { file: file, misspellings: misspellings };
+  });
+}
+
+module.exports = {
+  parseDiff: parseDiff,
+  checkDiff: checkDiff
+};
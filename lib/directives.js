@@ -0,0 +1,168 @@
+"use strict";
+
+/**
+ * What Typo#checkText() leaves unreported: the words of its "ignoreWords"
+ * option, the matches of its "ignorePatterns" option (hashes, UUIDs...), and
+ * the parts of the text turned off by inline directives:
+ *
+ *     typo-check-disable-next-line     nothing on the next line is reported
+ *     typo-check-disable-line          nothing on this line is reported
+ *     typo-check-disable               nothing is reported until typo-check-enable
+ *     typo-check-enable
+ *     typo-check-ignore: foo bar       "foo" and "bar" are accepted in the whole text
+ *
+ * Directives are found anywhere in the text, so they work in the comments of
+ * any language ("// typo-check-disable-line", "<!-- typo-check-disable -->").
+ *
+ * A text checked in parts, such as a stream, carries the directives of a part
+ * over to the next ones through a state object: an open "typo-check-disable",
+ * a disabled next line, and the ignored words, which then only apply from
+ * their directive on.
+ */
+
+var DIRECTIVE_PATTERN = /typo-check-(disable-next-line|disable-line|disable|enable|ignore)\b(:?[^\n]*)/g;
+
+var WORD_PATTERN = /[\p{L}\p{M}\p{N}'’-]+/gu;
+
+function normalize(word) {
+  return word.normalize("NFC").replace(/’/g, "'").toLowerCase();
+}
+
+/**
+ * Returns the [ start, end ) ranges of the matches of a pattern.
+ *
+ * @param {String} text
+ * @param {RegExp|String} pattern
+ * @returns {Array[]}
+ */
+
+function matchRanges(text, pattern) {
+  var source = pattern instanceof RegExp ? pattern.source : pattern;
+  var flags = pattern instanceof RegExp ? pattern.flags.replace(/[gy]/g, "") : "";
+  var expression = new RegExp(source, flags + "g");
+  var ranges = [];
+  var match;
+
+  while ((match = expression.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      expression.lastIndex++;
+    } else {
+      ranges.push([ match.index, match.index + match[0].length ]);
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Creates the filter of the misspellings of a text.
+ *
+ * @param {String} text The checked text.
+ * @param {Object} [options] The checkText() options "ignoreWords" (words
+ *                           accepted in any capitalization), "ignorePatterns"
+ *                           (regular expressions or their sources),
+ *                           "directives" (false to turn off inline directives)
+ *                           and "directiveState" (an object, initially empty,
+ *                           passed again with the next part of the text).
+ * @param {Function} locate The locator of the text; see tokenize.createLocator().
+ * @returns {Function} A function(token, line) telling whether a misspelled token is left out.
+ */
+
+function createFilter(text, options, locate) {
+  options = options || {};
+
+  var ignoredWords = {};
+  var disabledLines = {};
+  var skipped = [];
+
+  function ignore(word) {
+    ignoredWords[normalize(word)] = true;
+
+    word.split("-").forEach(function(part) {
+      if (part) {
+        ignoredWords[normalize(part)] = true;
+      }
+    });
+  }
+
+  (options.ignoreWords || []).forEach(ignore);
+
+  (options.ignorePatterns || []).forEach(function(pattern) {
+    skipped = skipped.concat(matchRanges(text, pattern));
+  });
+
+  if (options.directives !== false) {
+    var state = options.directiveState;
+    var disabledFrom = state && state.disabled ? 0 : -1;
+    var match;
+
+    if (state) {
+      state.ignoredWords = state.ignoredWords || [];
+      state.ignoredWords.forEach(ignore);
+      disabledLines[1] = Boolean(state.nextLineDisabled);
+    }
+
+    DIRECTIVE_PATTERN.lastIndex = 0;
+
+    while ((match = DIRECTIVE_PATTERN.exec(text)) !== null) {
+      var directive = match[1];
+      var line = locate(match.index).line;
+      var end = match.index + "typo-check-".length + directive.length;
+
+      if (directive === "disable-next-line") {
+        disabledLines[line + 1] = true;
+      } else if (directive === "disable-line") {
+        disabledLines[line] = true;
+      } else if (directive === "disable") {
+        if (disabledFrom === -1) {
+          disabledFrom = match.index;
+        }
+      } else if (directive === "enable") {
+        if (disabledFrom !== -1) {
+          skipped.push([ disabledFrom, match.index ]);
+          disabledFrom = -1;
+        }
+      } else if (match[2][0] === ":") {
+        (match[2].match(WORD_PATTERN) || []).forEach(function(word) {
+          ignore(word);
+
+          if (state) {
+            state.ignoredWords.push(word);
+          }
+        });
+        end = match.index + match[0].length;
+      }
+
+      // The words of the directive itself.
+      skipped.push([ match.index, end ]);
+    }
+
+    if (disabledFrom !== -1) {
+      skipped.push([ disabledFrom, text.length ]);
+    }
+
+    if (state) {
+      // The next part starts on the line where this one ends.
+      state.disabled = disabledFrom !== -1;
+      state.nextLineDisabled = Boolean(disabledLines[locate(text.length).line]);
+    }
+  }
+
+  return function(token, line) {
+    if ({}.hasOwnProperty.call(ignoredWords, normalize(token.word)) || disabledLines[line]) {
+      return true;
+    }
+
+    for (var i = 0, len = skipped.length; i < len; i++) {
+      if (token.start < skipped[i][1] && token.end > skipped[i][0]) {
+        return true;
+      }
+    }
+
+    return false;
+  };
+}
+
+module.exports = {
+  createFilter: createFilter
+};
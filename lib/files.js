@@ -0,0 +1,204 @@
+"use strict";
+
+/**
+ * Expands the file arguments of the command line: plain files, directories
+ * (walked recursively) and glob patterns ("docs/**\/*.md", "src/*.{js,ts}").
+ */
+
+var fs = require("fs");
+var path = require("path");
+
+/**
+ * Directories never descended into when walking a directory.
+ */
+
+var IGNORED_DIRECTORIES = [ ".git", ".hg", ".svn", "node_modules" ];
+
+/**
+ * Converts a glob pattern into a regular expression matching whole paths.
+ * Supports "**", "*", "?", character classes and "{a,b}" alternatives.
+ *
+ * @param {String} pattern The glob, using "/" as separator.
+ * @returns {RegExp}
+ */
+
+function globToRegExp(pattern) {
+  var expression = "";
+  var inGroup = 0;
+
+  for (var i = 0, len = pattern.length; i < len; i++) {
+    var character = pattern[i];
+
+    if (character === "*") {
+      if (pattern[i + 1] === "*") {
+        // "**/" matches any number of directories, including none.
+        if (pattern[i + 2] === "/") {
+          expression += "(?:[^/]*/)*";
+          i += 2;
+        } else {
+          expression += ".*";
+          i += 1;
+        }
+      } else {
+        expression += "[^/]*";
+      }
+    } else if (character === "?") {
+      expression += "[^/]";
+    } else if (character === "[") {
+      var close = pattern.indexOf("]", i + 1);
+
+      if (close === -1) {
+        expression += "\\[";
+      } else {
+        expression += "[" + pattern.substring(i + 1, close).replace(/^!/, "^").replace(/\\/g, "\\\\") + "]";
+        i = close;
+      }
+    } else if (character === "{") {
+      expression += "(?:";
+      inGroup++;
+    } else if (character === "}" && inGroup) {
+      expression += ")";
+      inGroup--;
+    } else if (character === "," && inGroup) {
+      expression += "|";
+    } else {
+      expression += character.replace(/[.+^$()|\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp("^" + expression + "$");
+}
+
+/**
+ * Tells whether a command-line argument is a glob pattern rather than a path.
+ *
+ * @param {String} arg
+ * @returns {Boolean}
+ */
+
+function isGlob(arg) {
+  return /[*?[{]/.test(arg);
+}
+
+/**
+ * Walks a directory recursively.
+ *
+ * @param {String} directory
+ * @param {String[]} files The list the file paths are appended to.
+ */
+
+function walk(directory, files) {
+  var entries = fs.readdirSync(directory, { withFileTypes: true });
+
+  entries.sort(function(a, b) {
+    return a.name < b.name ? -1 : 1;
+  });
+
+  entries.forEach(function(entry) {
+    var entryPath = path.join(directory, entry.name);
+
+    if (entry.isDirectory()) {
+      if (IGNORED_DIRECTORIES.indexOf(entry.name) === -1) {
+        walk(entryPath, files);
+      }
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  });
+}
+
+/**
+ * Returns the files matching a glob pattern.
+ *
+ * @param {String} pattern The glob, relative to the current directory or absolute.
+ * @returns {String[]}
+ */
+
+function expandGlob(pattern) {
+  pattern = pattern.split(path.sep).join("/");
+
+  // Walk only from the longest leading part of the pattern that has no wildcards.
+  var segments = pattern.split("/");
+  var baseSegments = [];
+
+  while (segments.length > 1 && !isGlob(segments[0])) {
+    baseSegments.push(segments.shift());
+  }
+
+  var base = baseSegments.join("/") || (pattern[0] === "/" ? "/" : ".");
+  var expression = globToRegExp(pattern);
+  var candidates = [];
+
+  if (!fs.existsSync(base)) {
+    return [];
+  }
+
+  walk(base, candidates);
+
+  return candidates.filter(function(candidate) {
+    var relative = candidate.split(path.sep).join("/");
+
+    return expression.test(relative) || expression.test("./" + relative);
+  });
+}
+
+/**
+ * Expands file, directory and glob arguments into a de-duplicated list of files.
+ *
+ * @param {String[]} args The command-line arguments.
+ * @returns {Object} { files: String[], missing: String[] } where missing lists the
+ *                   arguments that matched nothing.
+ */
+
+function collectFiles(args) {
+  var files = [];
+  var missing = [];
+  var seen = {};
+
+  args.forEach(function(arg) {
+    var found = [];
+
+    if (fs.existsSync(arg)) {
+      if (fs.statSync(arg).isDirectory()) {
+        walk(arg, found);
+      } else {
+        found.push(arg);
+      }
+    } else if (isGlob(arg)) {
+      found = expandGlob(arg);
+    }
+
+    if (found.length === 0) {
+      missing.push(arg);
+    }
+
+    found.forEach(function(file) {
+      if (!seen[file]) {
+        seen[file] = true;
+        files.push(file);
+      }
+    });
+  });
+
+  return { files: files, missing: missing };
+}
+
+/**
+ * Tells whether a file looks binary, going by a NUL byte in its contents.
+ *
+ * @param {Buffer} buffer
+ * @returns {Boolean}
+ */
+
+function isBinary(buffer) {
+  var nul = buffer.indexOf(0);
+
+  return nul !== -1 && nul < 8000;
+}
+
+module.exports = {
+  globToRegExp: globToRegExp,
+  isGlob: isGlob,
+  collectFiles: collectFiles,
+  isBinary: isBinary
+};
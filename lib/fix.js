@@ -0,0 +1,172 @@
+"use strict";
+
+/**
+ * Automatic corrections, for Typo#fixText() and typo-check --fix: picking the
+ * suggestion that is safe to apply without review, applying corrections to a
+ * text, and showing them as a unified diff.
+ */
+
+/**
+ * The score a suggestion within one edit needs to be applied; see Typo#suggestDetailed().
+ */
+
+var MIN_SCORE = 0.7;
+
+/**
+ * The number of suggestions weighed to tell whether the best one is unambiguous.
+ */
+
+var CANDIDATES = 10;
+
+/**
+ * Lines of context around the changes of a diff.
+ */
+
+var CONTEXT_LINES = 3;
+
+/**
+ * Gives a replacement the typographic apostrophes of the word it replaces, as
+ * suggestions are made with straight ones. Their capitalization already
+ * follows the misspelling; see Typo#suggestDetailed().
+ *
+ * @param {String} word The misspelling.
+ * @param {String} replacement
+ * @returns {String}
+ */
+
+function matchApostrophes(word, replacement) {
+  return word.indexOf("’") !== -1 ? replacement.replace(/'/g, "’") : replacement;
+}
+
+/**
+ * Picks the correction of a misspelling, when there is no doubt about it: the
+ * best suggestion is the only one coming from the REP table (or differing in
+ * case only), or it is the only one within one edit scoring at least minScore.
+ *
+ * @param {Object[]} suggestions The suggestions, from Typo#suggestDetailed().
+ * @param {Number} [minScore=MIN_SCORE]
+ * @returns {String|null} The suggested word, or null.
+ */
+
+function chooseFix(suggestions, minScore) {
+  if (suggestions.length === 0) {
+    return null;
+  }
+
+  if (minScore === undefined) {
+    minScore = MIN_SCORE;
+  }
+
+  var listed = suggestions.filter(function(suggestion) {
+    return suggestion.source === "rep" || suggestion.source === "case";
+  });
+
+  if (listed.length === 1 && listed[0] === suggestions[0]) {
+    return listed[0].word;
+  }
+
+  var close = suggestions.filter(function(suggestion) {
+    return suggestion.distance <= 1 && suggestion.score >= minScore;
+  });
+
+  return close.length === 1 && close[0] === suggestions[0] ? close[0].word : null;
+}
+
+/**
+ * Applies corrections to a text.
+ *
+ * @param {String} text
+ * @param {Object[]} fixes The corrections, as { start, end, replacement }, not overlapping.
+ * @returns {String} The corrected text.
+ */
+
+function applyFixes(text, fixes) {
+  var rv = "";
+  var position = 0;
+
+  fixes.slice().sort(function(a, b) {
+    return a.start - b.start;
+  }).forEach(function(fix) {
+    rv += text.substring(position, fix.start) + fix.replacement;
+    position = fix.end;
+  });
+
+  return rv + text.substring(position);
+}
+
+/**
+ * Returns the unified diff of a text and its corrected version. As corrections
+ * never add or remove line breaks, lines are compared one to one.
+ *
+ * @param {String} file The name of the file, for the headers.
+ * @param {String} before
+ * @param {String} after Text with as many lines as before.
+ * @returns {String} The diff, empty when the texts are equal.
+ */
+
+function unifiedDiff(file, before, after) {
+  var oldLines = before.split("\n");
+  var newLines = after.split("\n");
+  var changed = [];
+
+  if (oldLines.length !== newLines.length) {
+    throw new Error("Typo: cannot diff texts with different numbers of lines");
+  }
+
+  for (var i = 0, len = oldLines.length; i < len; i++) {
+    if (oldLines[i] !== newLines[i]) {
+      changed.push(i);
+    }
+  }
+
+  if (changed.length === 0) {
+    return "";
+  }
+
+  // Changes closer than twice the context share a hunk.
+  var hunks = [];
+
+  changed.forEach(function(line) {
+    var last = hunks[hunks.length - 1];
+
+    if (last && line - last.lines[last.lines.length - 1] <= 2 * CONTEXT_LINES) {
+      last.lines.push(line);
+    } else {
+      hunks.push({ lines: [ line ] });
+    }
+  });
+
+  // A text ending with a line break has an empty last "line", which is not one.
+  var lineCount = oldLines[oldLines.length - 1] === "" ? oldLines.length - 1 : oldLines.length;
+  var rv = "--- a/" + file + "\n+++ b/" + file + "\n";
+
+  hunks.forEach(function(hunk) {
+    var from = Math.max(0, hunk.lines[0] - CONTEXT_LINES);
+    var to = Math.min(lineCount - 1, hunk.lines[hunk.lines.length - 1] + CONTEXT_LINES);
+    var count = to - from + 1;
+    var body = "";
+
+    for (var line = from; line <= to; line++) {
+      var marker = line === lineCount - 1 && lineCount === oldLines.length ? "\\ No newline at end of file\n" : "";
+
+      if (hunk.lines.indexOf(line) === -1) {
+        body += " " + oldLines[line] + "\n" + marker;
+      } else {
+        body += "-" + oldLines[line] + "\n" + marker + "+" + newLines[line] + "\n" + marker;
+      }
+    }
+
+    rv += "@@ -" + (from + 1) + "," + count + " +" + (from + 1) + "," + count + " @@\n" + body;
+  });
+
+  return rv;
+}
+
+module.exports = {
+  MIN_SCORE: MIN_SCORE,
+  CANDIDATES: CANDIDATES,
+  matchApostrophes: matchApostrophes,
+  chooseFix: chooseFix,
+  applyFixes: applyFixes,
+  unifiedDiff: unifiedDiff
+};
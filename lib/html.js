@@ -0,0 +1,118 @@
+"use strict";
+
+/**
+ * HTML mode: checks only the text nodes of a document and the values of its
+ * alt and title attributes. Tags, attribute names and other values, comments,
+ * entities and the contents of code-like elements are hidden.
+ */
+
+var tokenizer = require("./tokenize");
+
+/**
+ * Attributes whose values are human-readable text.
+ */
+
+var TEXT_ATTRIBUTES = [ "alt", "title" ];
+
+/**
+ * Elements whose contents are never prose.
+ */
+
+var SKIPPED_ELEMENTS = [ "script", "style", "pre", "code", "kbd", "samp", "var", "template" ];
+
+var MARKUP = /<!--[\s\S]*?(?:-->|$)|<![\s\S]*?(?:>|$)|<\?[\s\S]*?(?:\?>|$)|<\/?([a-zA-Z][\w:.-]*)((?:\s+[^\s"'<>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>|&(?:#\d+|#x[0-9a-fA-F]+|\w+);/g;
+var ATTRIBUTE = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Blanks a tag, except for the values of its text attributes.
+ *
+ * @param {String} tag The whole tag, from "<" to ">".
+ * @param {String} attributes The attribute part of the tag.
+ * @param {Number} attributesOffset The index of the attribute part within the tag.
+ * @returns {String}
+ */
+
+function maskTag(tag, attributes, attributesOffset) {
+  var rv = tokenizer.blank(tag).split("");
+  var match;
+
+  ATTRIBUTE.lastIndex = 0;
+
+  while ((match = ATTRIBUTE.exec(attributes)) !== null) {
+    var value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : match[4]);
+
+    if (value !== undefined && TEXT_ATTRIBUTES.indexOf(match[1].toLowerCase()) !== -1) {
+      var valueStart = attributesOffset + match.index + match[0].length - value.length -
+        (match[4] !== undefined ? 0 : 1);
+
+      for (var i = 0; i < value.length; i++) {
+        rv[valueStart + i] = value[i];
+      }
+    }
+  }
+
+  return rv.join("");
+}
+
+/**
+ * Hides everything of an HTML document but its text, keeping every offset.
+ *
+ * @param {String} text The document.
+ * @returns {String} The document with markup replaced by spaces.
+ */
+
+function mask(text) {
+  var rv = "";
+  var last = 0;
+  var match;
+
+  MARKUP.lastIndex = 0;
+
+  while ((match = MARKUP.exec(text)) !== null) {
+    var tag = match[0];
+    var name = match[1] && match[1].toLowerCase();
+    var end = match.index + tag.length;
+
+    rv += text.substring(last, match.index);
+
+    if (name && tag[1] !== "/") {
+      rv += maskTag(tag, match[2] || "", 1 + name.length);
+
+      if (SKIPPED_ELEMENTS.indexOf(name) !== -1 && !/\/>$/.test(tag)) {
+        var closing = new RegExp("</" + name + "\\s*>", "ig");
+
+        closing.lastIndex = end;
+
+        var closingMatch = closing.exec(text);
+        var skippedEnd = closingMatch ? closingMatch.index + closingMatch[0].length : text.length;
+
+        rv += tokenizer.blank(text.substring(end, skippedEnd));
+        end = skippedEnd;
+      }
+    } else {
+      rv += tokenizer.blank(tag);
+    }
+
+    last = end;
+    MARKUP.lastIndex = end;
+  }
+
+  return rv + text.substring(last);
+}
+
+/**
+ * Finds the words of an HTML document that should be spellchecked.
+ *
+ * @param {String} text The document.
+ * @param {String} [wordChars=""] The WORDCHARS of the dictionary.
+ * @returns {Object[]} The words, as { word, start, end } in document offsets.
+ */
+
+function tokenize(text, wordChars) {
+  return tokenizer.tokenize(mask(text), wordChars);
+}
+
+module.exports = {
+  mask: mask,
+  tokenize: tokenize
+};
@@ -0,0 +1,645 @@
+"use strict";
+
+/**
+ * A Language Server Protocol server, run by the typo-check-lsp command over
+ * standard input and output.
+ *
+ * It publishes the misspellings of the open documents as diagnostics, checks
+ * again only the lines touched by incremental changes, and offers quick fixes
+ * from the suggestions, plus commands adding a word to the project word list
+ * or ignoring it until the server stops. The dictionaries and options come from
+ * the .typocheckrc of the workspace, as for the typo-check command.
+ */
+
+var fs = require("fs");
+var path = require("path");
+var url = require("url");
+var code = require("./code");
+var projectConfig = require("./config");
+var pkg = require("../package.json");
+
+var SOURCE = "typo-check";
+
+var COMMANDS = {
+  addWord: "typo-check.addWord",
+  ignoreWord: "typo-check.ignoreWord"
+};
+
+/**
+ * The methods handled by the server, with the names of their Server methods.
+ */
+
+var METHODS = {
+  initialize: "initialize",
+  shutdown: "shutdown",
+  exit: "exit",
+  "textDocument/didOpen": "didOpen",
+  "textDocument/didChange": "didChange",
+  "textDocument/didClose": "didClose",
+  "textDocument/codeAction": "codeAction",
+  "workspace/executeCommand": "executeCommand"
+};
+
+var ERRORS = {
+  parseError: -32700,
+  invalidRequest: -32600,
+  methodNotFound: -32601,
+  internalError: -32603,
+  serverNotInitialized: -32002
+};
+
+/**
+ * The checkText() modes of language identifiers; those of the source languages
+ * of lib/code.js are checked in code mode.
+ */
+
+var LANGUAGE_MODES = {
+  markdown: "markdown",
+  html: "html",
+  plaintext: "text"
+};
+
+/**
+ * Edits of plain text that cannot change how the text around them is tokenized
+ * in the other modes (no comment or tag delimiters, no line breaks).
+ */
+
+var PLAIN_EDIT = /^[\p{L}\p{M}\p{N} \t]*$/u;
+
+/**
+ * Returns the offsets of the first character of every line of a text.
+ */
+
+function lineStarts(text) {
+  var starts = [ 0 ];
+
+  for (var i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) {
+    starts.push(i + 1);
+  }
+
+  return starts;
+}
+
+function toOffset(starts, text, position) {
+  if (position.line >= starts.length) {
+    return text.length;
+  }
+
+  var lineEnd = position.line + 1 < starts.length ? starts[position.line + 1] - 1 : text.length;
+
+  return Math.min(starts[position.line] + position.character, lineEnd);
+}
+
+function countLines(text) {
+  return text.split("\n").length - 1;
+}
+
+function toPath(uri) {
+  return /^file:/.test(uri) ? url.fileURLToPath(uri) : null;
+}
+
+/**
+ * Returns the diagnostic of a misspelling.
+ */
+
+function toDiagnostic(misspelling) {
+  var start = { line: misspelling.line - 1, character: misspelling.column - 1 };
+
+  return {
+    range: {
+      start: start,
+      end: { line: start.line, character: start.character + misspelling.end - misspelling.start }
+    },
+    severity: 3,
+    source: SOURCE,
+    message: "Unknown word \"" + misspelling.word + "\"",
+    data: { word: misspelling.word }
+  };
+}
+
+/**
+ * Connection constructor: JSON-RPC messages with Content-Length headers over
+ * two streams.
+ *
+ * @param {Readable} input
+ * @param {Writable} output
+ * @returns {Connection}
+ */
+
+function Connection(input, output) {
+  var self = this;
+
+  this.output = output;
+  this.buffer = Buffer.alloc(0);
+  this.listener = null;
+
+  input.on("data", function(chunk) {
+    self.receive(typeof chunk === "string" ? Buffer.from(chunk, "utf8") : chunk);
+  });
+
+  return this;
+}
+
+Connection.prototype = {
+  /**
+   * Sets the function called with every incoming message.
+   */
+
+  onMessage: function(listener) {
+    this.listener = listener;
+  },
+
+  send: function(message) {
+    var body = Buffer.from(JSON.stringify(Object.assign({ jsonrpc: "2.0" }, message)), "utf8");
+
+    this.output.write("Content-Length: " + body.length + "\r\n\r\n");
+    this.output.write(body);
+  },
+
+  receive: function(chunk) {
+    this.buffer = Buffer.concat([ this.buffer, chunk ]);
+
+    for (;;) {
+      var headerEnd = this.buffer.indexOf("\r\n\r\n");
+
+      if (headerEnd === -1) {
+        return;
+      }
+
+      var headers = this.buffer.toString("ascii", 0, headerEnd);
+      var length = /^Content-Length: *(\d+)$/im.exec(headers);
+      var bodyStart = headerEnd + 4;
+
+      if (!length) {
+        // Not a message: skip the headers.
+        this.buffer = this.buffer.subarray(bodyStart);
+        continue;
+      }
+
+      var bodyEnd = bodyStart + parseInt(length[1], 10);
+
+      if (this.buffer.length < bodyEnd) {
+        return;
+      }
+
+      var body = this.buffer.toString("utf8", bodyStart, bodyEnd);
+      var message;
+
+      this.buffer = this.buffer.subarray(bodyEnd);
+
+      try {
+        message = JSON.parse(body);
+      } catch (e) {
+        this.send({ id: null, error: { code: ERRORS.parseError, message: e.message } });
+        continue;
+      }
+
+      // Batches are not used by the protocol.
+      if (message === null || typeof message !== "object" || Array.isArray(message)) {
+        this.send({ id: null, error: { code: ERRORS.invalidRequest, message: "a message must be an object" } });
+        continue;
+      }
+
+      if (this.listener) {
+        this.listener(message);
+      }
+    }
+  }
+};
+
+/**
+ * Server constructor.
+ *
+ * @param {Connection} connection
+ * @param {Object} [options] {Function} [onExit]: called with the exit status on
+ *                           the "exit" notification (0 after a "shutdown" request,
+ *                           1 otherwise).
+ *                           {String[]} [dictionaries], {String} [dictionaryPath]:
+ *                           settings winning over the configuration.
+ * @returns {Server}
+ */
+
+function Server(connection, options) {
+  var self = this;
+
+  this.connection = connection;
+  this.options = options || {};
+  this.root = process.cwd();
+  this.config = null;
+  this.dictionary = null;
+  this.documents = {};
+  this.ready = null;
+  this.shutDown = false;
+
+  // Messages are handled one at a time, in order.
+  this.queue = Promise.resolve();
+
+  connection.onMessage(function(message) {
+    self.queue = self.queue.then(function() {
+      return self.dispatch(message);
+    });
+  });
+
+  return this;
+}
+
+Server.prototype = {
+  dispatch: function(message) {
+    var self = this;
+    var isRequest = "id" in message;
+    var name = METHODS[message.method];
+
+    if (!message.method) {
+      // A response; the server sends no requests.
+      return null;
+    }
+
+    if (!name) {
+      if (isRequest) {
+        this.respondError(message.id, ERRORS.methodNotFound, "unhandled method " + message.method);
+      }
+
+      return null;
+    }
+
+    if (!this.ready && name !== "initialize" && name !== "exit") {
+      if (isRequest) {
+        this.respondError(message.id, ERRORS.serverNotInitialized, "the server is not initialized");
+      }
+
+      return null;
+    }
+
+    var waiting = name === "initialize" || name === "exit" ? Promise.resolve() : this.ready;
+
+    return waiting.then(function() {
+      return self[name](message.params || {});
+    }).then(function(result) {
+      if (isRequest) {
+        self.connection.send({ id: message.id, result: result === undefined ? null : result });
+      }
+    }, function(e) {
+      if (isRequest) {
+        self.respondError(message.id, ERRORS.internalError, e.message);
+      } else {
+        self.showMessage(1, e.message);
+      }
+    });
+  },
+
+  respondError: function(id, errorCode, message) {
+    this.connection.send({ id: id, error: { code: errorCode, message: "typo-check: " + message } });
+  },
+
+  notify: function(method, params) {
+    this.connection.send({ method: method, params: params });
+  },
+
+  /**
+   * Shows a message in the editor; type 1 is an error, 3 an information.
+   */
+
+  showMessage: function(type, message) {
+    this.notify("window/showMessage", { type: type, message: "typo-check: " + message });
+  },
+
+  initialize: function(params) {
+    var folder = params.workspaceFolders && params.workspaceFolders[0];
+    var root = (params.rootUri && toPath(params.rootUri)) || params.rootPath || (folder && toPath(folder.uri));
+
+    if (root) {
+      this.root = root;
+    }
+
+    // Requests wait for the dictionaries, the answer to this one does not.
+    this.ready = this.load();
+
+    return {
+      capabilities: {
+        textDocumentSync: { openClose: true, change: 2 },
+        codeActionProvider: { codeActionKinds: [ "quickfix" ] },
+        executeCommandProvider: { commands: [ COMMANDS.addWord, COMMANDS.ignoreWord ] }
+      },
+      serverInfo: { name: "typo-check", version: pkg.version }
+    };
+  },
+
+  /**
+   * Loads the configuration and the dictionaries of the workspace. Errors are
+   * shown in the editor, and leave the documents unchecked.
+   *
+   * @returns {Promise}
+   */
+
+  load: function() {
+    var self = this;
+
+    return Promise.resolve().then(function() {
+      var configFile = projectConfig.findConfig(self.root);
+
+      self.config = configFile ? projectConfig.loadConfig(configFile) : null;
+
+      return projectConfig.loadDictionaries(self.config, {
+        dictionaries: self.options.dictionaries,
+        dictionaryPath: self.options.dictionaryPath,
+        directory: self.root
+      });
+    }).then(function(dictionary) {
+      self.dictionary = dictionary;
+
+      // Diagnostics do not need the words indexed by sound, only the first quick
+      // fix does: index them in a worker thread meanwhile, or else on that fix.
+      dictionary.buildPhoneticIndexAsync().catch(function() {});
+    }, function(e) {
+      self.showMessage(1, e.message);
+    });
+  },
+
+  shutdown: function() {
+    this.shutDown = true;
+
+    return null;
+  },
+
+  exit: function() {
+    if (this.options.onExit) {
+      this.options.onExit(this.shutDown ? 0 : 1);
+    }
+  },
+
+  didOpen: function(params) {
+    var item = params.textDocument;
+    var document = {
+      uri: item.uri,
+      languageId: item.languageId,
+      version: item.version,
+      text: item.text,
+      misspellings: []
+    };
+
+    this.documents[item.uri] = document;
+    this.checkDocument(document);
+  },
+
+  /**
+   * Applies the changes of a document. Misspellings outside the changed lines
+   * are kept, moved by the added or removed lines; the changed lines are
+   * checked again. Edits that could change the tokenization of the rest of the
+   * document, such as opening a comment or an HTML tag, and changes of documents
+   * with inline directives have the whole document checked again.
+   */
+
+  didChange: function(params) {
+    var document = this.documents[params.textDocument.uri];
+
+    if (!document) {
+      return;
+    }
+
+    var plainText = this.checkOptions(document).mode === "text";
+    var misspellings = document.misspellings;
+    var dirty = null;
+
+    // Directives reach past the lines they are on.
+    var full = /typo-check-/.test(document.text);
+
+    params.contentChanges.forEach(function(change) {
+      if (!change.range) {
+        document.text = change.text;
+        full = true;
+        return;
+      }
+
+      var text = document.text;
+      var starts = lineStarts(text);
+      var startOffset = toOffset(starts, text, change.range.start);
+      var endOffset = Math.max(startOffset, toOffset(starts, text, change.range.end));
+      var removed = text.substring(startOffset, endOffset);
+
+      if ((!plainText && !(PLAIN_EDIT.test(removed) && PLAIN_EDIT.test(change.text))) ||
+          /typo-check-/.test(change.text)) {
+        full = true;
+      }
+
+      document.text = text.substring(0, startOffset) + change.text + text.substring(endOffset);
+
+      if (full) {
+        return;
+      }
+
+      // Lines are 0-based here, and 1-based in the misspellings.
+      var startLine = change.range.start.line;
+      var oldEndLine = change.range.end.line;
+      var newEndLine = startLine + countLines(change.text);
+      var lineDelta = newEndLine - oldEndLine;
+      var offsetDelta = change.text.length - (endOffset - startOffset);
+
+      // Where a line of the text before the change is after it.
+      function moveLine(line) {
+        return line > oldEndLine ? line + lineDelta : Math.min(line, newEndLine);
+      }
+
+      misspellings = misspellings.filter(function(misspelling) {
+        return misspelling.line - 1 < startLine || misspelling.line - 1 > oldEndLine;
+      }).map(function(misspelling) {
+        if (misspelling.line - 1 < startLine) {
+          return misspelling;
+        }
+
+        return Object.assign({}, misspelling, {
+          line: misspelling.line + lineDelta,
+          start: misspelling.start + offsetDelta,
+          end: misspelling.end + offsetDelta
+        });
+      });
+
+      dirty = {
+        from: dirty ? Math.min(moveLine(dirty.from), startLine) : startLine,
+        to: dirty ? Math.max(moveLine(dirty.to), newEndLine) : newEndLine
+      };
+    });
+
+    document.version = params.textDocument.version;
+
+    if (full || !dirty) {
+      this.checkDocument(document);
+      return;
+    }
+
+    var starts = lineStarts(document.text);
+    var range = {
+      start: starts[dirty.from],
+      end: dirty.to + 1 < starts.length ? starts[dirty.to + 1] : document.text.length
+    };
+
+    document.misspellings = misspellings.filter(function(misspelling) {
+      return misspelling.line - 1 < dirty.from || misspelling.line - 1 > dirty.to;
+    }).concat(this.checkText(document, range)).sort(function(a, b) {
+      return a.start - b.start;
+    });
+
+    this.publish(document);
+  },
+
+  didClose: function(params) {
+    delete this.documents[params.textDocument.uri];
+
+    this.notify("textDocument/publishDiagnostics", { uri: params.textDocument.uri, diagnostics: [] });
+  },
+
+  /**
+   * Returns the quick fixes of the diagnostics of the server: the suggestions,
+   * then the commands adding the word to the project word list and ignoring it.
+   */
+
+  codeAction: function(params) {
+    var self = this;
+    var actions = [];
+    var document = this.documents[params.textDocument.uri];
+    var limit = (this.config && this.config.limit) || 5;
+
+    if (!document || !this.dictionary) {
+      return actions;
+    }
+
+    params.context.diagnostics.forEach(function(diagnostic) {
+      if (diagnostic.source !== SOURCE || !diagnostic.data) {
+        return;
+      }
+
+      var word = diagnostic.data.word;
+
+      self.dictionary.suggest(word.replace(/’/g, "'"), limit).forEach(function(suggestion, i) {
+        var edit = { changes: {} };
+
+        edit.changes[document.uri] = [ { range: diagnostic.range, newText: suggestion } ];
+
+        actions.push({
+          title: "Change to \"" + suggestion + "\"",
+          kind: "quickfix",
+          diagnostics: [ diagnostic ],
+          isPreferred: i === 0,
+          edit: edit
+        });
+      });
+
+      actions.push({
+        title: "Add \"" + word + "\" to the project dictionary",
+        kind: "quickfix",
+        diagnostics: [ diagnostic ],
+        command: { title: "Add to the project dictionary", command: COMMANDS.addWord, arguments: [ word ] }
+      });
+
+      actions.push({
+        title: "Ignore \"" + word + "\"",
+        kind: "quickfix",
+        diagnostics: [ diagnostic ],
+        command: { title: "Ignore the word", command: COMMANDS.ignoreWord, arguments: [ word ] }
+      });
+    });
+
+    return actions;
+  },
+
+  executeCommand: function(params) {
+    var word = params.arguments && params.arguments[0];
+
+    if (typeof word !== "string" || !word) {
+      throw new Error("the command " + params.command + " needs a word");
+    }
+
+    if (!this.dictionary) {
+      throw new Error("no dictionary is loaded");
+    }
+
+    if (params.command === COMMANDS.addWord) {
+      this.addToWordList(word);
+      this.dictionary.addWord(word);
+    } else if (params.command === COMMANDS.ignoreWord) {
+      this.dictionary.ignoreWord(word);
+    } else {
+      throw new Error("unknown command " + params.command);
+    }
+
+    for (var uri in this.documents) {
+      this.checkDocument(this.documents[uri]);
+    }
+
+    return null;
+  },
+
+  /**
+   * Appends a word to the first word list of the configuration, or to the
+   * .typo-words file of the workspace.
+   */
+
+  addToWordList: function(word) {
+    var file = this.config && this.config.words.length > 0 ? this.config.words[0] : path.join(this.root, ".typo-words");
+    var existing = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+
+    fs.appendFileSync(file, (existing && !/\n$/.test(existing) ? "\n" : "") + word + "\n");
+  },
+
+  /**
+   * Returns the checkText() options of a document.
+   */
+
+  checkOptions: function(document) {
+    var file = toPath(document.uri);
+    var configured = this.config ? projectConfig.fileOptions(this.config, file) : {};
+    var languageMode = LANGUAGE_MODES[document.languageId] ||
+      ({}.hasOwnProperty.call(code.LANGUAGES, document.languageId) ? "code" : null);
+
+    return {
+      mode: configured.mode || languageMode || "auto",
+      language: languageMode === "code" ? document.languageId : undefined,
+      fileName: file || document.uri,
+      suggest: false,
+      ignoreWords: configured.ignoreWords,
+      ignorePatterns: configured.ignorePatterns
+    };
+  },
+
+  checkText: function(document, range) {
+    var file = toPath(document.uri);
+
+    if (!this.dictionary || (this.config && file && projectConfig.isIgnored(this.config, file))) {
+      return [];
+    }
+
+    return this.dictionary.checkText(document.text, Object.assign(this.checkOptions(document), { range: range }));
+  },
+
+  checkDocument: function(document) {
+    document.misspellings = this.checkText(document);
+    this.publish(document);
+  },
+
+  publish: function(document) {
+    this.notify("textDocument/publishDiagnostics", {
+      uri: document.uri,
+      version: document.version,
+      diagnostics: document.misspellings.map(toDiagnostic)
+    });
+  }
+};
+
+/**
+ * Starts a server.
+ *
+ * @param {Readable} input The stream of the client messages, e.g. process.stdin.
+ * @param {Writable} output The stream of the server messages, e.g. process.stdout.
+ * @param {Object} [options] See Server.
+ * @returns {Server}
+ */
+
+function start(input, output, options) {
+  return new Server(new Connection(input, output), options);
+}
+
+module.exports = {
+  COMMANDS: COMMANDS,
+  Connection: Connection,
+  Server: Server,
+  start: start
+};
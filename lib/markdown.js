@@ -0,0 +1,244 @@
+"use strict";
+
+/**
+ * Markdown mode: checks the prose of a document, its link texts and titles
+ * and its image alt texts. Front matter, fenced and indented code blocks,
+ * code spans, link destinations, reference labels, autolinks and inline
+ * HTML markup are hidden.
+ */
+
+var tokenizer = require("./tokenize");
+var html = require("./html");
+
+var FENCE = /^ {0,3}(`{3,}|~{3,})/;
+var LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s/;
+var TITLE = "(\"[^\"]*\"|'[^']*'|\\([^)]*\\))";
+
+/**
+ * Blanks a range of a masked document.
+ */
+
+function blankRange(text, start, end) {
+  return text.substring(0, start) + tokenizer.blank(text.substring(start, end)) + text.substring(end);
+}
+
+/**
+ * Blanks every match of an expression, except for the text of one capture group.
+ *
+ * @param {String} text
+ * @param {RegExp} expression A global expression.
+ * @param {Number} [keptGroup] The index of the group to keep, if any.
+ * @returns {String}
+ */
+
+function blankMatches(text, expression, keptGroup) {
+  return text.replace(expression, function(matched) {
+    var groups = arguments;
+    var kept = keptGroup ? groups[keptGroup] : undefined;
+
+    if (kept === undefined) {
+      return tokenizer.blank(matched);
+    }
+
+    var keptStart = matched.lastIndexOf(kept);
+
+    return tokenizer.blank(matched.substring(0, keptStart)) + kept +
+      tokenizer.blank(matched.substring(keptStart + kept.length));
+  });
+}
+
+/**
+ * Blanks front matter and fenced and indented code blocks.
+ *
+ * @param {String} text
+ * @returns {String}
+ */
+
+function maskBlocks(text) {
+  var lines = text.split("\n");
+  var offset = 0;
+  var fence = null;
+  var blockStart = 0;
+  var previousBlank = true;
+  var inList = false;
+  var inIndentedCode = false;
+
+  if (/^---\r?$/.test(lines[0])) {
+    var frontMatterEnd = text.search(/\n(?:---|\.\.\.)\r?(?:\n|$)/);
+
+    if (frontMatterEnd !== -1) {
+      var closingLine = text.indexOf("\n", frontMatterEnd + 1);
+
+      closingLine = closingLine === -1 ? text.length : closingLine;
+      text = blankRange(text, 0, closingLine);
+    }
+  }
+
+  for (var i = 0, len = lines.length; i < len; i++) {
+    var line = lines[i];
+    var lineEnd = offset + line.length;
+    var isBlank = /^\s*$/.test(line);
+
+    if (fence) {
+      if (new RegExp("^ {0,3}" + fence[0] + "{" + fence.length + ",}\\s*$").test(line)) {
+        text = blankRange(text, blockStart, lineEnd);
+        fence = null;
+      }
+    } else if (FENCE.test(line)) {
+      fence = FENCE.exec(line)[1];
+      blockStart = offset;
+    } else if (/^( {4}|\t)/.test(line) && !isBlank && (inIndentedCode || (previousBlank && !inList))) {
+      text = blankRange(text, offset, lineEnd);
+      inIndentedCode = true;
+    } else if (!isBlank) {
+      inIndentedCode = false;
+      inList = LIST_ITEM.test(line) || (inList && /^\s/.test(line));
+    }
+
+    previousBlank = isBlank;
+    offset = lineEnd + 1;
+  }
+
+  if (fence) {
+    // An unclosed fence runs to the end of the document.
+    text = blankRange(text, blockStart, text.length);
+  }
+
+  return text;
+}
+
+/**
+ * Blanks the destinations of inline links and images, "](destination "title")",
+ * except for their titles. Destinations are scanned by hand rather than with
+ * a regular expression, which backtracks quadratically on a "](" followed by
+ * a long run of spaces or of destination characters: the ends of such runs
+ * are computed once, as are the closing characters found.
+ *
+ * @param {String} text
+ * @returns {String}
+ */
+
+function blankLinkDestinations(text) {
+  var start = text.indexOf("](");
+
+  if (start === -1) {
+    return text;
+  }
+
+  var len = text.length;
+  // The end of the run of spaces, and of destination characters, from each position.
+  var spacesEnd = new Int32Array(len + 1);
+  var destinationEnd = new Int32Array(len + 1);
+  var found = {};
+  var rv = "";
+  var last = 0;
+
+  spacesEnd[len] = destinationEnd[len] = len;
+
+  for (var i = len - 1; i >= 0; i--) {
+    var isSpace = /\s/.test(text[i]);
+
+    spacesEnd[i] = isSpace ? spacesEnd[i + 1] : i;
+    destinationEnd[i] = isSpace || text[i] === ")" ? i : destinationEnd[i + 1];
+  }
+
+  // Where a character is found from a position on, or -1.
+  function find(character, from) {
+    var previous = found[character];
+
+    if (!previous || from < previous.from || (previous.at !== -1 && from > previous.at)) {
+      previous = found[character] = { from: from, at: text.indexOf(character, from) };
+    }
+
+    return previous.at;
+  }
+
+  // The end of the link from the end of its destination, as { end, title }, or null.
+  function close(position) {
+    var titleStart = spacesEnd[position];
+    var closer = { "\"": "\"", "'": "'", "(": ")" }[text[titleStart]];
+
+    if (closer && titleStart > position) {
+      var titleEnd = find(closer, titleStart + 1);
+
+      if (titleEnd !== -1 && text[spacesEnd[titleEnd + 1]] === ")") {
+        return { end: spacesEnd[titleEnd + 1] + 1, title: [ titleStart, titleEnd + 1 ] };
+      }
+    }
+
+    return text[titleStart] === ")" ? { end: titleStart + 1, title: null } : null;
+  }
+
+  for (; start !== -1; start = text.indexOf("](", start + 1)) {
+    var destination = spacesEnd[start + 2];
+    var link = null;
+
+    if (text[destination] === "<" && find(">", destination) !== -1) {
+      link = close(find(">", destination) + 1);
+    }
+
+    if (!link && destinationEnd[destination] > destination) {
+      link = close(destinationEnd[destination]);
+    }
+
+    // Without a destination, the spaces after "](" may precede a title.
+    link = link || close(start + 2);
+
+    if (link) {
+      var keptStart = link.title ? link.title[0] : link.end;
+      var keptEnd = link.title ? link.title[1] : link.end;
+
+      rv += text.substring(last, start) + tokenizer.blank(text.substring(start, keptStart)) +
+        text.substring(keptStart, keptEnd) + tokenizer.blank(text.substring(keptEnd, link.end));
+      last = link.end;
+      start = link.end - 1;
+    }
+  }
+
+  return rv + text.substring(last);
+}
+
+/**
+ * Hides everything of a Markdown document but its prose, keeping every offset.
+ *
+ * @param {String} text The document.
+ * @returns {String} The document with code and markup replaced by spaces.
+ */
+
+function mask(text) {
+  text = maskBlocks(text);
+
+  // Code spans, closed by a backtick run of the same length.
+  text = blankMatches(text, /(`+)[\s\S]*?[^`]\1(?!`)|(`+)\2(?!`)/g);
+
+  // Autolinks: <https://example.com>, <someone@example.com>.
+  text = blankMatches(text, /<(?:[a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*|[^\s<>@]+@[^\s<>]+)>/g);
+
+  // Reference definitions: [label]: destination "title".
+  text = blankMatches(text, new RegExp("^ {0,3}\\[[^\\]]+\\]:[ \\t]*\\S+(?:\\s+" + TITLE + ")?[ \\t]*$", "gm"), 1);
+
+  // Inline link and image destinations: [text](destination "title").
+  text = blankLinkDestinations(text);
+
+  // Reference labels: [text][label].
+  text = blankMatches(text, /\]\[[^\]]*\]/g);
+
+  return html.mask(text);
+}
+
+/**
+ * Finds the words of a Markdown document that should be spellchecked.
+ *
+ * @param {String} text The document.
+ * @param {String} [wordChars=""] The WORDCHARS of the dictionary.
+ * @returns {Object[]} The words, as { word, start, end } in document offsets.
+ */
+
+function tokenize(text, wordChars) {
+  return tokenizer.tokenize(mask(text), wordChars);
+}
+
+module.exports = {
+  mask: mask,
+  tokenize: tokenize
+};
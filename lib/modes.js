@@ -0,0 +1,79 @@
+"use strict";
+
+/**
+ * The checking modes of Typo#checkText(). Each mode is a tokenizer with the
+ * signature tokenize(text, wordChars, options), returning the words to check
+ * as { word, start, end } offsets into the original text.
+ */
+
+var tokenizer = require("./tokenize");
+var code = require("./code");
+var markdown = require("./markdown");
+var html = require("./html");
+
+var MODES = {
+  text: tokenizer.tokenize,
+  code: code.tokenize,
+  markdown: markdown.tokenize,
+  html: html.tokenize
+};
+
+var EXTENSIONS = {
+  markdown: [ "md", "markdown", "mdown", "mkd", "mdx" ],
+  html: [ "html", "htm", "xhtml", "vue", "svelte" ]
+};
+
+/**
+ * Picks the mode for a file, going by its extension.
+ *
+ * @param {String} fileName
+ * @returns {String} The mode name.
+ */
+
+function detectMode(fileName) {
+  var extension = String(fileName).replace(/^.*\./, "").toLowerCase();
+
+  for (var mode in EXTENSIONS) {
+    if (EXTENSIONS[mode].indexOf(extension) !== -1) {
+      return mode;
+    }
+  }
+
+  if (code.detectLanguage(fileName)) {
+    return "code";
+  }
+
+  return "text";
+}
+
+/**
+ * Finds the words of a text in a given mode.
+ *
+ * @param {String} text
+ * @param {String} wordChars The WORDCHARS of the dictionary.
+ * @param {Object} [options] The checkText() options; "mode" selects the tokenizer
+ *                           and defaults to "text", "auto" detects it from "fileName".
+ * @returns {Object[]} The words, as { word, start, end }.
+ */
+
+function tokenize(text, wordChars, options) {
+  options = options || {};
+
+  var mode = options.mode || "text";
+
+  if (mode === "auto") {
+    mode = detectMode(options.fileName || "");
+  }
+
+  if (!{}.hasOwnProperty.call(MODES, mode)) {
+    throw new Error("Typo: unknown mode \"" + mode + "\"");
+  }
+
+  return MODES[mode](text, wordChars, options);
+}
+
+module.exports = {
+  MODES: MODES,
+  detectMode: detectMode,
+  tokenize: tokenize
+};
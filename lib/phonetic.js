@@ -0,0 +1,813 @@
+"use strict";
+
+/**
+ * Phonetic codes for the phonetic pass of Typo#suggest(), which finds words
+ * that sound like a misspelling too far from them in edits ("fonetik" for
+ * "phonetic", "nollij" for "knowledge").
+ *
+ * Dictionaries may describe their pronunciation with the PHONE directive of
+ * hunspell (aspell's phonet rules). Other dictionaries are encoded with
+ * Lawrence Philips' Double Metaphone, which is designed for English but does
+ * reasonably well on most Latin-script languages.
+ */
+
+/**
+ * Parses the search pattern of a PHONE rule: letters, an optional group of
+ * alternatives for the next letter ("(AEIOU)"), then "-" for each trailing
+ * letter that is only looked at and left for the next rules, "<" to feed the
+ * replacement back to the rules, a priority digit, "^" (start of word) and
+ * "$" (end of word).
+ *
+ * @param {String} pattern
+ * @param {String} replacement "_" for nothing.
+ * @returns {Object}
+ */
+
+function parsePhoneRule(pattern, replacement) {
+  var parts = /^([^(<\-\d^$]+)(?:\(([^)]*)\))?(-*)(<?)\d?(\^{0,2})(\$?)$/.exec(pattern);
+
+  if (!parts) {
+    parts = [ pattern, pattern, undefined, "", "", "", "" ];
+  }
+
+  return {
+    letters: parts[1],
+    group: parts[2] === undefined ? null : parts[2],
+    lookahead: parts[3].length,
+    restart: parts[4] === "<",
+    atStart: parts[5] !== "",
+    atEnd: parts[6] === "$",
+    replacement: replacement === "_" ? "" : replacement
+  };
+}
+
+/**
+ * Compiles the PHONE table of a dictionary, indexing its rules by first letter.
+ *
+ * @param {Array[]} phoneTable The [ pattern, replacement ] entries, in .aff order.
+ * @returns {Object} The rules, for phone().
+ */
+
+function compilePhoneTable(phoneTable) {
+  var rules = {};
+
+  phoneTable.forEach(function(entry) {
+    var rule = parsePhoneRule(entry[0], entry[1]);
+    var first = rule.letters[0];
+
+    (rules[first] = rules[first] || []).push(rule);
+  });
+
+  return rules;
+}
+
+/**
+ * Returns the end of the match of a PHONE rule at a position, or -1.
+ */
+
+function matchPhoneRule(rule, word, position) {
+  if (!word.startsWith(rule.letters, position) || (rule.atStart && position !== 0)) {
+    return -1;
+  }
+
+  var end = position + rule.letters.length;
+
+  if (rule.group !== null) {
+    if (end >= word.length || rule.group.indexOf(word[end]) === -1) {
+      return -1;
+    }
+
+    end++;
+  }
+
+  return rule.atEnd && end !== word.length ? -1 : end;
+}
+
+/**
+ * Encodes a word with PHONE rules. The first matching rule, in .aff order,
+ * applies at each position; letters without a rule are kept, unless they
+ * repeat the previous one. Rule priorities are not supported.
+ *
+ * @param {String} word
+ * @param {Object} rules The rules, from compilePhoneTable().
+ * @returns {String} The phonetic code.
+ */
+
+function phone(word, rules) {
+  var code = "";
+  var position = 0;
+  // Bounds the rewriting of "<" rules, which could otherwise loop.
+  var restarts = 0;
+
+  word = word.toUpperCase();
+
+  while (position < word.length) {
+    var candidates = rules[word[position]] || [];
+    var applied = false;
+
+    for (var i = 0, len = candidates.length; i < len && !applied; i++) {
+      var rule = candidates[i];
+      var end = matchPhoneRule(rule, word, position);
+
+      if (end === -1) {
+        continue;
+      }
+
+      var consumed = Math.max(end - position - rule.lookahead, 1);
+
+      if (rule.restart && restarts < word.length * 4) {
+        word = word.substring(0, position) + rule.replacement + word.substring(position + consumed);
+        restarts++;
+      } else {
+        code += rule.replacement;
+        position += consumed;
+      }
+
+      applied = true;
+    }
+
+    if (!applied) {
+      if (word[position] !== code[code.length - 1]) {
+        code += word[position];
+      }
+
+      position++;
+    }
+  }
+
+  return code;
+}
+
+/**
+ * Encodes a word with Double Metaphone. Codes are not truncated to four
+ * characters, as the original algorithm does, to tell more words apart.
+ *
+ * @param {String} word
+ * @returns {String[]} The primary and the alternate codes.
+ */
+
+function doubleMetaphone(word) {
+  var primary = "";
+  var secondary = "";
+  var index = 0;
+
+  word = word.toUpperCase();
+
+  var length = word.length;
+  var last = length - 1;
+  var isSlavoGermanic = /W|K|CZ|WITZ/.test(word);
+  var isGermanic = /^(VAN |VON |SCH)/.test(word);
+
+  function charAt(position) {
+    return word.charAt(position);
+  }
+
+  function stringAt(start, count, list) {
+    return start >= 0 && list.indexOf(word.substr(start, count)) !== -1;
+  }
+
+  function isVowel(position) {
+    var character = word.charAt(position);
+
+    return character !== "" && "AEIOUY".indexOf(character) !== -1;
+  }
+
+  function add(main, alternate) {
+    primary += main;
+    secondary += alternate === undefined ? main : alternate;
+  }
+
+  // Silent first letters: "gnome", "knight", "pneumatic", "wrong", "psalm".
+  if (stringAt(0, 2, [ "GN", "KN", "PN", "WR", "PS" ])) {
+    index++;
+  }
+
+  // "Xavier".
+  if (charAt(0) === "X") {
+    add("S");
+    index++;
+  }
+
+  while (index < length) {
+    switch (charAt(index)) {
+    case "A":
+    case "E":
+    case "I":
+    case "O":
+    case "U":
+    case "Y":
+      if (index === 0) {
+        add("A");
+      }
+
+      index++;
+      break;
+
+    case "B":
+      add("P");
+      index += charAt(index + 1) === "B" ? 2 : 1;
+      break;
+
+    case "Ç":
+      add("S");
+      index++;
+      break;
+
+    case "C":
+      // Germanic "ach", as in "bacher" and "macher".
+      if (index > 1 && !isVowel(index - 2) && stringAt(index - 1, 3, [ "ACH" ]) &&
+          charAt(index + 2) !== "I" && (charAt(index + 2) !== "E" || stringAt(index - 2, 6, [ "BACHER", "MACHER" ]))) {
+        add("K");
+        index += 2;
+        break;
+      }
+
+      if (index === 0 && stringAt(index, 6, [ "CAESAR" ])) {
+        add("S");
+        index += 2;
+        break;
+      }
+
+      // "Chianti".
+      if (stringAt(index, 4, [ "CHIA" ])) {
+        add("K");
+        index += 2;
+        break;
+      }
+
+      if (stringAt(index, 2, [ "CH" ])) {
+        // "Michael".
+        if (index > 0 && stringAt(index, 4, [ "CHAE" ])) {
+          add("K", "X");
+          index += 2;
+          break;
+        }
+
+        // Greek roots: "chemistry", "chorus".
+        if (index === 0 && (stringAt(index + 1, 5, [ "HARAC", "HARIS" ]) ||
+            stringAt(index + 1, 3, [ "HOR", "HYM", "HIA", "HEM" ])) && !stringAt(0, 5, [ "CHORE" ])) {
+          add("K");
+          index += 2;
+          break;
+        }
+
+        if (isGermanic || stringAt(index - 2, 6, [ "ORCHES", "ARCHIT", "ORCHID" ]) || stringAt(index + 2, 1, [ "T", "S" ]) ||
+            ((stringAt(index - 1, 1, [ "A", "O", "U", "E" ]) || index === 0) &&
+             stringAt(index + 2, 1, [ "L", "R", "N", "M", "B", "H", "F", "V", "W", " " ]))) {
+          add("K");
+        } else if (index > 0) {
+          if (stringAt(0, 2, [ "MC" ])) {
+            add("K");
+          } else {
+            add("X", "K");
+          }
+        } else {
+          add("X");
+        }
+
+        index += 2;
+        break;
+      }
+
+      // "Czerny".
+      if (stringAt(index, 2, [ "CZ" ]) && !stringAt(index - 2, 4, [ "WICZ" ])) {
+        add("S", "X");
+        index += 2;
+        break;
+      }
+
+      // "Focaccia".
+      if (stringAt(index + 1, 3, [ "CIA" ])) {
+        add("X");
+        index += 3;
+        break;
+      }
+
+      // Double "c", but not "McClellan".
+      if (stringAt(index, 2, [ "CC" ]) && !(index === 1 && charAt(0) === "M")) {
+        // "Bellocchio", but not "bacchus".
+        if (stringAt(index + 2, 1, [ "I", "E", "H" ]) && !stringAt(index + 2, 2, [ "HU" ])) {
+          // "Accident", "accede", "succeed".
+          if ((index === 1 && charAt(index - 1) === "A") || stringAt(index - 1, 5, [ "UCCEE", "UCCES" ])) {
+            add("KS");
+          } else {
+            add("X");
+          }
+
+          index += 3;
+          break;
+        }
+
+        add("K");
+        index += 2;
+        break;
+      }
+
+      if (stringAt(index, 2, [ "CK", "CG", "CQ" ])) {
+        add("K");
+        index += 2;
+        break;
+      }
+
+      if (stringAt(index, 2, [ "CI", "CE", "CY" ])) {
+        if (stringAt(index, 3, [ "CIO", "CIE", "CIA" ])) {
+          add("S", "X");
+        } else {
+          add("S");
+        }
+
+        index += 2;
+        break;
+      }
+
+      add("K");
+
+      // "Mac Caffrey", "Mac Gregor".
+      if (stringAt(index + 1, 2, [ " C", " Q", " G" ])) {
+        index += 3;
+      } else if (stringAt(index + 1, 1, [ "C", "K", "Q" ]) && !stringAt(index + 1, 2, [ "CE", "CI" ])) {
+        index += 2;
+      } else {
+        index++;
+      }
+
+      break;
+
+    case "D":
+      if (stringAt(index, 2, [ "DG" ])) {
+        // "Edge".
+        if (stringAt(index + 2, 1, [ "I", "E", "Y" ])) {
+          add("J");
+          index += 3;
+        } else {
+          // "Edgar".
+          add("TK");
+          index += 2;
+        }
+
+        break;
+      }
+
+      add("T");
+      index += stringAt(index, 2, [ "DT", "DD" ]) ? 2 : 1;
+      break;
+
+    case "F":
+      add("F");
+      index += charAt(index + 1) === "F" ? 2 : 1;
+      break;
+
+    case "G":
+      if (charAt(index + 1) === "H") {
+        if (index > 0 && !isVowel(index - 1)) {
+          add("K");
+          index += 2;
+          break;
+        }
+
+        // "Ghislane", "ghost".
+        if (index === 0) {
+          add(charAt(index + 2) === "I" ? "J" : "K");
+          index += 2;
+          break;
+        }
+
+        // Parker's rule: "Hugh", "bough", "broughton" are silent.
+        if ((index > 1 && stringAt(index - 2, 1, [ "B", "H", "D" ])) ||
+            (index > 2 && stringAt(index - 3, 1, [ "B", "H", "D" ])) ||
+            (index > 3 && stringAt(index - 4, 1, [ "B", "H" ]))) {
+          index += 2;
+          break;
+        }
+
+        // "Laugh", "McLaughlin", "cough", "rough", "tough".
+        if (index > 2 && charAt(index - 1) === "U" && stringAt(index - 3, 1, [ "C", "G", "L", "R", "T" ])) {
+          add("F");
+        } else if (index > 0 && charAt(index - 1) !== "I") {
+          add("K");
+        }
+
+        index += 2;
+        break;
+      }
+
+      if (charAt(index + 1) === "N") {
+        if (index === 1 && isVowel(0) && !isSlavoGermanic) {
+          add("KN", "N");
+        } else if (!stringAt(index + 2, 2, [ "EY" ]) && charAt(index + 1) !== "Y" && !isSlavoGermanic) {
+          add("N", "KN");
+        } else {
+          add("KN");
+        }
+
+        index += 2;
+        break;
+      }
+
+      // "Tagliaro".
+      if (stringAt(index + 1, 2, [ "LI" ]) && !isSlavoGermanic) {
+        add("KL", "L");
+        index += 2;
+        break;
+      }
+
+      // "Gerald", "gyro" at the start of a word.
+      if (index === 0 && (charAt(index + 1) === "Y" ||
+          stringAt(index + 1, 2, [ "ES", "EP", "EB", "EL", "EY", "IB", "IL", "IN", "IE", "EI", "ER" ]))) {
+        add("K", "J");
+        index += 2;
+        break;
+      }
+
+      // "Auger", "buggy", but not "danger", "ranger", "manger".
+      if ((stringAt(index + 1, 2, [ "ER" ]) || charAt(index + 1) === "Y") &&
+          !stringAt(0, 6, [ "DANGER", "RANGER", "MANGER" ]) && !stringAt(index - 1, 1, [ "E", "I" ]) &&
+          !stringAt(index - 1, 3, [ "RGY", "OGY" ])) {
+        add("K", "J");
+        index += 2;
+        break;
+      }
+
+      // Italian "biaggi".
+      if (stringAt(index + 1, 1, [ "E", "I", "Y" ]) || stringAt(index - 1, 4, [ "AGGI", "OGGI" ])) {
+        if (isGermanic || stringAt(index + 1, 2, [ "ET" ])) {
+          add("K");
+        } else if (stringAt(index + 1, 4, [ "IER " ])) {
+          add("J");
+        } else {
+          add("J", "K");
+        }
+
+        index += 2;
+        break;
+      }
+
+      add("K");
+      index += charAt(index + 1) === "G" ? 2 : 1;
+      break;
+
+    case "H":
+      // Only kept between vowels, or at the start before a vowel.
+      if ((index === 0 || isVowel(index - 1)) && isVowel(index + 1)) {
+        add("H");
+        index += 2;
+      } else {
+        index++;
+      }
+
+      break;
+
+    case "J":
+      // "Jose", "San Jacinto".
+      if (stringAt(index, 4, [ "JOSE" ]) || stringAt(0, 4, [ "SAN " ])) {
+        if ((index === 0 && charAt(index + 4) === " ") || stringAt(0, 4, [ "SAN " ])) {
+          add("H");
+        } else {
+          add("J", "H");
+        }
+
+        index++;
+        break;
+      }
+
+      if (index === 0) {
+        // "Yankelovich", "Jankelowicz".
+        add("J", "A");
+      } else if (isVowel(index - 1) && !isSlavoGermanic && (charAt(index + 1) === "A" || charAt(index + 1) === "O")) {
+        // Spanish "bajador".
+        add("J", "H");
+      } else if (index === last) {
+        add("J", "");
+      } else if (!stringAt(index + 1, 1, [ "L", "T", "K", "S", "N", "M", "B", "Z" ]) && !stringAt(index - 1, 1, [ "S", "K", "L" ])) {
+        add("J");
+      }
+
+      index += charAt(index + 1) === "J" ? 2 : 1;
+      break;
+
+    case "K":
+      add("K");
+      index += charAt(index + 1) === "K" ? 2 : 1;
+      break;
+
+    case "L":
+      if (charAt(index + 1) === "L") {
+        // Spanish "cabrillo", "gallegos".
+        if ((index === length - 3 && stringAt(index - 1, 4, [ "ILLO", "ILLA", "ALLE" ])) ||
+            ((stringAt(last - 1, 2, [ "AS", "OS" ]) || stringAt(last, 1, [ "A", "O" ])) && stringAt(index - 1, 4, [ "ALLE" ]))) {
+          add("L", "");
+          index += 2;
+          break;
+        }
+
+        index += 2;
+      } else {
+        index++;
+      }
+
+      add("L");
+      break;
+
+    case "M":
+      add("M");
+
+      // "Dumb", "thumb".
+      if ((stringAt(index - 1, 3, [ "UMB" ]) && (index + 1 === last || stringAt(index + 2, 2, [ "ER" ]))) ||
+          charAt(index + 1) === "M") {
+        index += 2;
+      } else {
+        index++;
+      }
+
+      break;
+
+    case "N":
+      add("N");
+      index += charAt(index + 1) === "N" ? 2 : 1;
+      break;
+
+    case "Ñ":
+      add("N");
+      index++;
+      break;
+
+    case "P":
+      if (charAt(index + 1) === "H") {
+        add("F");
+        index += 2;
+        break;
+      }
+
+      // "Campbell", "raspberry".
+      add("P");
+      index += stringAt(index + 1, 1, [ "P", "B" ]) ? 2 : 1;
+      break;
+
+    case "Q":
+      add("K");
+      index += charAt(index + 1) === "Q" ? 2 : 1;
+      break;
+
+    case "R":
+      // French "Rogier", but not "Hochmeier".
+      if (index === last && !isSlavoGermanic && stringAt(index - 2, 2, [ "IE" ]) && !stringAt(index - 4, 2, [ "ME", "MA" ])) {
+        add("", "R");
+      } else {
+        add("R");
+      }
+
+      index += charAt(index + 1) === "R" ? 2 : 1;
+      break;
+
+    case "S":
+      // "Island", "isle", "carlisle", "carlysle".
+      if (stringAt(index - 1, 3, [ "ISL", "YSL" ])) {
+        index++;
+        break;
+      }
+
+      if (index === 0 && stringAt(index, 5, [ "SUGAR" ])) {
+        add("X", "S");
+        index++;
+        break;
+      }
+
+      if (stringAt(index, 2, [ "SH" ])) {
+        // Germanic "Holmes".
+        if (stringAt(index + 1, 4, [ "HEIM", "HOEK", "HOLM", "HOLZ" ])) {
+          add("S");
+        } else {
+          add("X");
+        }
+
+        index += 2;
+        break;
+      }
+
+      // Italian and Armenian "sio", "sia".
+      if (stringAt(index, 3, [ "SIO", "SIA" ]) || stringAt(index, 4, [ "SIAN" ])) {
+        if (isSlavoGermanic) {
+          add("S");
+        } else {
+          add("S", "X");
+        }
+
+        index += 3;
+        break;
+      }
+
+      // German and anglicized "Smith" and "Schmidt", "snider" and "Schneider".
+      if ((index === 0 && stringAt(index + 1, 1, [ "M", "N", "L", "W" ])) || stringAt(index + 1, 1, [ "Z" ])) {
+        add("S", "X");
+        index += stringAt(index + 1, 1, [ "Z" ]) ? 2 : 1;
+        break;
+      }
+
+      if (stringAt(index, 2, [ "SC" ])) {
+        if (charAt(index + 2) === "H") {
+          // Dutch "school", "schooner", and "Schermerhorn", "Schenker".
+          if (stringAt(index + 3, 2, [ "OO", "ER", "EN", "UY", "ED", "EM" ])) {
+            if (stringAt(index + 3, 2, [ "ER", "EN" ])) {
+              add("X", "SK");
+            } else {
+              add("SK");
+            }
+          } else if (index === 0 && !isVowel(3) && charAt(3) !== "W") {
+            add("X", "S");
+          } else {
+            add("X");
+          }
+
+          index += 3;
+          break;
+        }
+
+        if (stringAt(index + 2, 1, [ "I", "E", "Y" ])) {
+          add("S");
+        } else {
+          add("SK");
+        }
+
+        index += 3;
+        break;
+      }
+
+      // French "resnais", "artois".
+      if (index === last && stringAt(index - 2, 2, [ "AI", "OI" ])) {
+        add("", "S");
+      } else {
+        add("S");
+      }
+
+      index += stringAt(index + 1, 1, [ "S", "Z" ]) ? 2 : 1;
+      break;
+
+    case "T":
+      if (stringAt(index, 4, [ "TION" ]) || stringAt(index, 3, [ "TIA", "TCH" ])) {
+        add("X");
+        index += 3;
+        break;
+      }
+
+      if (stringAt(index, 2, [ "TH" ]) || stringAt(index, 3, [ "TTH" ])) {
+        // "Thomas", "Thames", and Germanic names.
+        if (stringAt(index + 2, 2, [ "OM", "AM" ]) || isGermanic) {
+          add("T");
+        } else {
+          add("0", "T");
+        }
+
+        index += 2;
+        break;
+      }
+
+      add("T");
+      index += stringAt(index + 1, 1, [ "T", "D" ]) ? 2 : 1;
+      break;
+
+    case "V":
+      add("F");
+      index += charAt(index + 1) === "V" ? 2 : 1;
+      break;
+
+    case "W":
+      if (stringAt(index, 2, [ "WR" ])) {
+        add("R");
+        index += 2;
+        break;
+      }
+
+      // "Wasserman" may be pronounced "Vasserman".
+      if (index === 0 && (isVowel(index + 1) || stringAt(index, 2, [ "WH" ]))) {
+        if (isVowel(index + 1)) {
+          add("A", "F");
+        } else {
+          add("A");
+        }
+      }
+
+      // Polish "Filipowicz", and "Arnow" pronounced the German way.
+      if ((index === last && isVowel(index - 1)) || stringAt(index - 1, 5, [ "EWSKI", "EWSKY", "OWSKI", "OWSKY" ]) ||
+          stringAt(0, 3, [ "SCH" ])) {
+        add("", "F");
+        index++;
+        break;
+      }
+
+      if (stringAt(index, 4, [ "WICZ", "WITZ" ])) {
+        add("TS", "FX");
+        index += 4;
+        break;
+      }
+
+      index++;
+      break;
+
+    case "X":
+      // French "breaux".
+      if (!(index === last && (stringAt(index - 3, 3, [ "IAU", "EAU" ]) || stringAt(index - 2, 2, [ "AU", "OU" ])))) {
+        add("KS");
+      }
+
+      index += stringAt(index + 1, 1, [ "C", "X" ]) ? 2 : 1;
+      break;
+
+    case "Z":
+      // Chinese pinyin "Zhao".
+      if (charAt(index + 1) === "H") {
+        add("J");
+        index += 2;
+        break;
+      }
+
+      if (stringAt(index + 1, 2, [ "ZO", "ZI", "ZA" ]) || (isSlavoGermanic && index > 0 && charAt(index - 1) !== "T")) {
+        add("S", "TS");
+      } else {
+        add("S");
+      }
+
+      index += charAt(index + 1) === "Z" ? 2 : 1;
+      break;
+
+    default:
+      index++;
+    }
+  }
+
+  return [ primary, secondary ];
+}
+
+/**
+ * Creates the phonetic encoder of a dictionary.
+ *
+ * @param {Array[]} [phoneTable] The PHONE entries of the dictionary, if any.
+ * @returns {Function} A function(word) returning the distinct non-empty codes of a word.
+ */
+
+function createEncoder(phoneTable) {
+  if (phoneTable && phoneTable.length > 0) {
+    var rules = compilePhoneTable(phoneTable);
+
+    return function(word) {
+      var code = phone(word, rules);
+
+      return code ? [ code ] : [];
+    };
+  }
+
+  return function(word) {
+    var codes = doubleMetaphone(word);
+
+    return codes.filter(function(code, i) {
+      return code !== "" && codes.indexOf(code) === i;
+    });
+  };
+}
+
+/**
+ * Adds words to an index of words by phonetic code.
+ *
+ * @param {Object} index A map from each code to the words having it.
+ * @param {String[]} words
+ * @param {Function} encode The encoder, from createEncoder().
+ */
+
+function addToIndex(index, words, encode) {
+  for (var i = 0, len = words.length; i < len; i++) {
+    var codes = encode(words[i]);
+
+    for (var j = 0, codesLen = codes.length; j < codesLen; j++) {
+      if (!{}.hasOwnProperty.call(index, codes[j])) {
+        index[codes[j]] = [];
+      }
+
+      index[codes[j]].push(words[i]);
+    }
+  }
+}
+
+/**
+ * Indexes the words of a trie by phonetic code.
+ *
+ * @param {WordTrie} trie The words.
+ * @param {Function} encode The encoder, from createEncoder().
+ * @returns {Object} A map from each code to the words having it.
+ */
+
+function buildIndex(trie, encode) {
+  var index = {};
+
+  addToIndex(index, trie.words(), encode);
+
+  return index;
+}
+
+module.exports = {
+  parsePhoneRule: parsePhoneRule,
+  compilePhoneTable: compilePhoneTable,
+  phone: phone,
+  doubleMetaphone: doubleMetaphone,
+  createEncoder: createEncoder,
+  addToIndex: addToIndex,
+  buildIndex: buildIndex
+};
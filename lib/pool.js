@@ -0,0 +1,301 @@
+"use strict";
+
+/**
+ * The worker threads behind Typo.create().
+ *
+ * The first worker parses the dictionary, so that the main thread never
+ * blocks on it, then moves its word trie to shared memory (see
+ * WordTrie#share()). The main thread and the other workers build their Typo
+ * instances over that same memory, and only copy the small tables of the
+ * dictionary (affix rules, flags...).
+ *
+ * Requests are posted to the worker with the fewest pending requests, as
+ * { id, method, args }, and answered with { id, result } or { id, error }.
+ * Messages without an id change the dictionary of every worker and are not
+ * answered. A worker that crashes or exits leaves the pool.
+ */
+
+var os = require("os");
+var path = require("path");
+var Typo = require("../typo");
+var WordTrie = require("./trie");
+var compiled = require("./compiled");
+
+var WORKER_SCRIPT = path.join(__dirname, "worker.js");
+
+/**
+ * Returns the state of a parsed Typo instance to post to other threads,
+ * sharing its word trie.
+ *
+ * @param {Typo} typo
+ * @returns {Object}
+ */
+
+function shareState(typo) {
+  return { properties: compiled.properties(typo), trie: typo.dictionaryTable.share() };
+}
+
+/**
+ * Builds a Typo instance from the state of another thread; see shareState().
+ *
+ * @param {Object} state
+ * @returns {Typo}
+ */
+
+function fromState(state) {
+  var typo = new Typo().load(state.properties);
+
+  typo.dictionaryTable = WordTrie.fromShared(state.trie);
+
+  return typo;
+}
+
+function spawn(workerData) {
+  var Worker = require("worker_threads").Worker;
+
+  return new Worker(WORKER_SCRIPT, { workerData: workerData });
+}
+
+/**
+ * Pool constructor.
+ *
+ * @param {Worker[]} workers Running workers, with their dictionary loaded or loading.
+ * @returns {Pool}
+ */
+
+function Pool(workers) {
+  var self = this;
+
+  this.requests = {};
+  this.nextId = 1;
+  this.closed = false;
+
+  this.slots = workers.map(function(worker) {
+    var slot = { worker: worker, pending: 0 };
+
+    worker.on("message", function(message) {
+      self.settle(message.id, message.error, message.result);
+    });
+
+    worker.on("error", function(error) {
+      self.fail(slot, error);
+    });
+
+    worker.on("exit", function() {
+      self.fail(slot, new Error("Typo: a worker thread exited"));
+    });
+
+    // Idle workers do not keep the process alive.
+    worker.unref();
+
+    return slot;
+  });
+
+  return this;
+}
+
+Pool.prototype = {
+  /**
+   * Runs a method of the Typo instance of a worker.
+   *
+   * @param {String} method The name of the method, e.g. "suggest".
+   * @param {Array} args Its arguments, which must survive structured cloning.
+   * @returns {Promise} Resolves to the result of the method.
+   */
+
+  run: function(method, args) {
+    var self = this;
+
+    if (this.closed) {
+      return Promise.reject(new Error("Typo: the worker threads are closed"));
+    }
+
+    if (this.slots.length === 0) {
+      return Promise.reject(new Error("Typo: every worker thread has exited"));
+    }
+
+    var slot = this.slots.reduce(function(best, candidate) {
+      return candidate.pending < best.pending ? candidate : best;
+    });
+
+    return new Promise(function(resolve, reject) {
+      var id = self.nextId++;
+
+      self.requests[id] = { resolve: resolve, reject: reject, slot: slot };
+
+      if (slot.pending++ === 0) {
+        slot.worker.ref();
+      }
+
+      try {
+        slot.worker.postMessage({ id: id, method: method, args: args });
+      } catch (e) {
+        // Arguments that cannot be cloned, such as functions.
+        self.settle(id, e.message);
+      }
+    });
+  },
+
+  /**
+   * Calls a method of the Typo instance of every worker, e.g. addWord(), so
+   * that they stay in sync with the instance of the main thread.
+   *
+   * @param {String} method
+   * @param {Array} args
+   */
+
+  broadcast: function(method, args) {
+    if (!this.closed) {
+      this.slots.forEach(function(slot) {
+        slot.worker.postMessage({ method: method, args: args });
+      });
+    }
+  },
+
+  settle: function(id, error, result) {
+    var request = this.requests[id];
+
+    if (!request) {
+      return;
+    }
+
+    delete this.requests[id];
+
+    if (--request.slot.pending === 0) {
+      request.slot.worker.unref();
+    }
+
+    if (typeof error === "string") {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  },
+
+  /**
+   * Removes a worker that crashed or exited from the pool, and rejects its
+   * pending requests.
+   */
+
+  fail: function(slot, error) {
+    var index = this.slots.indexOf(slot);
+
+    if (index !== -1) {
+      this.slots.splice(index, 1);
+    }
+
+    for (var id in this.requests) {
+      if (this.requests[id].slot === slot) {
+        this.requests[id].reject(error);
+        delete this.requests[id];
+      }
+    }
+
+    slot.pending = 0;
+  },
+
+  /**
+   * Stops the workers. Pending requests are rejected.
+   *
+   * @returns {Promise}
+   */
+
+  close: function() {
+    this.closed = true;
+
+    return Promise.all(this.slots.map(function(slot) {
+      return slot.worker.terminate();
+    })).then(function() {});
+  }
+};
+
+/**
+ * Indexes the words of a Typo instance by sound in a worker thread, which
+ * reads its word trie from shared memory; see Typo#buildPhoneticIndexAsync().
+ *
+ * @param {Typo} typo
+ * @returns {Promise} Resolves to the index, as made by phonetic.buildIndex().
+ */
+
+function buildPhoneticIndex(typo) {
+  var worker;
+
+  try {
+    worker = spawn({ phonetic: { trie: typo.dictionaryTable.share(), phoneTable: typo.phoneTable } });
+  } catch (e) {
+    return Promise.reject(e);
+  }
+
+  return new Promise(function(resolve, reject) {
+    worker.once("message", function(message) {
+      resolve(message.index);
+      worker.terminate();
+    });
+
+    worker.once("error", reject);
+
+    worker.once("exit", function(code) {
+      reject(new Error("Typo: the worker thread indexing the dictionary exited with code " + code));
+    });
+  });
+}
+
+/**
+ * Loads a dictionary in worker threads; see Typo.create().
+ *
+ * @param {String} dictionary The locale code of the dictionary, e.g. "en_US".
+ * @param {Object} [settings] Constructor settings, plus workers: the number of
+ *                            worker threads.
+ * @returns {Promise} Resolves to the Typo instance of the main thread.
+ */
+
+function create(dictionary, settings) {
+  settings = settings || {};
+
+  var size = settings.workers || Math.max(1, Math.min(os.cpus().length - 1, 4));
+  var first;
+
+  try {
+    first = spawn({ dictionary: dictionary, settings: settings });
+  } catch (e) {
+    return Promise.reject(e);
+  }
+
+  return new Promise(function(resolve, reject) {
+    first.once("message", function(message) {
+      if (message.error) {
+        first.terminate();
+        reject(new Error(message.error));
+      } else {
+        resolve(message.state);
+      }
+    });
+
+    first.once("error", reject);
+
+    // Without it, a worker exiting before it answers would leave the promise pending.
+    first.once("exit", function(code) {
+      reject(new Error("Typo: the worker thread loading the dictionary exited with code " + code));
+    });
+  }).then(function(state) {
+    var workers = [ first ];
+
+    for (var i = 1; i < size; i++) {
+      workers.push(spawn({ state: state }));
+    }
+
+    var typo = fromState(state);
+
+    typo.pool = new Pool(workers);
+
+    return typo;
+  });
+}
+
+module.exports = {
+  Pool: Pool,
+  create: create,
+  buildPhoneticIndex: buildPhoneticIndex,
+  shareState: shareState,
+  fromState: fromState
+};
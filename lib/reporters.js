@@ -0,0 +1,166 @@
+"use strict";
+
+/**
+ * Output formats of the typo-check command.
+ *
+ * Every reporter takes the list of checked files, as { file, misspellings }
+ * where misspellings come from Typo#checkText(), and returns the report text.
+ */
+
+var pkg = require("../package.json");
+
+function flatten(results) {
+  var rv = [];
+
+  results.forEach(function(result) {
+    result.misspellings.forEach(function(misspelling) {
+      rv.push({ file: result.file, misspelling: misspelling });
+    });
+  });
+
+  return rv;
+}
+
+function escapeXML(text) {
+  return String(text).replace(/[<>&"']/g, function(character) {
+    return { "<": "&lt;", ">": "&gt;", "&": "&amp;", "\"": "&quot;", "'": "&apos;" }[character];
+  });
+}
+
+function describe(misspelling) {
+  var message = "Unknown word \"" + misspelling.word + "\"";
+
+  if (misspelling.suggestions.length > 0) {
+    message += ", did you mean " + misspelling.suggestions.map(function(suggestion) {
+      return "\"" + suggestion + "\"";
+    }).join(", ") + "?";
+  }
+
+  return message;
+}
+
+/**
+ * file:line:col word -> suggestion, suggestion
+ */
+
+function text(results) {
+  return flatten(results).map(function(item) {
+    var m = item.misspelling;
+    var line = item.file + ":" + m.line + ":" + m.column + " " + m.word;
+
+    if (m.suggestions.length > 0) {
+      line += " -> " + m.suggestions.join(", ");
+    }
+
+    return line + "\n";
+  }).join("");
+}
+
+/**
+ * The unique misspelled words, one per line, in order of appearance.
+ */
+
+function list(results) {
+  var seen = {};
+  var rv = "";
+
+  flatten(results).forEach(function(item) {
+    var word = item.misspelling.word;
+
+    if (!{}.hasOwnProperty.call(seen, word)) {
+      seen[word] = true;
+      rv += word + "\n";
+    }
+  });
+
+  return rv;
+}
+
+function json(results) {
+  return JSON.stringify(flatten(results).map(function(item) {
+    var m = item.misspelling;
+
+    return {
+      file: item.file,
+      line: m.line,
+      column: m.column,
+      start: m.start,
+      end: m.end,
+      word: m.word,
+      suggestions: m.suggestions
+    };
+  }), null, 2) + "\n";
+}
+
+/**
+ * SARIF 2.1.0, as consumed by GitHub code scanning and most CI dashboards.
+ */
+
+function sarif(results) {
+  var log = {
+    "$schema": "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [ {
+      tool: {
+        driver: {
+          name: pkg.name,
+          version: pkg.version,
+          rules: [ {
+            id: "typo",
+            shortDescription: { text: "Misspelled word" }
+          } ]
+        }
+      },
+      results: flatten(results).map(function(item) {
+        var m = item.misspelling;
+
+        return {
+          ruleId: "typo",
+          level: "warning",
+          message: { text: describe(m) },
+          locations: [ {
+            physicalLocation: {
+              artifactLocation: { uri: item.file.split("\\").join("/") },
+              region: {
+                startLine: m.line,
+                startColumn: m.column,
+                endColumn: m.column + (m.end - m.start)
+              }
+            }
+          } ]
+        };
+      })
+    } ]
+  };
+
+  return JSON.stringify(log, null, 2) + "\n";
+}
+
+function checkstyle(results) {
+  var xml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n<checkstyle version=\"4.3\">\n";
+
+  results.forEach(function(result) {
+    if (result.misspellings.length === 0) {
+      return;
+    }
+
+    xml += "  <file name=\"" + escapeXML(result.file) + "\">\n";
+
+    result.misspellings.forEach(function(m) {
+      xml += "    <error line=\"" + m.line + "\" column=\"" + m.column + "\" severity=\"warning\"" +
+        " message=\"" + escapeXML(describe(m)) + "\" source=\"typo-check.typo\"/>\n";
+    });
+
+    xml += "  </file>\n";
+  });
+
+  return xml + "</checkstyle>\n";
+}
+
+module.exports = {
+  text: text,
+  list: list,
+  json: json,
+  sarif: sarif,
+  checkstyle: checkstyle
+};
@@ -0,0 +1,181 @@
+"use strict";
+
+/**
+ * Checks text that arrives in chunks, such as large files or standard input,
+ * without holding it all in memory; see Typo#createCheckStream().
+ *
+ * Incoming text is buffered up to its last line break, so that no word or
+ * line is split between two chunks, and checked with Typo#checkText() in text
+ * mode. Offsets, lines and columns are those of the whole stream. Inline
+ * directives carry over from chunk to chunk; "typo-check-ignore" applies from
+ * its line on.
+ */
+
+var Transform = require("stream").Transform;
+var StringDecoder = require("string_decoder").StringDecoder;
+
+/**
+ * Past this length, text without line breaks is checked up to its last
+ * whitespace character, or whole, to bound memory.
+ */
+
+var MAX_PENDING = 1024 * 1024;
+
+/**
+ * Suggestions are remembered for this many misspelled words at most.
+ */
+
+var MAX_CACHED_SUGGESTIONS = 10000;
+
+function lastWhitespace(text) {
+  for (var i = text.length - 1; i >= 0; i--) {
+    if (/\s/.test(text[i])) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Returns the length of the part of the pending text to check now, or 0.
+ */
+
+function readyLength(text) {
+  var cut = text.lastIndexOf("\n");
+
+  if (cut === -1 && text.length >= MAX_PENDING) {
+    cut = lastWhitespace(text);
+
+    return cut === -1 ? text.length : cut + 1;
+  }
+
+  return cut + 1;
+}
+
+/**
+ * Creates a stream checking the text written to it.
+ *
+ * @param {Typo|Composite} checker
+ * @param {Object} [options] The checkText() options "suggest", "limit",
+ *                           "ignoreWords", "ignorePatterns" and "directives",
+ *                           plus "encoding" (default: "utf8") for Buffer chunks.
+ * @returns {Transform} A stream whose readable side is in object mode and
+ *                      emits the misspellings, as returned by checkText().
+ */
+
+function createCheckStream(checker, options) {
+  options = options || {};
+
+  if (options.mode && options.mode !== "text") {
+    throw new Error("Typo: check streams only support the text mode");
+  }
+
+  var decoder = new StringDecoder(options.encoding || "utf8");
+
+  var textOptions = {
+    mode: "text",
+    suggest: false,
+    directives: options.directives,
+    directiveState: {},
+    ignoreWords: options.ignoreWords,
+    ignorePatterns: options.ignorePatterns
+  };
+  var suggestionCache = {};
+  var cachedSuggestions = 0;
+
+  // The unchecked text, and the position of its first character in the stream.
+  var pending = "";
+  var offset = 0;
+  var line = 1;
+  var column = 1;
+
+  function suggestions(word) {
+    if (options.suggest === false) {
+      return [];
+    }
+
+    if (!{}.hasOwnProperty.call(suggestionCache, word)) {
+      if (cachedSuggestions === MAX_CACHED_SUGGESTIONS) {
+        suggestionCache = {};
+        cachedSuggestions = 0;
+      }
+
+      suggestionCache[word] = checker.suggest(word.replace(/’/g, "'"), options.limit);
+      cachedSuggestions++;
+    }
+
+    return suggestionCache[word].slice();
+  }
+
+  function checkSegment(stream, segment) {
+    checker.checkText(segment, textOptions).forEach(function(misspelling) {
+      stream.push({
+        word: misspelling.word,
+        start: offset + misspelling.start,
+        end: offset + misspelling.end,
+        line: line + misspelling.line - 1,
+        column: misspelling.line === 1 ? column + misspelling.column - 1 : misspelling.column,
+        suggestions: suggestions(misspelling.word)
+      });
+    });
+
+    var lastNewline = -1;
+
+    for (var i = segment.indexOf("\n"); i !== -1; i = segment.indexOf("\n", i + 1)) {
+      line++;
+      lastNewline = i;
+    }
+
+    column = lastNewline === -1 ? column + segment.length : segment.length - lastNewline;
+    offset += segment.length;
+  }
+
+  return new Transform({
+    readableObjectMode: true,
+
+    transform: function(chunk, encoding, callback) {
+      pending += typeof chunk === "string" ? chunk : decoder.write(chunk);
+
+      var length = readyLength(pending);
+
+      if (length === 0) {
+        callback();
+        return;
+      }
+
+      var segment = pending.substring(0, length);
+
+      pending = pending.substring(length);
+
+      try {
+        checkSegment(this, segment);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+
+      callback();
+    },
+
+    flush: function(callback) {
+      pending += decoder.end();
+
+      try {
+        if (pending) {
+          checkSegment(this, pending);
+          pending = "";
+        }
+      } catch (e) {
+        callback(e);
+        return;
+      }
+
+      callback();
+    }
+  });
+}
+
+module.exports = {
+  createCheckStream: createCheckStream
+};
@@ -0,0 +1,697 @@
+"use strict";
+
+/**
+ * Bounded edit-distance search over the word trie, for Typo#suggest().
+ *
+ * Instead of generating every string within two edits of a misspelling and
+ * looking each one up, the trie is walked once while computing the rows of
+ * the Damerau-Levenshtein (optimal string alignment) matrix. A branch is
+ * abandoned as soon as every cell of its row exceeds the maximum distance,
+ * so only a small part of the dictionary is ever visited.
+ *
+ * The dictionary's MAP groups of related characters (e/é/è) make cheap
+ * substitutions, and its KEY rows of keyboard neighbors rank typos such as
+ * "wprd" for "word" ahead of other substitutions. Candidates that sound like
+ * the misspelling and frequent words are ranked higher too; see rank().
+ */
+
+/**
+ * The cost of substituting a character with a related one from the same MAP group.
+ */
+
+var RELATED_COST = 0.5;
+
+/**
+ * Hunspell's default keyboard layout, when the .aff file has no KEY directive.
+ */
+
+var DEFAULT_KEY = "qwertyuiop|asdfghjkl|zxcvbnm";
+
+var lowerCodes = {};
+
+/**
+ * Returns the lowercase form of a UTF-16 code unit, for case-insensitive matching.
+ */
+
+function lowerCode(code) {
+  if (code < 65 || (code > 90 && code < 192)) {
+    return code;
+  }
+
+  if (!(code in lowerCodes)) {
+    var lower = String.fromCharCode(code).toLowerCase();
+
+    lowerCodes[code] = lower.length === 1 ? lower.charCodeAt(0) : code;
+  }
+
+  return lowerCodes[code];
+}
+
+/**
+ * Computes the next row of the edit distance matrix, for one more character
+ * of a candidate.
+ *
+ * @param {Number[]} target The lowercase code units of the misspelling.
+ * @param {Number} code The lowercase code unit of the character.
+ * @param {Number} previousCode The code unit of the character before, or -1.
+ * @param {Number[]} previousRow The row of the character before.
+ * @param {Number[]} [rowBeforeThat] The row before previousRow, for transpositions.
+ * @param {Function} [related] The test of related characters.
+ * @returns {Number[]} The row; its "min" property is its smallest value.
+ */
+
+function nextRow(target, code, previousCode, previousRow, rowBeforeThat, related) {
+  var n = target.length;
+  var row = new Array(n + 1);
+  var rowMin = row[0] = previousRow[0] + 1;
+
+  for (var k = 1; k <= n; k++) {
+    var cost = target[k - 1] === code ? 0 : (related && related(target[k - 1], code) ? RELATED_COST : 1);
+    var value = Math.min(row[k - 1] + 1, previousRow[k] + 1, previousRow[k - 1] + cost);
+
+    if (k > 1 && rowBeforeThat && code === target[k - 2] && previousCode === target[k - 1]) {
+      value = Math.min(value, rowBeforeThat[k - 2] + 1);
+    }
+
+    row[k] = value;
+
+    if (value < rowMin) {
+      rowMin = value;
+    }
+  }
+
+  row.min = rowMin;
+
+  return row;
+}
+
+/**
+ * The lowercase code units of a word, and the first row of its edit distance matrix.
+ */
+
+function searchStart(word) {
+  var target = [];
+  var firstRow = [ 0 ];
+
+  firstRow.min = 0;
+
+  for (var i = 0, n = word.length; i < n; i++) {
+    target.push(lowerCode(word.charCodeAt(i)));
+    firstRow.push(i + 1);
+  }
+
+  return { target: target, firstRow: firstRow };
+}
+
+/**
+ * Finds the words of a trie within a maximum edit distance of a word, ignoring case.
+ * Insertions, deletions, substitutions and transpositions of adjacent characters
+ * each count as one edit.
+ *
+ * @param {WordTrie} trie The word store.
+ * @param {String} word The misspelling.
+ * @param {Number} [maxDistance=2] The maximum edit distance.
+ * @param {Function} [related] Tells whether two lowercase code units are related
+ *                             characters, whose substitution costs RELATED_COST.
+ * @returns {Object[]} The words found, as { word, distance }, in trie order.
+ */
+
+function searchTrie(trie, word, maxDistance, related) {
+  if (maxDistance === undefined) {
+    maxDistance = 2;
+  }
+
+  var start = searchStart(word);
+  var n = word.length;
+  var results = [];
+
+  function visit(node, prefix, previousCode, previousRow, rowBeforeThat) {
+    for (var child = trie.firstChild[node]; child !== 0; child = trie.nextSibling[child]) {
+      var rawCode = trie.chars[child];
+      var code = lowerCode(rawCode);
+      var row = nextRow(start.target, code, previousCode, previousRow, rowBeforeThat, related);
+
+      if (row.min <= maxDistance) {
+        var childWord = prefix + String.fromCharCode(rawCode);
+
+        if (row[n] <= maxDistance && trie.valueIndex[child] !== 0) {
+          results.push({ word: childWord, distance: row[n] });
+        }
+
+        visit(child, childWord, code, row, previousRow);
+      }
+    }
+  }
+
+  visit(0, "", -1, start.firstRow, null);
+
+  return results;
+}
+
+/**
+ * Finds the words that COMPOUNDRULE patterns allow within a maximum edit
+ * distance of a word, ignoring case. These compounds ("22nd" for en_US's
+ * "n*mp") are not in the trie; the patterns are walked like the trie is, one
+ * part at a time, so only the parts that keep close to the misspelling are
+ * ever tried.
+ *
+ * @param {String[]} patterns The COMPOUNDRULE patterns, such as "n*1t": flags,
+ *                            each optionally followed by "*" or "?".
+ * @param {Object} partsByFlag The words carrying each flag of the patterns.
+ * @param {String} word The misspelling.
+ * @param {Number} [maxDistance=2] The maximum edit distance.
+ * @returns {Object[]} The words found, as { word, distance }.
+ */
+
+function searchCompoundRules(patterns, partsByFlag, word, maxDistance) {
+  if (maxDistance === undefined) {
+    maxDistance = 2;
+  }
+
+  var start = searchStart(word);
+  var n = word.length;
+  var found = {};
+
+  function visit(elements, index, prefix, previousCode, previousRow, rowBeforeThat) {
+    if (index === elements.length) {
+      if (previousRow[n] <= maxDistance && (!{}.hasOwnProperty.call(found, prefix) || found[prefix] > previousRow[n])) {
+        found[prefix] = previousRow[n];
+      }
+
+      return;
+    }
+
+    var element = elements[index];
+    var parts = partsByFlag[element.flag] || [];
+
+    if (element.quantifier) {
+      visit(elements, index + 1, prefix, previousCode, previousRow, rowBeforeThat);
+    }
+
+    for (var i = 0, partsLen = parts.length; i < partsLen; i++) {
+      var part = parts[i];
+      var row = previousRow;
+      var lastRow = rowBeforeThat;
+      var code = previousCode;
+
+      for (var j = 0, partLen = part.length; j < partLen && row.min <= maxDistance; j++) {
+        var partCode = lowerCode(part.charCodeAt(j));
+        var partRow = nextRow(start.target, partCode, code, row, lastRow);
+
+        lastRow = row;
+        row = partRow;
+        code = partCode;
+      }
+
+      if (row.min <= maxDistance) {
+        visit(elements, element.quantifier === "*" ? index : index + 1, prefix + part, code, row, lastRow);
+      }
+    }
+  }
+
+  patterns.forEach(function(pattern) {
+    var elements = [];
+
+    for (var i = 0, len = pattern.length; i < len; i++) {
+      if (pattern[i] === "*" || pattern[i] === "?") {
+        if (elements.length > 0) {
+          elements[elements.length - 1].quantifier = pattern[i];
+        }
+      } else {
+        elements.push({ flag: pattern[i], quantifier: "" });
+      }
+    }
+
+    visit(elements, 0, "", -1, start.firstRow, null);
+  });
+
+  return Object.keys(found).map(function(candidate) {
+    return { word: candidate, distance: found[candidate] };
+  });
+}
+
+/**
+ * Creates the test of related characters for searchTrie() from the MAP table.
+ * Only single-character members of the groups are considered.
+ *
+ * @param {Array[]} mapTable The groups of related characters.
+ * @returns {Function|null} A function(code, otherCode), or null without groups.
+ */
+
+function relatedCharacters(mapTable) {
+  var groups = {};
+
+  mapTable.forEach(function(group, index) {
+    group.forEach(function(item) {
+      if (item.length === 1) {
+        var code = lowerCode(item.charCodeAt(0));
+
+        (groups[code] = groups[code] || []).push(index);
+      }
+    });
+  });
+
+  if (Object.keys(groups).length === 0) {
+    return null;
+  }
+
+  return function(code, otherCode) {
+    var codeGroups = groups[code];
+    var otherGroups = groups[otherCode];
+
+    if (!codeGroups || !otherGroups) {
+      return false;
+    }
+
+    for (var i = 0; i < codeGroups.length; i++) {
+      if (otherGroups.indexOf(codeGroups[i]) !== -1) {
+        return true;
+      }
+    }
+
+    return false;
+  };
+}
+
+/**
+ * Generates the variants of a word obtained by swapping the sequences of MAP
+ * groups, including multi-character ones ("ss" for "ß"), one or more at a time.
+ *
+ * @param {String} word
+ * @param {Array[]} mapTable The groups of related sequences.
+ * @param {Number} [limit=200] The maximum number of variants.
+ * @returns {String[]}
+ */
+
+function mapVariants(word, mapTable, limit) {
+  limit = limit || 200;
+
+  var variants = [];
+  var seen = {};
+
+  seen[word] = true;
+
+  function expand(current, from) {
+    for (var position = from; position < current.length && variants.length < limit; position++) {
+      for (var g = 0; g < mapTable.length; g++) {
+        var group = mapTable[g];
+
+        for (var m = 0; m < group.length; m++) {
+          if (!current.startsWith(group[m], position)) {
+            continue;
+          }
+
+          for (var r = 0; r < group.length && variants.length < limit; r++) {
+            if (r === m) {
+              continue;
+            }
+
+            var variant = current.substring(0, position) + group[r] + current.substring(position + group[m].length);
+
+            if (!seen[variant]) {
+              seen[variant] = true;
+              variants.push(variant);
+              expand(variant, position + group[r].length);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  expand(word, 0);
+
+  return variants;
+}
+
+/**
+ * Applies the REP table to a word. Each entry replaces one occurrence of its
+ * pattern at a time, every occurrence in turn. A pattern may be anchored to
+ * the start (^) or the end ($) of the word, and "_" stands for a space in
+ * patterns and replacements, so that "alot" can become "a lot".
+ *
+ * @param {String} word
+ * @param {Array[]} replacementTable The [ pattern, replacement ] entries.
+ * @returns {String[]} The distinct results, in table order.
+ */
+
+function replacements(word, replacementTable) {
+  var rv = [];
+  var seen = {};
+
+  seen[word] = true;
+
+  replacementTable.forEach(function(entry) {
+    var pattern = entry[0];
+    var atStart = pattern[0] === "^";
+    var atEnd = pattern.length > 1 && pattern[pattern.length - 1] === "$";
+    var replacement = entry[1].replace(/_/g, " ");
+
+    pattern = pattern.substring(atStart ? 1 : 0, pattern.length - (atEnd ? 1 : 0)).replace(/_/g, " ");
+
+    if (!pattern) {
+      return;
+    }
+
+    for (var position = word.indexOf(pattern); position !== -1; position = word.indexOf(pattern, position + 1)) {
+      if ((atStart && position !== 0) || (atEnd && position + pattern.length !== word.length)) {
+        continue;
+      }
+
+      var candidate = word.substring(0, position) + replacement + word.substring(position + pattern.length);
+
+      if (!seen[candidate]) {
+        seen[candidate] = true;
+        rv.push(candidate);
+      }
+    }
+  });
+
+  return rv;
+}
+
+/**
+ * Builds the map of keyboard neighbors from a KEY directive: the characters
+ * next to each other within a row ("qwertyuiop|asdfghjkl|zxcvbnm").
+ *
+ * @param {String} [key] The value of the KEY directive.
+ * @returns {Object} A map from each character to a string of its neighbors.
+ */
+
+function keyboardNeighbors(key) {
+  var neighbors = {};
+
+  (key || DEFAULT_KEY).split("|").forEach(function(row) {
+    for (var i = 0; i < row.length; i++) {
+      neighbors[row[i]] = (neighbors[row[i]] || "") + (row[i - 1] || "") + (row[i + 1] || "");
+    }
+  });
+
+  return neighbors;
+}
+
+/**
+ * Soundex-like classes of consonants that sound alike. Vowels, h, w and y
+ * are dropped from phonetic keys.
+ */
+
+var SOUND_CLASSES = {
+  b: "1", f: "1", p: "1", v: "1",
+  c: "2", g: "2", j: "2", k: "2", q: "2", s: "2", x: "2", z: "2",
+  d: "3", t: "3",
+  l: "4",
+  m: "5", n: "5",
+  r: "6"
+};
+
+/**
+ * A word in lowercase, with "ph" spelled "f".
+ *
+ * @param {String} word
+ * @returns {String}
+ */
+
+function soundSpelling(word) {
+  return word.toLowerCase().replace(/ph/g, "f");
+}
+
+/**
+ * Rough pronunciation key of a word, for the phonetic part of the ranking:
+ * its first letter, then the classes of its consonants, with repeats collapsed,
+ * so that "fonetik" and "phonetic" or "mispeling" and "misspelling" share a key.
+ *
+ * @param {String} word
+ * @returns {String}
+ */
+
+function phoneticKey(word) {
+  word = soundSpelling(word);
+
+  var key = word.charAt(0);
+  var previous = SOUND_CLASSES[key] || "";
+
+  for (var i = 1, len = word.length; i < len; i++) {
+    var soundClass = SOUND_CLASSES[word[i]] || "";
+
+    if (soundClass && soundClass !== previous) {
+      key += soundClass;
+    }
+
+    if (!/[hwy]/.test(word[i])) {
+      previous = soundClass;
+    }
+  }
+
+  return key;
+}
+
+/**
+ * The Damerau-Levenshtein (optimal string alignment) distance between two
+ * words, ignoring case.
+ *
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number}
+ */
+
+function editDistance(a, b) {
+  a = a.toLowerCase();
+  b = b.toLowerCase();
+
+  var rows = [];
+
+  for (var i = 0; i <= a.length; i++) {
+    rows.push([ i ]);
+
+    for (var j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i][j] = j;
+        continue;
+      }
+
+      var value = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, rows[i - 2][j - 2] + 1);
+      }
+
+      rows[i][j] = value;
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * The weights of the ranking. A candidate's cost starts at its edit distance,
+ * except for REP replacements and phonetic matches (see candidateCost()), and
+ * is lowered for keyboard typos, for candidates that sound like the misspelling
+ * and for frequent words. It is raised by NUMBER_COST for candidates whose
+ * digits differ from those of the misspelling: a different number is rarely
+ * what was meant, so "22nd" comes before "220th" for "22th".
+ */
+
+var REP_COST = 0.5;
+var PHONETIC_COST = 1;
+var KEYBOARD_BONUS = 0.25;
+var PHONETIC_BONUS = 0.25;
+var FREQUENCY_BONUS = 0.5;
+var NUMBER_COST = 1.5;
+
+/**
+ * The cost at which the score of a candidate reaches 0.
+ */
+
+var MAX_COST = 3;
+
+/**
+ * The digits of a word, in order.
+ *
+ * @param {String} word
+ * @returns {String}
+ */
+
+function digits(word) {
+  return word.replace(/\P{Nd}/gu, "");
+}
+
+/**
+ * The base cost of a candidate: its edit distance, but at most REP_COST for a
+ * REP replacement, and at most PHONETIC_COST plus a tenth of the distance for
+ * a word with the phonetic code of the misspelling, however far it is.
+ *
+ * Short phonetic codes are shared by many words ("wrold", "roiled" and
+ * "rolled" are all RLT), so the phonetic discount only holds when no word one
+ * edit away sounds like the misspelling: otherwise phonetic matches cost their
+ * distance, and come after every candidate within two edits.
+ *
+ * @param {Number} distance The edit distance to the misspelling.
+ * @param {String} source How the candidate was found ("rep", "phonetic"...).
+ * @param {Boolean} [closeSoundalike] Whether a word one edit away sounds like
+ *                                    the misspelling.
+ * @returns {Number}
+ */
+
+function candidateCost(distance, source, closeSoundalike) {
+  if (source === "rep") {
+    return Math.min(distance, REP_COST);
+  } else if (source === "phonetic") {
+    if (closeSoundalike) {
+      return distance <= 2 ? distance : 2 + distance / 10;
+    }
+
+    return Math.min(distance, PHONETIC_COST + distance / 10);
+  }
+
+  return distance;
+}
+
+/**
+ * Scores suggestions and orders them, best first. The score, between 0 and 1,
+ * is derived from the cost of the candidate (see above). Candidates of equal
+ * cost come in this order: those made of the same letters as the misspelling
+ * and sharing a longer prefix with it, reading "ph" as "f" (so that "the"
+ * comes before "tee" for "teh", and "phonetic" before "fanatic" for
+ * "fonetik"), then those keeping the first letter, then those closest in length,
+ * then those with the capitalization of the misspelling.
+ *
+ * @param {String} word The misspelling.
+ * @param {Object[]} candidates The candidates, as { word, distance, source }.
+ * @param {Object} [options] Available properties are:
+ *                           {Object} [neighbors]: keyboard neighbors, from keyboardNeighbors().
+ *                           {Object} [frequencies]: weights between 0 and 1 of lowercase
+ *                             words, from Typo#loadFrequencies().
+ * @returns {Object[]} The candidates as { word, score, distance, source }, sorted.
+ */
+
+function rank(word, candidates, options) {
+  options = options || {};
+
+  var lowerWord = word.toLowerCase();
+  var spelledWord = soundSpelling(word);
+  var neighbors = options.neighbors || keyboardNeighbors();
+  var frequencies = options.frequencies || {};
+  var wordKey = phoneticKey(lowerWord);
+  var wordDigits = digits(word);
+  var letterCounts = {};
+
+  for (var i = 0, len = spelledWord.length; i < len; i++) {
+    letterCounts[spelledWord[i]] = (letterCounts[spelledWord[i]] || 0) + 1;
+  }
+
+  var closeSoundalike = candidates.some(function(candidate) {
+    return candidate.distance <= 1 && phoneticKey(candidate.word) === wordKey;
+  });
+
+  // The number of letters in either word but not in the other.
+  function letterDifference(candidate) {
+    var counts = {};
+    var common = 0;
+
+    for (var j = 0, candidateLen = candidate.length; j < candidateLen; j++) {
+      var letter = candidate[j];
+
+      counts[letter] = (counts[letter] || 0) + 1;
+
+      if (counts[letter] <= (letterCounts[letter] || 0)) {
+        common++;
+      }
+    }
+
+    return candidate.length + spelledWord.length - 2 * common;
+  }
+
+  function commonPrefix(candidate) {
+    var j = 0;
+
+    while (j < candidate.length && candidate[j] === spelledWord[j]) {
+      j++;
+    }
+
+    return j;
+  }
+
+  // Whether the candidate differs from the misspelling by a single
+  // substitution of a keyboard neighbor.
+  function keyboardTypo(candidate) {
+    var substitutions = 0;
+
+    if (candidate.length !== lowerWord.length) {
+      return false;
+    }
+
+    for (var j = 0, candidateLen = candidate.length; j < candidateLen; j++) {
+      if (candidate[j] !== lowerWord[j]) {
+        if ((neighbors[lowerWord[j]] || "").indexOf(candidate[j]) === -1) {
+          return false;
+        }
+
+        substitutions++;
+      }
+    }
+
+    return substitutions === 1;
+  }
+
+  function sameCase(candidate) {
+    return candidate[0] === word[0] ? 0 : 1;
+  }
+
+  var scored = candidates.map(function(candidate) {
+    var lowerCandidate = candidate.word.toLowerCase();
+    var cost = candidateCost(candidate.distance, candidate.source, closeSoundalike);
+
+    if (digits(candidate.word) !== wordDigits) {
+      cost += NUMBER_COST;
+    }
+
+    if (keyboardTypo(lowerCandidate)) {
+      cost -= KEYBOARD_BONUS;
+    }
+
+    // Discounted phonetic matches were found with a finer code already.
+    if (cost > 0 && (candidate.source !== "phonetic" || closeSoundalike) && phoneticKey(lowerCandidate) === wordKey) {
+      cost -= PHONETIC_BONUS;
+    }
+
+    if ({}.hasOwnProperty.call(frequencies, lowerCandidate)) {
+      cost -= FREQUENCY_BONUS * frequencies[lowerCandidate];
+    }
+
+    return {
+      word: candidate.word,
+      score: Math.round(Math.min(1, Math.max(0, 1 - cost / MAX_COST)) * 1000) / 1000,
+      distance: candidate.distance,
+      source: candidate.source,
+      cost: cost,
+      lowerWord: lowerCandidate,
+      spelledWord: soundSpelling(lowerCandidate)
+    };
+  });
+
+  scored.sort(function(a, b) {
+    return (a.cost - b.cost) ||
+      ((letterDifference(a.spelledWord) - commonPrefix(a.spelledWord)) - (letterDifference(b.spelledWord) - commonPrefix(b.spelledWord))) ||
+      ((a.lowerWord[0] === lowerWord[0] ? 0 : 1) - (b.lowerWord[0] === lowerWord[0] ? 0 : 1)) ||
+      (Math.abs(a.lowerWord.length - lowerWord.length) - Math.abs(b.lowerWord.length - lowerWord.length)) ||
+      (sameCase(a.word) - sameCase(b.word)) ||
+      (a.word < b.word ? -1 : (a.word > b.word ? 1 : 0));
+  });
+
+  return scored.map(function(candidate) {
+    return { word: candidate.word, score: candidate.score, distance: candidate.distance, source: candidate.source };
+  });
+}
+
+module.exports = {
+  searchTrie: searchTrie,
+  searchCompoundRules: searchCompoundRules,
+  relatedCharacters: relatedCharacters,
+  mapVariants: mapVariants,
+  replacements: replacements,
+  keyboardNeighbors: keyboardNeighbors,
+  phoneticKey: phoneticKey,
+  editDistance: editDistance,
+  candidateCost: candidateCost,
+  rank: rank
+};
@@ -0,0 +1,143 @@
+"use strict";
+
+/**
+ * Splits prose into the words that should be spellchecked.
+ *
+ * Words are runs of letters, digits and the dictionary's WORDCHARS, joined by
+ * inner apostrophes or hyphens ("don't", "well-known"). URLs, email addresses,
+ * numbers, and words containing digits that are not WORDCHARS ("mp3") are skipped.
+ */
+
+var URL_PATTERN = "(?:[a-z][a-z0-9+.-]*://|www\\.)[^\\s<>\"'`]*[^\\s<>\"'`.,;:!?)\\]}]";
+var EMAIL_PATTERN = "[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+";
+var JOINERS = "'’\\-";
+
+var expressionCache = {};
+
+/**
+ * Returns the (cached) tokenizing expression for a set of WORDCHARS.
+ *
+ * @param {String} wordChars The extra word characters.
+ * @returns {RegExp}
+ */
+
+function expressionFor(wordChars) {
+  if (!(wordChars in expressionCache)) {
+    var charClass = "[\\p{L}\\p{M}\\p{N}" + wordChars.replace(/[\\\]\[^-]/g, "\\$&") + "]";
+    var word = charClass + "+(?:[" + JOINERS + "]" + charClass + "+)*";
+
+    expressionCache[wordChars] = new RegExp(URL_PATTERN + "|" + EMAIL_PATTERN + "|(" + word + ")", "giu");
+  }
+
+  return expressionCache[wordChars];
+}
+
+/**
+ * Finds the words of a text.
+ *
+ * @param {String} text The text to tokenize.
+ * @param {String} [wordChars=""] Characters that count as part of a word, from
+ *                                the WORDCHARS directive of the .aff file.
+ * @returns {Object[]} The words, as { word, start, end } with end exclusive.
+ */
+
+function tokenize(text, wordChars) {
+  wordChars = wordChars || "";
+
+  var expression = expressionFor(wordChars);
+  var tokens = [];
+  var match;
+
+  expression.lastIndex = 0;
+
+  while ((match = expression.exec(text)) !== null) {
+    var word = match[1];
+
+    if (!word || !/\p{L}/u.test(word)) {
+      // A URL, an email address or a number.
+      continue;
+    }
+
+    var digits = word.match(/\p{N}/gu);
+
+    if (digits && digits.some(function(digit) { return wordChars.indexOf(digit) === -1; })) {
+      continue;
+    }
+
+    tokens.push({ word: word, start: match.index, end: match.index + word.length });
+  }
+
+  return tokens;
+}
+
+/**
+ * Splits a hyphenated token into its parts, keeping their offsets.
+ *
+ * @param {Object} token A token from tokenize().
+ * @returns {Object[]} The parts, as { word, start, end }.
+ */
+
+function splitHyphenated(token) {
+  var parts = [];
+  var offset = token.start;
+
+  token.word.split("-").forEach(function(part) {
+    parts.push({ word: part, start: offset, end: offset + part.length });
+    offset += part.length + 1;
+  });
+
+  return parts;
+}
+
+/**
+ * Replaces every character of a text but line breaks with a space, so that
+ * markup can be hidden from tokenize() without moving the remaining words.
+ *
+ * @param {String} text
+ * @returns {String}
+ */
+
+function blank(text) {
+  return text.replace(/[^\r\n]/g, " ");
+}
+
+/**
+ * Creates a function converting string offsets into 1-based line and column numbers.
+ *
+ * @param {String} text The text the offsets refer to.
+ * @returns {Function} A function(offset) returning { line, column }.
+ */
+
+function createLocator(text) {
+  var lineStarts = [ 0 ];
+
+  for (var i = 0, len = text.length; i < len; i++) {
+    if (text[i] === "\n") {
+      lineStarts.push(i + 1);
+    }
+  }
+
+  return function(offset) {
+    var low = 0;
+    var high = lineStarts.length - 1;
+
+    while (low < high) {
+      var middle = (low + high + 1) >> 1;
+
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+module.exports = {
+  tokenize: tokenize,
+  splitHyphenated: splitHyphenated,
+  blank: blank,
+  createLocator: createLocator
+};
@@ -0,0 +1,435 @@
+"use strict";
+
+/**
+ * The word store of a Typo instance: a trie mapping every word form of the
+ * dictionary to its list of rule code lists, as the plain dictionaryTable
+ * object used to.
+ *
+ * Nodes live in typed arrays, as a first-child/next-sibling tree with sibling
+ * lists sorted by UTF-16 code unit. Node 0 is the root, and 0 doubles as "no
+ * node" in firstChild and nextSibling. Shared prefixes are stored once, and
+ * the most common value, [[]] (a word form without rule codes of its own),
+ * takes no memory at all.
+ */
+
+/**
+ * valueIndex of a node that ends no word.
+ */
+
+var NO_VALUE = 0;
+
+/**
+ * valueIndex of a node whose value is [[]]. Larger indexes point into values.
+ */
+
+var EMPTY_FORM = 1;
+
+var EMPTY_ENTRIES = Object.freeze([ Object.freeze([]) ]);
+
+var NODE_ARRAYS = [ "chars", "firstChild", "nextSibling", "valueIndex" ];
+
+/**
+ * WordTrie constructor.
+ *
+ * @param {Number} [capacity=1024] The number of nodes to allocate room for.
+ * @returns {WordTrie}
+ */
+
+function WordTrie(capacity) {
+  capacity = Math.max(capacity || 1024, 2);
+
+  this.chars = new Uint16Array(capacity);
+  this.firstChild = new Int32Array(capacity);
+  this.nextSibling = new Int32Array(capacity);
+  this.valueIndex = new Int32Array(capacity);
+  this.values = [];
+  this.nodeCount = 1;
+  this.size = 0;
+
+  // Whether the node arrays live in SharedArrayBuffers; see share().
+  this.shared = false;
+
+  return this;
+}
+
+/**
+ * Builds a trie from a plain { word: entries } object, such as the
+ * dictionaryTable of older serialized Typo instances.
+ *
+ * @param {Object} table
+ * @returns {WordTrie}
+ */
+
+WordTrie.fromObject = function(table) {
+  var trie = new WordTrie();
+
+  for (var word in table) {
+    if ({}.hasOwnProperty.call(table, word)) {
+      trie.set(word, table[word]);
+    }
+  }
+
+  return trie;
+};
+
+/**
+ * Builds a trie over the node arrays of another thread's trie; see share().
+ *
+ * @param {Object} description The description returned by share().
+ * @returns {WordTrie}
+ */
+
+WordTrie.fromShared = function(description) {
+  var trie = new WordTrie(1);
+
+  NODE_ARRAYS.forEach(function(name) {
+    trie[name] = description.arrays[name];
+  });
+
+  trie.values = description.values;
+  trie.nodeCount = description.nodeCount;
+  trie.size = description.size;
+  trie.shared = true;
+
+  return trie;
+};
+
+WordTrie.prototype = {
+  /**
+   * Returns the node reached by a word, or -1.
+   *
+   * @param {String} word
+   * @returns {Number}
+   */
+
+  findNode: function(word) {
+    var node = 0;
+
+    for (var i = 0, len = word.length; i < len; i++) {
+      node = this.findChild(node, word.charCodeAt(i));
+
+      if (node === 0) {
+        return -1;
+      }
+    }
+
+    return node;
+  },
+
+  /**
+   * Returns the child of a node for a code unit, or 0.
+   *
+   * @param {Number} node
+   * @param {Number} code A UTF-16 code unit.
+   * @returns {Number}
+   */
+
+  findChild: function(node, code) {
+    var child = this.firstChild[node];
+
+    while (child !== 0 && this.chars[child] < code) {
+      child = this.nextSibling[child];
+    }
+
+    return child !== 0 && this.chars[child] === code ? child : 0;
+  },
+
+  /**
+   * Calls a function for each child of a node, in code unit order.
+   *
+   * @param {Number} node
+   * @param {Function} fn Called as fn(child, character).
+   */
+
+  forEachChild: function(node, fn) {
+    for (var child = this.firstChild[node]; child !== 0; child = this.nextSibling[child]) {
+      fn(child, String.fromCharCode(this.chars[child]));
+    }
+  },
+
+  /**
+   * Returns the rule code lists stored at a node, or undefined if it ends no word.
+   * The returned lists must not be modified.
+   *
+   * @param {Number} node
+   * @returns {Array[]|undefined}
+   */
+
+  nodeEntries: function(node) {
+    var index = node < 0 ? NO_VALUE : this.valueIndex[node];
+
+    if (index === NO_VALUE) {
+      return undefined;
+    } else if (index === EMPTY_FORM) {
+      return EMPTY_ENTRIES;
+    }
+
+    return this.values[index - 2];
+  },
+
+  /**
+   * Returns the rule code lists of a word, or undefined. They must not be modified.
+   *
+   * @param {String} word
+   * @returns {Array[]|undefined}
+   */
+
+  get: function(word) {
+    return this.nodeEntries(this.findNode(word));
+  },
+
+  /**
+   * @param {String} word
+   * @returns {Boolean}
+   */
+
+  has: function(word) {
+    return this.get(word) !== undefined;
+  },
+
+  /**
+   * Appends a rule code list to a word, adding the word if needed.
+   *
+   * @param {String} word
+   * @param {String[]} rules
+   */
+
+  add: function(word, rules) {
+    this.unshare();
+
+    var node = this.insertNode(word);
+    var index = this.valueIndex[node];
+
+    if (index === NO_VALUE) {
+      this.size++;
+
+      if (rules.length === 0) {
+        this.valueIndex[node] = EMPTY_FORM;
+      } else {
+        this.storeValue(node, [ rules ]);
+      }
+    } else if (index === EMPTY_FORM) {
+      this.storeValue(node, [ [], rules ]);
+    } else {
+      this.values[index - 2].push(rules);
+    }
+  },
+
+  /**
+   * Replaces the rule code lists of a word, adding the word if needed.
+   *
+   * @param {String} word
+   * @param {Array[]} entries
+   */
+
+  set: function(word, entries) {
+    this.unshare();
+
+    var node = this.insertNode(word);
+    var index = this.valueIndex[node];
+
+    if (index === NO_VALUE) {
+      this.size++;
+    } else if (index !== EMPTY_FORM) {
+      this.values[index - 2] = null;
+    }
+
+    this.storeEntries(node, entries);
+  },
+
+  /**
+   * Removes a word. Its nodes are kept, as other words may go through them.
+   *
+   * @param {String} word
+   * @returns {Boolean} Whether the word was in the trie.
+   */
+
+  delete: function(word) {
+    var node = this.findNode(word);
+
+    if (node < 0 || this.valueIndex[node] === NO_VALUE) {
+      return false;
+    }
+
+    this.unshare();
+
+    if (this.valueIndex[node] !== EMPTY_FORM) {
+      this.values[this.valueIndex[node] - 2] = null;
+    }
+
+    this.valueIndex[node] = NO_VALUE;
+    this.size--;
+
+    return true;
+  },
+
+  /**
+   * Calls a function for each word, in code unit order (the order of Array#sort()).
+   *
+   * @param {Function} fn Called as fn(word, entries).
+   */
+
+  forEach: function(fn) {
+    var self = this;
+
+    function visit(node, prefix) {
+      var entries = self.nodeEntries(node);
+
+      if (entries !== undefined) {
+        fn(prefix, entries);
+      }
+
+      for (var child = self.firstChild[node]; child !== 0; child = self.nextSibling[child]) {
+        visit(child, prefix + String.fromCharCode(self.chars[child]));
+      }
+    }
+
+    visit(0, "");
+  },
+
+  /**
+   * Returns all the words, in code unit order.
+   *
+   * @returns {String[]}
+   */
+
+  words: function() {
+    var rv = [];
+
+    this.forEach(function(word) {
+      rv.push(word);
+    });
+
+    return rv;
+  },
+
+  /**
+   * Returns the node for a word, creating the missing nodes.
+   */
+
+  insertNode: function(word) {
+    var node = 0;
+
+    for (var i = 0, len = word.length; i < len; i++) {
+      var code = word.charCodeAt(i);
+      var previous = 0;
+      var child = this.firstChild[node];
+
+      while (child !== 0 && this.chars[child] < code) {
+        previous = child;
+        child = this.nextSibling[child];
+      }
+
+      if (child === 0 || this.chars[child] !== code) {
+        var created = this.createNode(code);
+
+        this.nextSibling[created] = child;
+
+        if (previous === 0) {
+          this.firstChild[node] = created;
+        } else {
+          this.nextSibling[previous] = created;
+        }
+
+        child = created;
+      }
+
+      node = child;
+    }
+
+    return node;
+  },
+
+  createNode: function(code) {
+    if (this.nodeCount === this.chars.length) {
+      this.grow(this.chars.length * 2);
+    }
+
+    var node = this.nodeCount++;
+
+    this.chars[node] = code;
+
+    return node;
+  },
+
+  /**
+   * Stores the rule code lists of a node, without counting a new word: the
+   * node must end no word yet, or its previous value must be released.
+   *
+   * @param {Number} node
+   * @param {Array[]} entries
+   */
+
+  storeEntries: function(node, entries) {
+    if (entries.length === 1 && entries[0].length === 0) {
+      this.valueIndex[node] = EMPTY_FORM;
+    } else {
+      this.storeValue(node, entries.slice());
+    }
+  },
+
+  storeValue: function(node, entries) {
+    this.values.push(entries);
+    this.valueIndex[node] = this.values.length + 1;
+  },
+
+  grow: function(capacity) {
+    var self = this;
+
+    NODE_ARRAYS.forEach(function(name) {
+      var grown = new self[name].constructor(capacity);
+
+      grown.set(self[name].subarray(0, self.nodeCount));
+      self[name] = grown;
+    });
+  },
+
+  /**
+   * Releases the unused room of the node arrays, e.g. once a dictionary is loaded.
+   */
+
+  compact: function() {
+    if (this.chars.length > this.nodeCount + 1) {
+      this.grow(this.nodeCount + 1);
+    }
+  },
+
+  /**
+   * Moves the node arrays to SharedArrayBuffers, so that worker threads can
+   * read the trie without a copy of their own (see WordTrie.fromShared()). The
+   * rule code lists are small, and copied. A shared trie copies its node
+   * arrays back to private memory before its first change.
+   *
+   * @returns {Object} The description of the trie to post to other threads.
+   */
+
+  share: function() {
+    var self = this;
+    var arrays = {};
+
+    NODE_ARRAYS.forEach(function(name) {
+      var Type = self[name].constructor;
+      var array = new Type(new SharedArrayBuffer(self.nodeCount * Type.BYTES_PER_ELEMENT));
+
+      array.set(self[name].subarray(0, self.nodeCount));
+      self[name] = arrays[name] = array;
+    });
+
+    this.shared = true;
+
+    return { arrays: arrays, values: this.values, nodeCount: this.nodeCount, size: this.size };
+  },
+
+  /**
+   * Gives a shared trie private node arrays.
+   */
+
+  unshare: function() {
+    if (this.shared) {
+      this.grow(this.nodeCount + 1);
+      this.shared = false;
+    }
+  }
+};
+
+module.exports = WordTrie;
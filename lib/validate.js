@@ -0,0 +1,318 @@
+"use strict";
+
+/**
+ * Checks a pair of .aff and .dic files for the mistakes that make Typo.js
+ * (or hunspell) misbehave: wrong entry counts, bad affix conditions, flags
+ * that no directive defines, duplicate words...
+ *
+ * Every problem is reported as a diagnostic:
+ *
+ *     { severity: "error" | "warning", file: "aff" | "dic", line: 12, message: "..." }
+ *
+ * Errors break loading or checking; warnings point at data that is ignored or
+ * suspicious. Line numbers are 1-based and count every line of the file,
+ * comments included.
+ */
+
+var Typo = require("../typo");
+
+/**
+ * Directives made of a count line followed by that many entry lines.
+ */
+
+var TABLE_DIRECTIVES = [ "REP", "MAP", "PHONE", "COMPOUNDRULE", "AF", "AM", "ICONV", "OCONV", "BREAK" ];
+
+/**
+ * Directives whose value is a flag with a special meaning.
+ */
+
+var FLAG_DIRECTIVES = [ "KEEPCASE", "NEEDAFFIX", "ONLYINCOMPOUND", "NOSUGGEST", "FORBIDDENWORD", "CIRCUMFIX",
+  "COMPOUNDFLAG", "COMPOUNDBEGIN", "COMPOUNDMIDDLE", "COMPOUNDEND" ];
+
+/**
+ * Directives whose value is a number.
+ */
+
+var NUMBER_DIRECTIVES = [ "COMPOUNDMIN", "COMPOUNDWORDMAX" ];
+
+/**
+ * Splits a file into its lines, keeping their numbers.
+ *
+ * @param {String} data
+ * @param {RegExp} comment What to remove from each line as a comment.
+ * @returns {Object[]} The non-blank lines, as { line, text, parts }.
+ */
+
+function splitLines(data, comment) {
+  var rv = [];
+
+  data.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split("\n").forEach(function(text, i) {
+    text = text.replace(comment, "").trim();
+
+    if (text) {
+      rv.push({ line: i + 1, text: text, parts: text.split(/\s+/) });
+    }
+  });
+
+  return rv;
+}
+
+/**
+ * Returns the number of lines that follow lines[start] and start with the same
+ * keyword (and the same flag, when one is given).
+ */
+
+function countEntries(lines, start, keyword, flag) {
+  var count = 0;
+
+  for (var i = start + 1; i < lines.length; i++) {
+    var parts = lines[i].parts;
+
+    if (parts[0] !== keyword || (flag !== undefined && parts[1] !== flag)) {
+      break;
+    }
+
+    count++;
+  }
+
+  return count;
+}
+
+function announced(count, found) {
+  return "announces " + count + " entries, but " + found + (found === 1 ? " follows" : " follow");
+}
+
+/**
+ * Validates the data of an .aff file and of a .dic file.
+ *
+ * @param {String} affData The affix rules.
+ * @param {String} wordsData The words.
+ * @returns {Object[]} The diagnostics, .aff file first, by line.
+ */
+
+function validate(affData, wordsData) {
+  var diagnostics = [];
+
+  function report(severity, file, line, message) {
+    diagnostics.push({ severity: severity, file: file, line: line, message: message });
+  }
+
+  // Parses flags the way Typo#parseRuleCodes() does, once FLAG and AF are known.
+  var parser = Object.create(Typo.prototype);
+
+  parser.flags = {};
+  parser.aliasFlags = [];
+  parser.morphAliases = [];
+
+  var definedRules = {};
+  var knownFlags = {};
+  var references = [];
+
+  var affLines = splitLines(affData, /#.*$/);
+
+  for (var i = 0; i < affLines.length; i++) {
+    var line = affLines[i];
+    var parts = line.parts;
+    var keyword = parts[0];
+
+    if (keyword === "PFX" || keyword === "SFX") {
+      var flag = parts[1];
+      var count = parseInt(parts[3], 10);
+      var found = countEntries(affLines, i, keyword, flag);
+
+      if (parts.length < 4 || !/^\d+$/.test(parts[3])) {
+        report("error", "aff", line.line, keyword + " " + flag + " header needs a cross product flag and an entry count");
+        i += found;
+        continue;
+      }
+
+      if (parts[2] !== "Y" && parts[2] !== "N") {
+        report("warning", "aff", line.line, keyword + " " + flag + " cross product flag should be Y or N, not \"" + parts[2] + "\"");
+      }
+
+      if ({}.hasOwnProperty.call(definedRules, flag)) {
+        report("warning", "aff", line.line, "affix rule " + flag + " is already defined on line " + definedRules[flag] + "; this definition replaces it");
+      }
+
+      if (found !== count) {
+        report("error", "aff", line.line, keyword + " " + flag + " " + announced(count, found));
+      }
+
+      definedRules[flag] = line.line;
+      knownFlags[flag] = true;
+
+      for (var j = i + 1; j <= i + found; j++) {
+        validateAffixEntry(affLines[j], keyword, report, references);
+      }
+
+      i += found;
+    } else if (TABLE_DIRECTIVES.indexOf(keyword) !== -1) {
+      // Typo.js also accepts REP entries without a count line.
+      if (keyword === "REP" && parts.length === 3) {
+        continue;
+      }
+
+      var entryCount = countEntries(affLines, i, keyword);
+
+      if (parts.length !== 2 || !/^\d+$/.test(parts[1])) {
+        report("error", "aff", line.line, keyword + " table needs an entry count before its entries");
+      } else if (+parts[1] !== entryCount) {
+        report("error", "aff", line.line, keyword + " " + announced(parts[1], entryCount));
+      }
+
+      for (var k = i + 1; k <= i + entryCount; k++) {
+        validateTableEntry(affLines[k], keyword, report, parser, knownFlags);
+      }
+
+      i += entryCount;
+    } else if (keyword === "FLAG") {
+      if (parts[1] !== "long" && parts[1] !== "num") {
+        report("error", "aff", line.line, "FLAG " + parts[1] + " is not supported; use single characters (no FLAG), long or num");
+      } else {
+        parser.flags.FLAG = parts[1];
+      }
+    } else if (FLAG_DIRECTIVES.indexOf(keyword) !== -1) {
+      if (parts.length < 2) {
+        report("error", "aff", line.line, keyword + " needs a flag");
+      } else {
+        knownFlags[parts[1]] = true;
+      }
+    } else if (NUMBER_DIRECTIVES.indexOf(keyword) !== -1) {
+      if (!/^\d+$/.test(parts[1] || "")) {
+        report("error", "aff", line.line, keyword + " needs a number");
+      }
+    }
+  }
+
+  references.forEach(function(reference) {
+    parser.parseRuleCodes(reference.codes).forEach(function(code) {
+      if (!{}.hasOwnProperty.call(knownFlags, code)) {
+        report("warning", "aff", reference.line, "continuation class " + code + " is not defined");
+      }
+    });
+  });
+
+  validateWords(wordsData, parser, knownFlags, report);
+
+  return diagnostics.sort(function(a, b) {
+    return (a.file === b.file ? 0 : (a.file === "aff" ? -1 : 1)) || (a.line - b.line);
+  });
+}
+
+/**
+ * Checks a PFX or SFX entry line: its fields and its condition.
+ */
+
+function validateAffixEntry(entry, keyword, report, references) {
+  var parts = entry.parts;
+
+  if (parts.length < 5) {
+    report("error", "aff", entry.line, keyword + " " + parts[1] + " entry needs the characters to remove, the affix and a condition");
+    return;
+  }
+
+  var condition = parts[4];
+
+  try {
+    new RegExp(keyword === "SFX" ? condition + "$" : "^" + condition);
+  } catch (e) {
+    report("error", "aff", entry.line, "bad condition \"" + condition + "\": " + e.message);
+    return;
+  }
+
+  // Conditions are characters, "." and [...] or [^...] groups.
+  if (/[(){}*+?|\\$]|(^|[^[])\^/.test(condition)) {
+    report("warning", "aff", entry.line, "condition \"" + condition + "\" uses regular expression syntax that hunspell does not support");
+  }
+
+  var slash = parts[3].indexOf("/");
+
+  if (slash !== -1) {
+    references.push({ line: entry.line, codes: parts[3].substring(slash + 1) });
+  }
+}
+
+/**
+ * Checks an entry line of a table directive, and records what it defines.
+ */
+
+function validateTableEntry(entry, keyword, report, parser, knownFlags) {
+  var parts = entry.parts;
+  var fields = { REP: 3, PHONE: 3, ICONV: 3, OCONV: 3 }[keyword] || 2;
+
+  if (parts.length < fields) {
+    report("error", "aff", entry.line, keyword + " entry needs " + (fields - 1) + " value" + (fields > 2 ? "s" : ""));
+    return;
+  }
+
+  if (keyword === "AF") {
+    parser.aliasFlags.push(parts[1]);
+  } else if (keyword === "AM") {
+    parser.morphAliases.push(entry.text.replace(/^\S+\s+/, ""));
+  } else if (keyword === "COMPOUNDRULE") {
+    // Rule flags are the characters, or the parenthesized long/num flags, of the pattern.
+    var pattern = parts[1];
+    var codes = /\(/.test(pattern) ? (pattern.match(/\([^)]*\)/g) || []).map(function(code) {
+      return code.slice(1, -1);
+    }) : pattern.replace(/[*?]/g, "").split("");
+
+    codes.forEach(function(code) {
+      knownFlags[code] = true;
+    });
+  }
+}
+
+/**
+ * Checks the word count line, the flags and the duplicates of a .dic file.
+ */
+
+function validateWords(wordsData, parser, knownFlags, report) {
+  // Tab-indented lines are comments, as in Typo#removeDicComments().
+  var lines = splitLines(wordsData, /^\t.*$/);
+  var seen = {};
+
+  if (lines.length === 0) {
+    report("error", "dic", 1, "the dictionary is empty");
+    return;
+  }
+
+  if (!/^\d+$/.test(lines[0].text)) {
+    report("error", "dic", lines[0].line, "the first line should be the number of words, not \"" + lines[0].text + "\"");
+  } else if (+lines[0].text !== lines.length - 1) {
+    report("warning", "dic", lines[0].line, "the first line announces " + lines[0].text + " words, but there are " + (lines.length - 1));
+  }
+
+  for (var i = 1; i < lines.length; i++) {
+    var line = lines[i];
+    var entry = parser.parseDicLine(line.text);
+    var codesText = /^[^\s]?[^/\s]*\/(\S+)/.exec(line.text);
+
+    if (!entry.word) {
+      report("error", "dic", line.line, "the line has no word");
+      continue;
+    }
+
+    if (codesText && parser.aliasFlags.length > 0 && /^\d+$/.test(codesText[1]) && !parser.aliasFlags[codesText[1] - 1]) {
+      report("error", "dic", line.line, "flag alias " + codesText[1] + " is not defined (AF has " + parser.aliasFlags.length + " entries)");
+    }
+
+    entry.ruleCodes.forEach(function(code) {
+      if (!{}.hasOwnProperty.call(knownFlags, code)) {
+        report("warning", "dic", line.line, "flag " + code + " of \"" + entry.word + "\" is not defined in the .aff file");
+      }
+    });
+
+    // Homonyms with different flags are fine; the same word and flags twice is not.
+    var key = entry.word + "/" + entry.ruleCodes.slice().sort().join(",");
+
+    if ({}.hasOwnProperty.call(seen, key)) {
+      report("warning", "dic", line.line, "duplicate word \"" + entry.word + "\" (also on line " + seen[key] + ")");
+    } else {
+      seen[key] = line.line;
+    }
+  }
+}
+
+module.exports = {
+  validate: validate
+};
@@ -0,0 +1,58 @@
+"use strict";
+
+/**
+ * A worker thread of Typo.create(); see lib/pool.js.
+ *
+ * It either parses the dictionary ({ dictionary, settings }) and posts its
+ * state back, or builds its instance from the state of the first worker
+ * ({ state }). Either way, it then indexes the dictionary by sound, so that
+ * the first suggestion does not wait for it.
+ *
+ * A worker of Typo#buildPhoneticIndexAsync() ({ phonetic }) only indexes a
+ * shared word trie by sound, and posts the index back.
+ */
+
+var workerThreads = require("worker_threads");
+var Typo = require("../typo");
+var WordTrie = require("./trie");
+var phonetic = require("./phonetic");
+var pool = require("./pool");
+
+var parentPort = workerThreads.parentPort;
+var workerData = workerThreads.workerData;
+var typo;
+
+if (workerData.phonetic) {
+  parentPort.postMessage({
+    index: phonetic.buildIndex(WordTrie.fromShared(workerData.phonetic.trie), phonetic.createEncoder(workerData.phonetic.phoneTable))
+  });
+} else if (workerData.state) {
+  typo = pool.fromState(workerData.state).buildPhoneticIndex();
+} else {
+  try {
+    typo = Typo.fromDictionary(workerData.dictionary, workerData.settings);
+    parentPort.postMessage({ state: pool.shareState(typo) });
+    typo.buildPhoneticIndex();
+  } catch (e) {
+    parentPort.postMessage({ error: e.message });
+  }
+}
+
+parentPort.on("message", function(message) {
+  var result;
+
+  try {
+    result = typo[message.method].apply(typo, message.args);
+  } catch (e) {
+    if (message.id) {
+      parentPort.postMessage({ id: message.id, error: e.message });
+    }
+
+    return;
+  }
+
+  if (message.id) {
+    // Chainable methods return the instance, which is not worth posting back.
+    parentPort.postMessage({ id: message.id, result: result === typo ? undefined : result });
+  }
+});
@@ -1,3 +0,0 @@
-export PATH=/Users/leo/.pyenv/shims:/Users/leo/.pyenv/shims:/Users/leo/myscripts:/Users/leo/Library/Android/sdk/platform-tools:/Users/leo/Library/Android/sdk/tools:/Users/leo/bin:/usr/local/bin:/usr/local/bin:/usr/bin:/bin:/usr/sbin:/sbin:/usr/local/Cellar/node/4.2.1/bin:/usr/local/mysql/bin
-
-echo $PATH
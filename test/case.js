@@ -0,0 +1,111 @@
+"use strict";
+
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var Typo = require("../typo");
+var letterCase = require("../lib/case");
+
+var AFF = "SET UTF-8\nKEEPCASE K\n";
+var WORDS = [ "world", "istanbul", "ılık", "İzmir", "kHz/K", "Paris", "iPod" ];
+
+function dictionary(code) {
+  return new Typo(code, AFF, WORDS.length + "\n" + WORDS.join("\n") + "\n");
+}
+
+describe("lowerCase() and upperCase()", function() {
+  it("follow the locale", function() {
+    assert.strictEqual(letterCase.lowerCase("İSTANBUL", "tr"), "istanbul");
+    assert.strictEqual(letterCase.lowerCase("ILIK", "tr"), "ılık");
+    assert.strictEqual(letterCase.lowerCase("İSTANBUL"), "i̇stanbul");
+    assert.strictEqual(letterCase.upperCase("istanbul", "tr"), "İSTANBUL");
+    assert.strictEqual(letterCase.upperCase("istanbul"), "ISTANBUL");
+    assert.strictEqual(letterCase.upperCase("straße"), "STRASSE");
+  });
+});
+
+describe("isAllCaps()", function() {
+  it("needs two characters, with capitals and no lowercase letters", function() {
+    assert.strictEqual(letterCase.isAllCaps("TEH"), true);
+    assert.strictEqual(letterCase.isAllCaps("MP3"), true);
+    assert.strictEqual(letterCase.isAllCaps("İZMİR", "tr"), true);
+    assert.strictEqual(letterCase.isAllCaps("A"), false);
+    assert.strictEqual(letterCase.isAllCaps("42"), false);
+    assert.strictEqual(letterCase.isAllCaps("Teh"), false);
+  });
+
+  it("takes astral characters whole", function() {
+    assert.strictEqual(letterCase.isAllCaps("𐐀"), false);
+    assert.strictEqual(letterCase.isAllCaps("𐐀B"), true);
+  });
+});
+
+describe("startsWithCapital()", function() {
+  it("looks at the first character", function() {
+    assert.strictEqual(letterCase.startsWithCapital("Teh"), true);
+    assert.strictEqual(letterCase.startsWithCapital("İzmir", "tr"), true);
+    assert.strictEqual(letterCase.startsWithCapital("𐐀b"), true);
+    assert.strictEqual(letterCase.startsWithCapital("teh"), false);
+    assert.strictEqual(letterCase.startsWithCapital("1st"), false);
+    assert.strictEqual(letterCase.startsWithCapital(""), false);
+  });
+});
+
+describe("capitalize() and titleCase()", function() {
+  it("capitalize the first letter only", function() {
+    assert.strictEqual(letterCase.capitalize("iPod"), "IPod");
+    assert.strictEqual(letterCase.capitalize("istanbul", "tr"), "İstanbul");
+    assert.strictEqual(letterCase.capitalize("ılık", "tr"), "Ilık");
+    assert.strictEqual(letterCase.capitalize("𐐨b"), "𐐀b");
+  });
+
+  it("lowercase the other letters in title case", function() {
+    assert.strictEqual(letterCase.titleCase("İZMİR", "tr"), "İzmir");
+    assert.strictEqual(letterCase.titleCase("ILIK", "tr"), "Ilık");
+    assert.strictEqual(letterCase.titleCase("IZMIR"), "Izmir");
+  });
+});
+
+describe("matchCase()", function() {
+  it("gives a word the capitalization of the pattern", function() {
+    assert.strictEqual(letterCase.matchCase("TEH", "the"), "THE");
+    assert.strictEqual(letterCase.matchCase("Teh", "the"), "The");
+    assert.strictEqual(letterCase.matchCase("teh", "the"), "the");
+    assert.strictEqual(letterCase.matchCase("IZMR", "İzmir", "tr"), "İZMİR");
+  });
+
+  it("keeps the capitals of the word otherwise", function() {
+    assert.strictEqual(letterCase.matchCase("pars", "Paris"), "Paris");
+    assert.strictEqual(letterCase.matchCase("teh", "THE"), "THE");
+  });
+});
+
+describe("recasing suggestions", function() {
+  var en = dictionary("en_US");
+  var tr = dictionary("tr_TR");
+
+  it("follows title case and ALLCAPS misspellings", function() {
+    assert.deepStrictEqual(en.suggest("wrold"), [ "world" ]);
+    assert.deepStrictEqual(en.suggest("Wrold"), [ "World" ]);
+    assert.deepStrictEqual(en.suggest("WROLD"), [ "WORLD" ]);
+    assert.deepStrictEqual(en.suggest("PARS"), [ "PARIS" ]);
+  });
+
+  it("keeps proper nouns and KEEPCASE words as they are", function() {
+    assert.deepStrictEqual(en.suggest("pars"), [ "Paris" ]);
+    assert.deepStrictEqual(en.suggest("ipd"), [ "iPod" ]);
+    assert.deepStrictEqual(en.suggest("Ipd"), [ "iPod" ]);
+    assert.deepStrictEqual(en.suggest("khz"), [ "kHz" ]);
+    assert.deepStrictEqual(en.suggest("KHZ"), [ "kHz" ]);
+  });
+
+  it("uses the Turkish dotted and dotless i", function() {
+    assert.deepStrictEqual(tr.suggest("İstanbl"), [ "İstanbul" ]);
+    assert.deepStrictEqual(tr.suggest("İSTANBL"), [ "İSTANBUL" ]);
+    assert.deepStrictEqual(tr.suggest("ILK"), [ "ILIK" ]);
+    assert.deepStrictEqual(tr.suggest("Ilk"), [ "Ilık" ]);
+    assert.deepStrictEqual(tr.suggest("IZMR"), [ "İZMİR" ]);
+    assert.deepStrictEqual(tr.suggest("PARS"), [ "PARİS" ]);
+    assert.deepStrictEqual(en.suggest("IZMR"), [ "İZMIR" ]);
+  });
+});
@@ -0,0 +1,239 @@
+"use strict";
+
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var childProcess = require("child_process");
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var before = require("node:test").before;
+var after = require("node:test").after;
+
+var COMMAND = path.join(__dirname, "..", "bin", "typo-check.js");
+
+describe("typo-check", function() {
+  var project;
+
+  /**
+   * Runs the command in a directory of the project, and returns its status and output.
+   */
+
+  function run(directory, args, input) {
+    // A home of its own keeps the user's ~/.typo-words out of the results.
+    var home = path.join(project, "home");
+    var result = childProcess.spawnSync(process.execPath, [ COMMAND ].concat(args), {
+      cwd: path.join(project, directory),
+      input: input || "",
+      encoding: "utf8",
+      env: Object.assign({}, process.env, { HOME: home, USERPROFILE: home })
+    });
+
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+  }
+
+  function write(file, text) {
+    fs.mkdirSync(path.dirname(path.join(project, file)), { recursive: true });
+    fs.writeFileSync(path.join(project, file), text);
+  }
+
+  before(function() {
+    project = fs.mkdtempSync(path.join(os.tmpdir(), "typo-check-cli-"));
+
+    write("home/.typo-words", "");
+    write(".typocheckrc", "{}\n");
+    write(".typo-words", "frobnicate\n");
+    write("docs/notes.txt", "We frobnicate the wrold.\n");
+    write("dicts/tech/tech.aff", "SET UTF-8\n");
+    write("dicts/tech/tech.dic", "1\nwebpack\n");
+  });
+
+  after(function() {
+    fs.rmSync(project, { recursive: true, force: true });
+  });
+
+  it("reads the project word list from a subdirectory", function() {
+    var result = run("docs", [ "--list", "notes.txt" ]);
+
+    assert.strictEqual(result.stdout, "wrold\n");
+    assert.strictEqual(result.status, 1);
+  });
+
+  it("takes the dictionaries missing from the dictionary path from the bundled ones", function() {
+    var result = run("", [ "--list", "-d", "en_US,tech", "--dictionary-path", "dicts" ], "webpack bundles the wrold\n");
+
+    assert.strictEqual(result.stdout, "wrold\n");
+    assert.strictEqual(result.status, 1);
+  });
+
+  it("reports a dictionary missing everywhere at the dictionary path", function() {
+    var result = run("", [ "--list", "-d", "en_US,nope", "--dictionary-path", "dicts" ], "hello\n");
+
+    assert.match(result.stderr, /could not load dictionary "nope": .*dicts[\/\\]nope[\/\\]nope\.aff does not exist/);
+    assert.strictEqual(result.status, 2);
+  });
+
+  it("honors inline directives on standard input", function() {
+    var result = run("", [ "--list" ], "<!-- typo-check-ignore: tset -->\nteh tset\n");
+
+    assert.strictEqual(result.stdout, "teh\n");
+    assert.strictEqual(result.status, 1);
+  });
+
+  describe("--diff", function() {
+    var diff = "--- a/notes.txt\n+++ b/notes.txt\n@@ -1 +1,2 @@\n We frobnicate the wrold.\n+A recieve line.\n";
+
+    it("checks the lines that a diff adds", function() {
+      write("diff/changes.diff", diff);
+
+      var result = run("diff", [ "--limit", "2", "--diff", "changes.diff" ]);
+
+      assert.strictEqual(result.stdout, "notes.txt:2:3 recieve -> receive, relieve\n");
+      assert.strictEqual(result.status, 1);
+    });
+
+    it("reads the diff from standard input", function() {
+      var result = run("diff", [ "--list", "--diff", "-" ], diff);
+
+      assert.strictEqual(result.stdout, "recieve\n");
+      assert.strictEqual(result.status, 1);
+    });
+
+    it("checks the lines added since a git revision", function() {
+      var repository = path.join(project, "repository");
+
+      function git(args) {
+        var result = childProcess.spawnSync("git", [ "-c", "user.name=Test", "-c", "user.email=test@example.com" ].concat(args), {
+          cwd: repository,
+          encoding: "utf8"
+        });
+
+        assert.strictEqual(result.status, 0, result.stderr);
+      }
+
+      write("repository/docs/old.txt", "The wrold.\nOne.\nTwo.\nThree.\nFour.\n");
+      git([ "init", "-q" ]);
+      git([ "add", "-A" ]);
+      git([ "commit", "-q", "-m", "Start" ]);
+      write("repository/docs/old.txt", "The wrold.\nOne.\nTwo.\nThree.\nFour.\nA recieve line.\n");
+      write("repository/docs/new.txt", "teh\n");
+      git([ "add", "-A" ]);
+
+      var result = run("repository/docs", [ "--list", "--diff-base", "HEAD" ]);
+
+      // Paths are relative to the current directory, and only the added lines count.
+      assert.strictEqual(result.stdout, "teh\nrecieve\n");
+      assert.strictEqual(result.status, 1);
+
+      git([ "mv", "docs/old.txt", "docs/renamed.txt" ]);
+      result = run("repository", [ "--format", "json", "--diff-base", "HEAD" ]);
+
+      assert.deepStrictEqual(JSON.parse(result.stdout).map(function(item) {
+        return item.file + ":" + item.line + " " + item.word;
+      }), [ "docs/new.txt:1 teh", "docs/renamed.txt:6 recieve" ]);
+
+      result = run("repository", [ "--diff-base", "no-such-revision" ]);
+
+      assert.match(result.stderr, /git diff no-such-revision failed/);
+      assert.strictEqual(result.status, 2);
+    });
+
+    it("rejects revisions looking like options", function() {
+      var result = run("diff", [ "--diff-base", "--output=x" ]);
+
+      assert.match(result.stderr, /bad revision "--output=x"/);
+      assert.strictEqual(result.status, 2);
+    });
+  });
+
+  describe("--fix", function() {
+    var text = "We recieve teh mail.\nThe wrold.\n";
+
+    function read(file) {
+      return fs.readFileSync(path.join(project, file), "utf8");
+    }
+
+    it("corrects the files in place and reports the misspellings left", function() {
+      write("fix/in-place.txt", text);
+
+      var result = run("fix", [ "--fix", "--list", "in-place.txt" ]);
+
+      assert.strictEqual(read("fix/in-place.txt"), "We receive teh mail.\nThe world.\n");
+      assert.strictEqual(result.stdout, "teh\n");
+      assert.strictEqual(result.stderr, "typo-check: corrected 2 misspellings\n");
+      assert.strictEqual(result.status, 1);
+    });
+
+    it("prints the corrections as a diff with --dry-run, leaving the files untouched", function() {
+      write("fix/dry-run.txt", text);
+
+      var result = run("fix", [ "--fix", "--dry-run", "dry-run.txt" ]);
+
+      assert.strictEqual(read("fix/dry-run.txt"), text);
+      assert.strictEqual(result.stdout, "--- a/dry-run.txt\n+++ b/dry-run.txt\n@@ -1,2 +1,2 @@\n" +
+        "-We recieve teh mail.\n+We receive teh mail.\n-The wrold.\n+The world.\n");
+      assert.strictEqual(result.stderr, "typo-check: would correct 2 misspellings\n");
+      assert.strictEqual(result.status, 1);
+    });
+
+    it("goes with --dry-run only", function() {
+      var result = run("fix", [ "--dry-run", "dry-run.txt" ]);
+
+      assert.match(result.stderr, /--dry-run goes with --fix or --interactive/);
+      assert.strictEqual(result.status, 2);
+    });
+  });
+
+  describe("--interactive", function() {
+    function read(file) {
+      return fs.readFileSync(path.join(project, file), "utf8");
+    }
+
+    it("replaces with the chosen suggestion, or skips", function() {
+      write("interactive/choose.txt", "teh wrold\n");
+
+      var result = run("interactive", [ "--interactive", "--limit", "3", "choose.txt" ], "1\ns\n");
+
+      assert.strictEqual(read("interactive/choose.txt"), "the wrold\n");
+      assert.match(result.stdout, /choose\.txt:1:1 teh\n {4}teh wrold\n {2}1\) the {2}2\) Te {2}3\) tea\n {2}\[1-3\] replace, a\[1-3\] replace all, \[s\]kip, \[q\]uit\? /);
+      assert.match(result.stdout, /choose\.txt:1:5 wrold\n/);
+      assert.strictEqual(result.stderr, "typo-check: corrected 1 misspelling\n");
+      assert.strictEqual(result.status, 1);
+    });
+
+    it("replaces a word everywhere with a and a number", function() {
+      write("interactive/all-1.txt", "teh wrold, teh\n");
+      write("interactive/all-2.txt", "teh\n");
+
+      var result = run("interactive", [ "--interactive", "all-1.txt", "all-2.txt" ], "a1\n1\n");
+
+      assert.strictEqual(read("interactive/all-1.txt"), "the world, the\n");
+      assert.strictEqual(read("interactive/all-2.txt"), "the\n");
+      assert.strictEqual(result.stdout.match(/replace all/g).length, 2);
+      assert.strictEqual(result.status, 0);
+    });
+
+    it("asks again after a wrong answer, and stops with q", function() {
+      write("interactive/quit.txt", "teh wrold\n");
+      write("interactive/quit-2.txt", "teh\n");
+
+      var result = run("interactive", [ "--interactive", "quit.txt", "quit-2.txt" ], "9\nq\n");
+
+      assert.strictEqual(read("interactive/quit.txt"), "teh wrold\n");
+      assert.strictEqual(read("interactive/quit-2.txt"), "teh\n");
+      assert.strictEqual(result.stdout.match(/\[q\]uit\? /g).length, 2);
+      assert.strictEqual(result.stderr, "typo-check: corrected 0 misspellings\n");
+      assert.strictEqual(result.status, 1);
+    });
+
+    it("shows the corrections as a diff with --dry-run", function() {
+      write("interactive/dry-run.txt", "teh\n");
+
+      var result = run("interactive", [ "--interactive", "--dry-run", "dry-run.txt" ], "1\n");
+
+      assert.strictEqual(read("interactive/dry-run.txt"), "teh\n");
+      assert.match(result.stdout, /\n--- a\/dry-run\.txt\n\+\+\+ b\/dry-run\.txt\n@@ -1,1 \+1,1 @@\n-teh\n\+the\n$/);
+      assert.strictEqual(result.stderr, "typo-check: would correct 1 misspelling\n");
+    });
+  });
+});
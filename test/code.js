@@ -0,0 +1,106 @@
+"use strict";
+
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var Typo = require("../typo");
+var code = require("../lib/code");
+
+var dictionary = new Typo("en_US");
+
+function words(tokens) {
+  return tokens.map(function(token) {
+    return token.word;
+  });
+}
+
+describe("splitIdentifier()", function() {
+  function split(word) {
+    return code.splitIdentifier({ word: word, start: 10, end: 10 + word.length });
+  }
+
+  it("splits camelCase and PascalCase at case changes", function() {
+    assert.deepStrictEqual(split("parseRuleCodes"), [
+      { word: "parse", start: 10, end: 15 },
+      { word: "Rule", start: 15, end: 19 },
+      { word: "Codes", start: 19, end: 24 }
+    ]);
+    assert.deepStrictEqual(words(split("XMLHttpRequest")), [ "XML", "Http", "Request" ]);
+    assert.deepStrictEqual(words(split("parseAFF")), [ "parse", "AFF" ]);
+  });
+
+  it("splits snake_case and SCREAMING_SNAKE_CASE once underscores are blanked", function() {
+    assert.deepStrictEqual(words(code.tokenize("var max_word_length = MAX_WORD_LENGTH;", "", { minWordLength: 1 })), [
+      "max", "word", "length", "MAX", "WORD", "LENGTH"
+    ]);
+  });
+});
+
+describe("extract()", function() {
+  it("finds comments, strings and identifiers, but not keywords", function() {
+    var source = "// a comment\nvar greeting = \"hello\" + `templ ${name} ate`; /* block */ x = a / b / c;";
+
+    assert.deepStrictEqual(code.extract(source).map(function(segment) {
+      return segment.kind + " " + source.substring(segment.start, segment.end);
+    }), [
+      "comment  a comment",
+      "identifier greeting",
+      "string hello",
+      "string templ ",
+      "identifier name",
+      "string  ate",
+      "comment  block ",
+      "identifier x",
+      "identifier a",
+      "identifier b",
+      "identifier c"
+    ]);
+  });
+
+  it("skips regular expression literals", function() {
+    assert.deepStrictEqual(words(code.tokenize("var re = /wrold[a-z\\/]+/gi; // wrold", "")), [ "wrold" ]);
+    assert.strictEqual(code.tokenize("var re = /wrold[a-z\\/]+/gi; // wrold", "")[0].start, 31);
+  });
+
+  it("follows the language of the file", function() {
+    assert.strictEqual(code.detectLanguage("src/main.PY"), "python");
+    assert.strictEqual(code.detectLanguage("README"), null);
+    assert.deepStrictEqual(words(code.tokenize("# wrold comment\nx = '''docstrng'''\n", "", { fileName: "a.py", identifiers: false })), [
+      "wrold", "comment", "docstrng"
+    ]);
+    assert.throws(function() {
+      code.extract("", "cobol");
+    }, /unknown source language "cobol"/);
+  });
+});
+
+describe("checkCode()", function() {
+  var source = [
+    "// Retruns the wrold.",
+    "function getWroldName(recieved_value) {",
+    "  return \"helo\\nthere\" + recievedValue;",
+    "}",
+    ""
+  ].join("\n");
+
+  it("checks the sub-words of identifiers, strings and comments", function() {
+    assert.deepStrictEqual(dictionary.checkCode(source, { suggest: false }).map(function(misspelling) {
+      return [ misspelling.word, misspelling.line, misspelling.column ];
+    }), [
+      [ "Retruns", 1, 4 ],
+      [ "wrold", 1, 16 ],
+      [ "Wrold", 2, 13 ],
+      [ "recieved", 2, 23 ],
+      [ "helo", 3, 11 ],
+      [ "recieved", 3, 26 ]
+    ]);
+  });
+
+  it("checks only strings and comments without identifiers", function() {
+    assert.deepStrictEqual(words(dictionary.checkCode(source, { suggest: false, identifiers: false })), [ "Retruns", "wrold", "helo" ]);
+  });
+
+  it("is the code mode of checkText()", function() {
+    assert.deepStrictEqual(dictionary.checkText(source, { mode: "auto", fileName: "a.js", suggest: false }), dictionary.checkCode(source, { suggest: false }));
+  });
+});
@@ -0,0 +1,52 @@
+"use strict";
+
+var assert = require("assert");
+var zlib = require("zlib");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var Typo = require("../typo");
+
+var dictionary = new Typo("en_US");
+
+dictionary.addWord("webpack", "S");
+
+var data = dictionary.serialize();
+
+describe("Typo.fromCompiled()", function() {
+  it("restores every word with its rule codes", function() {
+    var restored = Typo.fromCompiled(data);
+    var words = dictionary.dictionaryTable.words();
+
+    assert.deepStrictEqual(restored.dictionaryTable.words(), words);
+    assert.strictEqual(restored.dictionaryTable.size, dictionary.dictionaryTable.size);
+
+    words.forEach(function(word) {
+      assert.deepStrictEqual(restored.dictionaryTable.get(word), dictionary.dictionaryTable.get(word));
+    });
+  });
+
+  it("restores a working checker", function() {
+    var restored = Typo.fromCompiled(zlib.gzipSync(data));
+
+    assert.strictEqual(restored.check("webpacks"), true);
+    assert.strictEqual(restored.check("22nd"), true);
+    assert.deepStrictEqual(restored.suggest("wrold", 2), [ "world", "wold" ]);
+
+    // Words sharing rule code lists keep lists of their own.
+    restored.addWord("hello", "S");
+    assert.strictEqual(restored.check("hellos"), true);
+    assert.strictEqual(restored.check("worlds"), true);
+    assert.strictEqual(restored.check("cats"), true);
+    assert.strictEqual(restored.check("catss"), false);
+  });
+
+  it("stores each rule code list once", function() {
+    assert.ok(data.length < 1.5 * 1024 * 1024, data.length + " characters");
+  });
+
+  it("rejects truncated data", function() {
+    assert.throws(function() {
+      Typo.fromCompiled(data.substring(0, data.length - 1000));
+    }, /truncated compiled dictionary/);
+  });
+});
@@ -0,0 +1,127 @@
+"use strict";
+
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var Typo = require("../typo");
+var unifiedDiff = require("../lib/diff");
+
+var dictionary = new Typo("en_US");
+
+var DIFF = [
+  "diff --git a/docs/intro.md b/docs/intro.md",
+  "index 1111111..2222222 100644",
+  "--- a/docs/intro.md",
+  "+++ b/docs/intro.md",
+  "@@ -1,3 +1,4 @@",
+  " # Intro",
+  "-The wrold is old.",
+  "+The world is new.",
+  "+A recieve line.",
+  " ",
+  "@@ -10 +11,2 @@ Some section",
+  " Context teh line.",
+  "+Another wrold.",
+  "diff --git a/old.txt b/new.txt",
+  "similarity index 90%",
+  "rename from old.txt",
+  "rename to new.txt",
+  "--- a/old.txt",
+  "+++ b/new.txt",
+  "@@ -1,2 +1,2 @@",
+  " teh first line",
+  "-an old line",
+  "+an nwe line",
+  "diff --git a/moved.txt b/renamed.txt",
+  "similarity index 100%",
+  "rename from moved.txt",
+  "rename to renamed.txt",
+  "diff --git a/gone.txt b/gone.txt",
+  "deleted file mode 100644",
+  "--- a/gone.txt",
+  "+++ /dev/null",
+  "@@ -1 +0,0 @@",
+  "-wrold",
+  ""
+].join("\n");
+
+describe("parseDiff()", function() {
+  it("numbers the added lines from the hunk headers", function() {
+    assert.deepStrictEqual(unifiedDiff.parseDiff(DIFF), [
+      { file: "docs/intro.md", lines: [
+        { line: 2, text: "The world is new." },
+        { line: 3, text: "A recieve line." },
+        { line: 12, text: "Another wrold." }
+      ] },
+      { file: "new.txt", lines: [ { line: 2, text: "an nwe line" } ] }
+    ]);
+  });
+
+  it("reads CRLF diffs and quoted paths", function() {
+    var diff = "--- a/x\r\n+++ \"b/caf\\u00e9 notes.txt\"\r\n@@ -0,0 +1 @@\r\n+wrold\r\n";
+
+    assert.deepStrictEqual(unifiedDiff.parseDiff(diff), [ { file: "café notes.txt", lines: [ { line: 1, text: "wrold" } ] } ]);
+  });
+
+  it("does not take hunk lines for file headers", function() {
+    var diff = "--- a/x.txt\n+++ b/x.txt\n@@ -1,2 +1,2 @@\n--- a removed line\n+++ an added line\n";
+
+    assert.deepStrictEqual(unifiedDiff.parseDiff(diff), [ { file: "x.txt", lines: [ { line: 1, text: "++ an added line" } ] } ]);
+  });
+});
+
+describe("checkDiff()", function() {
+  it("reports the misspellings of the added lines only", function() {
+    var changed = dictionary.checkDiff(DIFF);
+
+    assert.deepStrictEqual(changed.map(function(result) {
+      return [ result.file, result.misspellings.map(function(misspelling) {
+        return [ misspelling.word, misspelling.line, misspelling.column, misspelling.start, misspelling.end ];
+      }) ];
+    }), [
+      [ "docs/intro.md", [ [ "recieve", 3, 3, 2, 9 ], [ "wrold", 12, 9, 8, 13 ] ] ],
+      [ "new.txt", [ [ "nwe", 2, 4, 3, 6 ] ] ]
+    ]);
+    assert.strictEqual(changed[0].misspellings[0].suggestions[0], "receive");
+  });
+
+  it("checks the whole file when it has the added lines, with offsets into it", function() {
+    var files = {
+      "docs/intro.md": "# Intro\nThe world is new.\nA recieve line.\n\n```\nwrold\n```\n\n\n\nContext teh line.\nAnother wrold.\n"
+    };
+    var changed = dictionary.checkDiff(DIFF, {
+      readFile: function(file) {
+        return {}.hasOwnProperty.call(files, file) ? files[file] : null;
+      }
+    });
+    var misspellings = changed[0].misspellings;
+
+    assert.deepStrictEqual(misspellings.map(function(misspelling) {
+      return [ misspelling.word, misspelling.line, misspelling.start ];
+    }), [ [ "recieve", 3, files["docs/intro.md"].indexOf("recieve") ], [ "wrold", 12, files["docs/intro.md"].lastIndexOf("wrold") ] ]);
+  });
+
+  it("checks the added lines on their own when the file does not have them", function() {
+    var changed = dictionary.checkDiff(DIFF, {
+      readFile: function() {
+        return "# Intro\nsomething else\n";
+      }
+    });
+
+    assert.deepStrictEqual(changed[0].misspellings.map(function(misspelling) {
+      return misspelling.word;
+    }), [ "recieve", "wrold" ]);
+  });
+
+  it("passes the options of each file to checkText()", function() {
+    var changed = dictionary.checkDiff(DIFF, {
+      suggest: false,
+      fileOptions: function(file) {
+        return file === "new.txt" ? { ignoreWords: [ "nwe" ] } : {};
+      }
+    });
+
+    assert.deepStrictEqual(changed[0].misspellings[0].suggestions, []);
+    assert.deepStrictEqual(changed[1].misspellings, []);
+  });
+});
@@ -0,0 +1,113 @@
+"use strict";
+
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var Typo = require("../typo");
+var autofix = require("../lib/fix");
+
+var dictionary = new Typo("en_US");
+
+describe("fixText()", function() {
+  var text = "We recieve teh wrold’s MAIL, Wrold and Recieve.\nqwzx here.\n";
+
+  it("corrects the misspellings with an unambiguous suggestion", function() {
+    var result = dictionary.fixText(text);
+
+    assert.strictEqual(result.text, "We receive teh world’s MAIL, World and Receive.\nqwzx here.\n");
+    assert.deepStrictEqual(result.fixes, [
+      { word: "recieve", replacement: "receive", start: 3, end: 10, line: 1, column: 4 },
+      { word: "wrold’s", replacement: "world’s", start: 15, end: 22, line: 1, column: 16 },
+      { word: "Wrold", replacement: "World", start: 29, end: 34, line: 1, column: 30 },
+      { word: "Recieve", replacement: "Receive", start: 39, end: 46, line: 1, column: 40 }
+    ]);
+  });
+
+  it("reports the others with their suggestions", function() {
+    var misspellings = dictionary.fixText(text, { limit: 2 }).misspellings;
+
+    assert.deepStrictEqual(misspellings.map(function(misspelling) {
+      return [ misspelling.word, misspelling.start, misspelling.line, misspelling.column ];
+    }), [ [ "teh", 11, 1, 12 ], [ "qwzx", 48, 2, 1 ] ]);
+    assert.deepStrictEqual(misspellings[0].suggestions, [ "the", "Te" ]);
+    assert.deepStrictEqual(dictionary.fixText(text, { suggest: false }).misspellings[0].suggestions, []);
+  });
+
+  it("honors options.minScore", function() {
+    var result = dictionary.fixText(text, { minScore: 0.95 });
+
+    assert.strictEqual(result.fixes.length, 0);
+    assert.strictEqual(result.text, text);
+    assert.strictEqual(result.misspellings.length, 6);
+  });
+
+  it("applies the only replacement of the REP table", function() {
+    var typo = new Typo("xx", "REP 1\nREP alot a_lot\n", "2\na\nlot\n");
+
+    assert.strictEqual(typo.fixText("alot").text, "a lot");
+  });
+});
+
+describe("chooseFix()", function() {
+  it("picks the only close suggestion scoring enough", function() {
+    assert.strictEqual(autofix.chooseFix([
+      { word: "world", score: 0.8, distance: 1, source: "edit" },
+      { word: "wold", score: 0.6, distance: 1, source: "edit" }
+    ]), "world");
+    assert.strictEqual(autofix.chooseFix([
+      { word: "world", score: 0.8, distance: 1, source: "edit" },
+      { word: "wold", score: 0.75, distance: 1, source: "edit" }
+    ]), null);
+    assert.strictEqual(autofix.chooseFix([ { word: "world", score: 0.8, distance: 1, source: "edit" } ], 0.9), null);
+    assert.strictEqual(autofix.chooseFix([ { word: "phonetic", score: 0.9, distance: 3, source: "phonetic" } ]), null);
+    assert.strictEqual(autofix.chooseFix([]), null);
+  });
+
+  it("picks the best suggestion when it is the only one from the REP table", function() {
+    assert.strictEqual(autofix.chooseFix([
+      { word: "a lot", score: 0.9, distance: 1, source: "rep" },
+      { word: "allot", score: 0.8, distance: 1, source: "edit" }
+    ]), "a lot");
+    assert.strictEqual(autofix.chooseFix([
+      { word: "allot", score: 0.9, distance: 1, source: "edit" },
+      { word: "a lot", score: 0.8, distance: 1, source: "rep" }
+    ]), null);
+  });
+});
+
+describe("applyFixes()", function() {
+  it("replaces the ranges in any order", function() {
+    assert.strictEqual(autofix.applyFixes("teh wrold", [
+      { start: 4, end: 9, replacement: "world" },
+      { start: 0, end: 3, replacement: "the" }
+    ]), "the world");
+  });
+});
+
+describe("unifiedDiff()", function() {
+  it("shows the changed lines with three lines of context", function() {
+    var before = "1\n2\n3\n4 wrold\n5\n6\n7\n8\n9\n10\n11\n12 wrold\n13\n";
+    var after = before.replace(/wrold/g, "world");
+
+    assert.strictEqual(autofix.unifiedDiff("a.txt", before, after), "--- a/a.txt\n+++ b/a.txt\n" +
+      "@@ -1,7 +1,7 @@\n 1\n 2\n 3\n-4 wrold\n+4 world\n 5\n 6\n 7\n" +
+      "@@ -9,5 +9,5 @@\n 9\n 10\n 11\n-12 wrold\n+12 world\n 13\n");
+  });
+
+  it("merges close changes into one hunk", function() {
+    assert.strictEqual(autofix.unifiedDiff("a.txt", "teh\n1\nteh\n", "the\n1\nthe\n"),
+      "--- a/a.txt\n+++ b/a.txt\n@@ -1,3 +1,3 @@\n-teh\n+the\n 1\n-teh\n+the\n");
+  });
+
+  it("marks a last line without line break", function() {
+    assert.strictEqual(autofix.unifiedDiff("a.txt", "teh", "the"),
+      "--- a/a.txt\n+++ b/a.txt\n@@ -1,1 +1,1 @@\n-teh\n\\ No newline at end of file\n+the\n\\ No newline at end of file\n");
+  });
+
+  it("is empty without changes", function() {
+    assert.strictEqual(autofix.unifiedDiff("a.txt", "the\n", "the\n"), "");
+    assert.throws(function() {
+      autofix.unifiedDiff("a.txt", "the\n", "the\nend\n");
+    }, /different numbers of lines/);
+  });
+});
@@ -0,0 +1,107 @@
+"use strict";
+
+/**
+ * Conformance tests in the format of hunspell's test suite: for each name,
+ * test/hunspell/[name].aff and [name].dic make a dictionary, every word of
+ * [name].good must be accepted and every word of [name].wrong rejected. The
+ * lines of an optional [name].sug are suggestions expected for the words of
+ * [name].wrong, in the same order, separated by commas.
+ */
+
+var fs = require("fs");
+var path = require("path");
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var Typo = require("../typo");
+
+var DIRECTORY = path.join(__dirname, "hunspell");
+
+function readLines(name, extension) {
+  var file = path.join(DIRECTORY, name + extension);
+
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  return fs.readFileSync(file, "utf8").split("\n").filter(function(line) {
+    return line !== "";
+  });
+}
+
+function load(name) {
+  return new Typo(name, fs.readFileSync(path.join(DIRECTORY, name + ".aff"), "utf8"),
+    fs.readFileSync(path.join(DIRECTORY, name + ".dic"), "utf8"));
+}
+
+var names = fs.readdirSync(DIRECTORY).filter(function(file) {
+  return /\.aff$/.test(file);
+}).map(function(file) {
+  return file.replace(/\.aff$/, "");
+}).sort();
+
+names.forEach(function(name) {
+  describe(name, function() {
+    var dictionary = load(name);
+    var wrong = readLines(name, ".wrong");
+
+    readLines(name, ".good").forEach(function(word) {
+      it("accepts " + word, function() {
+        assert.strictEqual(dictionary.check(word), true);
+      });
+    });
+
+    wrong.forEach(function(word) {
+      it("rejects " + word, function() {
+        assert.strictEqual(dictionary.check(word), false);
+      });
+    });
+
+    readLines(name, ".sug").forEach(function(line, i) {
+      it("suggests " + line + " for " + wrong[i], function() {
+        var suggestions = dictionary.suggest(wrong[i]);
+
+        line.split(/,\s*/).forEach(function(expected) {
+          assert.ok(suggestions.indexOf(expected) !== -1, expected + " is not in " + JSON.stringify(suggestions));
+        });
+      });
+    });
+  });
+});
+
+describe("alias2", function() {
+  it("resolves AM aliases of .dic entries and affixes", function() {
+    var analyses = load("alias2").analyze("fooyx");
+
+    assert.strictEqual(analyses.length, 1);
+    assert.strictEqual(analyses[0].root, "foo");
+    assert.strictEqual(analyses[0].partOfSpeech, "noun");
+    assert.deepStrictEqual(analyses[0].fields, [ "po:noun", "xx:other_data", "ds:affix_y", "is:affix_x" ]);
+  });
+});
+
+describe("circumfix", function() {
+  it("describes both halves of a circumfix", function() {
+    var analyses = load("circumfix").analyze("legnagyobb");
+
+    assert.strictEqual(analyses.length, 1);
+    assert.strictEqual(analyses[0].stem, "nagy");
+    assert.deepStrictEqual(analyses[0].affixes.map(function(affix) {
+      return affix.type + ":" + affix.add;
+    }), [ "SFX:obb", "PFX:leg" ]);
+  });
+});
+
+describe("break", function() {
+  it("checks long hyphenated tokens quickly", function() {
+    var dictionary = load("break");
+    var wrong = new Array(40).fill("xq").join("-");
+    var right = new Array(40).fill("foo").join("–");
+    var start = Date.now();
+
+    assert.strictEqual(dictionary.check(wrong), false);
+    assert.strictEqual(dictionary.check(right), true);
+    assert.strictEqual(dictionary.check(right + "-xq"), false);
+    assert.ok(Date.now() - start < 500, "took " + (Date.now() - start) + " ms");
+  });
+});
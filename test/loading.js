@@ -0,0 +1,138 @@
+"use strict";
+
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var before = require("node:test").before;
+var after = require("node:test").after;
+var Typo = require("../typo");
+
+describe("loading dictionaries from disk", function() {
+  var dictionaryPath;
+
+  function write(file, data) {
+    fs.mkdirSync(path.dirname(path.join(dictionaryPath, file)), { recursive: true });
+    fs.writeFileSync(path.join(dictionaryPath, file), data);
+  }
+
+  before(function() {
+    dictionaryPath = fs.mkdtempSync(path.join(os.tmpdir(), "typo-loading-"));
+
+    write("fr_XX/fr_XX.aff", Buffer.from("SET ISO8859-1\nSFX S Y 1\nSFX S 0 s .\n", "latin1"));
+    write("fr_XX/fr_XX.dic", Buffer.from("2\ncafé/S\nthé\n", "latin1"));
+    write("fr_XX/fr_XX.freq", Buffer.from("thé 10\ncafé 1000\n", "latin1"));
+    write("ru_XX/ru_XX.aff", Buffer.from("SET KOI8-R\n", "latin1"));
+    write("ru_XX/ru_XX.dic", Buffer.concat([ Buffer.from("1\n"), Buffer.from([ 0xcd, 0xc9, 0xd2 ]), Buffer.from("\n") ]));
+    write("utf_XX/utf_XX.aff", "\uFEFFSET UTF-8\n");
+    write("utf_XX/utf_XX.dic", "\uFEFF1\nnaïve\n");
+    write("nodic_XX/nodic_XX.aff", "SET UTF-8\n");
+  });
+
+  after(function() {
+    fs.rmSync(dictionaryPath, { recursive: true, force: true });
+  });
+
+  it("loads the files of a locale code synchronously", function() {
+    [ new Typo("fr_XX", null, null, { dictionaryPath: dictionaryPath }), Typo.fromDictionary("fr_XX", { dictionaryPath: dictionaryPath }) ].forEach(function(typo) {
+      assert.strictEqual(typo.check("cafés"), true);
+      assert.strictEqual(typo.check("thé"), true);
+      assert.strictEqual(typo.check("the"), false);
+      assert.ok(typo.frequencies["café"] > typo.frequencies["thé"]);
+    });
+  });
+
+  it("loads the files of a locale code asynchronously", function() {
+    return Typo.fromDictionaryAsync("fr_XX", { dictionaryPath: dictionaryPath }).then(function(typo) {
+      assert.strictEqual(typo.check("cafés"), true);
+      assert.strictEqual(typo.check("thé"), true);
+      assert.ok(typo.frequencies["café"] > typo.frequencies["thé"]);
+    });
+  });
+
+  it("falls back to the bundled dictionaries", function() {
+    var files = Typo.readDictionaryFiles("en_US", { dictionaryPath: dictionaryPath });
+
+    assert.strictEqual(files.charset, "UTF-8");
+    assert.ok(files.wordsData.length > 0);
+
+    return Typo.readDictionaryFilesAsync("en_US", { dictionaryPath: dictionaryPath }).then(function(asyncFiles) {
+      assert.strictEqual(asyncFiles.wordsData, files.wordsData);
+    });
+  });
+
+  describe("charsets", function() {
+    it("decodes the files in the SET charset", function() {
+      var files = Typo.readDictionaryFiles("fr_XX", { dictionaryPath: dictionaryPath });
+
+      assert.strictEqual(files.charset, "ISO8859-1");
+      assert.strictEqual(files.wordsData, "2\ncafé/S\nthé\n");
+      assert.strictEqual(Typo.readDictionaryFiles("ru_XX", { dictionaryPath: dictionaryPath }).wordsData, "1\nмир\n");
+      assert.strictEqual(new Typo("ru_XX", null, null, { dictionaryPath: dictionaryPath }).check("мир"), true);
+    });
+
+    it("drops the byte order mark", function() {
+      var typo = new Typo("utf_XX", null, null, { dictionaryPath: dictionaryPath });
+
+      assert.strictEqual(typo.check("naïve"), true);
+      assert.strictEqual(Typo.decode(Buffer.from("\uFEFFSET UTF-8\n"), "UTF-8"), "SET UTF-8\n");
+    });
+
+    it("reads the SET directive, with ISO8859-1 as the default", function() {
+      assert.strictEqual(Typo.detectCharset("# comment\nSET UTF-8\nTRY abc\n"), "UTF-8");
+      assert.strictEqual(Typo.detectCharset("\u00EF\u00BB\u00BFSET UTF-8\n"), "UTF-8");
+      assert.strictEqual(Typo.detectCharset("TRY abc\n"), "ISO8859-1");
+    });
+
+    it("rejects unsupported charsets", function() {
+      assert.strictEqual(Typo.decode(Buffer.from([ 0xe9 ]), "iso8859-1"), "é");
+      assert.throws(function() {
+        Typo.decode(Buffer.from("a"), "X-UNKNOWN");
+      }, /^Error: Typo: unsupported dictionary charset "X-UNKNOWN"$/);
+    });
+  });
+
+  describe("missing files", function() {
+    function assertMissing(e, file) {
+      var filePath = path.join(dictionaryPath, file);
+
+      assert.strictEqual(e.message, "Typo: could not load dictionary \"" + path.basename(file, path.extname(file)) + "\": " + filePath + " does not exist");
+      assert.strictEqual(e.code, "ENOENT");
+      assert.strictEqual(e.path, filePath);
+    }
+
+    it("names the missing .aff file", function() {
+      assert.throws(function() {
+        Typo.fromDictionary("xx_XX", { dictionaryPath: dictionaryPath });
+      }, function(e) {
+        assertMissing(e, "xx_XX/xx_XX.aff");
+
+        return true;
+      });
+
+      return Typo.fromDictionaryAsync("xx_XX", { dictionaryPath: dictionaryPath }).then(function() {
+        assert.fail("the dictionary loaded");
+      }, function(e) {
+        assertMissing(e, "xx_XX/xx_XX.aff");
+      });
+    });
+
+    it("names the missing .dic file", function() {
+      assert.throws(function() {
+        Typo.fromDictionary("nodic_XX", { dictionaryPath: dictionaryPath });
+      }, function(e) {
+        assertMissing(e, "nodic_XX/nodic_XX.dic");
+
+        return true;
+      });
+
+      return Typo.fromDictionaryAsync("nodic_XX", { dictionaryPath: dictionaryPath }).then(function() {
+        assert.fail("the dictionary loaded");
+      }, function(e) {
+        assertMissing(e, "nodic_XX/nodic_XX.dic");
+      });
+    });
+  });
+});
@@ -0,0 +1,302 @@
+"use strict";
+
+/**
+ * Drives typo-check-lsp over standard input and output, the way an editor does.
+ */
+
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var url = require("url");
+var childProcess = require("child_process");
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var before = require("node:test").before;
+var after = require("node:test").after;
+
+var SERVER = path.join(__dirname, "..", "bin", "typo-check-lsp.js");
+
+/**
+ * Client constructor: starts the server in a workspace directory.
+ */
+
+function Client(workspace) {
+  var self = this;
+
+  this.nextId = 1;
+  this.pending = {};
+  this.waiting = [];
+  this.received = [];
+  this.buffer = Buffer.alloc(0);
+
+  // A home of its own keeps the user's ~/.typo-words out of the results.
+  this.process = childProcess.spawn(process.execPath, [ SERVER, "--stdio" ], {
+    cwd: workspace,
+    env: Object.assign({}, process.env, { HOME: workspace, USERPROFILE: workspace })
+  });
+
+  this.exited = new Promise(function(resolve) {
+    self.process.on("exit", resolve);
+  });
+
+  this.process.stdout.on("data", function(chunk) {
+    self.receive(chunk);
+  });
+}
+
+Client.prototype = {
+  receive: function(chunk) {
+    this.buffer = Buffer.concat([ this.buffer, chunk ]);
+
+    for (;;) {
+      var headerEnd = this.buffer.indexOf("\r\n\r\n");
+
+      if (headerEnd === -1) {
+        return;
+      }
+
+      var bodyStart = headerEnd + 4;
+      var bodyEnd = bodyStart + parseInt(/Content-Length: (\d+)/.exec(this.buffer.toString("ascii", 0, headerEnd))[1], 10);
+
+      if (this.buffer.length < bodyEnd) {
+        return;
+      }
+
+      var message = JSON.parse(this.buffer.toString("utf8", bodyStart, bodyEnd));
+
+      this.buffer = this.buffer.subarray(bodyEnd);
+
+      if (message.method) {
+        this.received.push(message);
+        this.flush();
+      } else if (this.pending[message.id]) {
+        this.pending[message.id](message);
+        delete this.pending[message.id];
+      } else {
+        this.received.push(message);
+        this.flush();
+      }
+    }
+  },
+
+  /**
+   * Hands the received messages to the waiting matchers, in order.
+   */
+
+  flush: function() {
+    var self = this;
+
+    this.waiting = this.waiting.filter(function(waiter) {
+      for (var i = 0; i < self.received.length; i++) {
+        if (waiter.match(self.received[i])) {
+          waiter.resolve(self.received.splice(i, 1)[0]);
+          return false;
+        }
+      }
+
+      return true;
+    });
+  },
+
+  write: function(body) {
+    var buffer = Buffer.from(body, "utf8");
+
+    this.process.stdin.write("Content-Length: " + buffer.length + "\r\n\r\n");
+    this.process.stdin.write(buffer);
+  },
+
+  send: function(message) {
+    this.write(JSON.stringify(Object.assign({ jsonrpc: "2.0" }, message)));
+  },
+
+  request: function(method, params) {
+    var self = this;
+    var id = this.nextId++;
+
+    return new Promise(function(resolve) {
+      self.pending[id] = resolve;
+      self.send({ id: id, method: method, params: params });
+    });
+  },
+
+  notify: function(method, params) {
+    this.send({ method: method, params: params });
+  },
+
+  /**
+   * Resolves to the next message, other than a response to a request, that
+   * the match function accepts.
+   */
+
+  next: function(match) {
+    var self = this;
+
+    return new Promise(function(resolve) {
+      self.waiting.push({ match: match, resolve: resolve });
+      self.flush();
+    });
+  },
+
+  diagnostics: function(uri, version) {
+    return this.next(function(message) {
+      return message.method === "textDocument/publishDiagnostics" && message.params.uri === uri &&
+        (version === undefined || message.params.version === version);
+    }).then(function(message) {
+      return message.params.diagnostics;
+    });
+  }
+};
+
+function words(diagnostics) {
+  return diagnostics.map(function(diagnostic) {
+    return diagnostic.data.word;
+  });
+}
+
+describe("typo-check-lsp", function() {
+  var workspace;
+  var client;
+  var uri;
+
+  before(function() {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), "typo-check-lsp-"));
+    uri = url.pathToFileURL(path.join(workspace, "notes.txt")).href;
+    client = new Client(workspace);
+  });
+
+  after(function() {
+    if (client.process.exitCode === null) {
+      client.process.kill();
+    }
+
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  it("initializes", function() {
+    return client.request("initialize", {
+      processId: process.pid,
+      rootUri: url.pathToFileURL(workspace).href,
+      capabilities: {}
+    }).then(function(response) {
+      var capabilities = response.result.capabilities;
+
+      assert.strictEqual(capabilities.textDocumentSync.change, 2);
+      assert.deepStrictEqual(capabilities.codeActionProvider.codeActionKinds, [ "quickfix" ]);
+      assert.strictEqual(response.result.serverInfo.name, "typo-check");
+
+      client.notify("initialized", {});
+    });
+  });
+
+  it("publishes the misspellings of an opened document", function() {
+    client.notify("textDocument/didOpen", {
+      textDocument: { uri: uri, languageId: "plaintext", version: 1, text: "Hello wrold\nsecond line\n" }
+    });
+
+    return client.diagnostics(uri, 1).then(function(diagnostics) {
+      assert.strictEqual(diagnostics.length, 1);
+      assert.deepStrictEqual(diagnostics[0].range, { start: { line: 0, character: 6 }, end: { line: 0, character: 11 } });
+      assert.strictEqual(diagnostics[0].source, "typo-check");
+      assert.strictEqual(diagnostics[0].data.word, "wrold");
+    });
+  });
+
+  it("checks the lines of an incremental change", function() {
+    client.notify("textDocument/didChange", {
+      textDocument: { uri: uri, version: 2 },
+      contentChanges: [
+        { range: { start: { line: 1, character: 0 }, end: { line: 1, character: 6 } }, text: "teh" },
+        { range: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } }, text: "A nwe line\n" }
+      ]
+    });
+
+    return client.diagnostics(uri, 2).then(function(diagnostics) {
+      assert.deepStrictEqual(words(diagnostics), [ "nwe", "wrold", "teh" ]);
+      assert.deepStrictEqual(diagnostics.map(function(diagnostic) {
+        return diagnostic.range.start;
+      }), [ { line: 0, character: 2 }, { line: 1, character: 6 }, { line: 2, character: 0 } ]);
+    });
+  });
+
+  it("offers quick fixes", function() {
+    var diagnostic = {
+      range: { start: { line: 2, character: 0 }, end: { line: 2, character: 3 } },
+      severity: 3,
+      source: "typo-check",
+      message: "Unknown word \"teh\"",
+      data: { word: "teh" }
+    };
+
+    return client.request("textDocument/codeAction", {
+      textDocument: { uri: uri },
+      range: diagnostic.range,
+      context: { diagnostics: [ diagnostic ] }
+    }).then(function(response) {
+      var actions = response.result;
+      var first = actions[0];
+
+      assert.strictEqual(first.title, "Change to \"the\"");
+      assert.strictEqual(first.isPreferred, true);
+      assert.deepStrictEqual(first.edit.changes[uri], [ { range: diagnostic.range, newText: "the" } ]);
+      assert.deepStrictEqual(actions.slice(-2).map(function(action) {
+        return action.command.command;
+      }), [ "typo-check.addWord", "typo-check.ignoreWord" ]);
+    });
+  });
+
+  it("adds a word to the project word list", function() {
+    var checked = client.diagnostics(uri, 2);
+
+    return client.request("workspace/executeCommand", { command: "typo-check.addWord", arguments: [ "nwe" ] }).then(function(response) {
+      assert.strictEqual(response.result, null);
+      assert.strictEqual(fs.readFileSync(path.join(workspace, ".typo-words"), "utf8"), "nwe\n");
+
+      return checked;
+    }).then(function(diagnostics) {
+      assert.deepStrictEqual(words(diagnostics), [ "wrold", "teh" ]);
+    });
+  });
+
+  it("ignores a word", function() {
+    var checked = client.diagnostics(uri, 2);
+
+    return client.request("workspace/executeCommand", { command: "typo-check.ignoreWord", arguments: [ "wrold" ] }).then(function() {
+      return checked;
+    }).then(function(diagnostics) {
+      assert.deepStrictEqual(words(diagnostics), [ "teh" ]);
+    });
+  });
+
+  it("answers messages that are not objects with an error", function() {
+    var answered = client.next(function(message) {
+      return message.error && message.error.code === -32600;
+    });
+
+    client.write("null");
+
+    return answered.then(function(message) {
+      assert.strictEqual(message.id, null);
+
+      return client.request("textDocument/codeAction", {
+        textDocument: { uri: uri },
+        range: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } },
+        context: { diagnostics: [] }
+      });
+    }).then(function(response) {
+      assert.deepStrictEqual(response.result, []);
+    });
+  });
+
+  it("shuts down and exits", function() {
+    return client.request("shutdown", null).then(function(response) {
+      assert.strictEqual(response.result, null);
+
+      client.notify("exit", null);
+
+      return client.exited;
+    }).then(function(status) {
+      assert.strictEqual(status, 0);
+    });
+  });
+});
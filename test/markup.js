@@ -0,0 +1,115 @@
+"use strict";
+
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var Typo = require("../typo");
+var markdown = require("../lib/markdown");
+var html = require("../lib/html");
+var modes = require("../lib/modes");
+
+var dictionary = new Typo("en_US");
+
+function words(tokens) {
+  return tokens.map(function(token) {
+    return token.word;
+  });
+}
+
+describe("markdown mode", function() {
+  var document = [
+    "---",
+    "titel: x",
+    "---",
+    "# Headng",
+    "",
+    "See [the wrold](http://exmaple.com \"A titel\") and ![alt txt](<my img.png>).",
+    "Use `cnst x` here, <https://exmaple.com> or <a href=\"x\" title=\"ttl\">lnk</a>.",
+    "",
+    "```js",
+    "var wrng = 1;",
+    "```",
+    "",
+    "    indentd code",
+    "",
+    "[lbl]: http://exmaple.com \"Ref titel\"",
+    "A [ref][lbl] &amp; done.",
+    ""
+  ].join("\n");
+
+  it("checks prose, link texts and titles and alt texts only", function() {
+    assert.deepStrictEqual(words(markdown.tokenize(document)), [
+      "Headng", "See", "the", "wrold", "A", "titel", "and", "alt", "txt", "Use", "here", "or", "ttl", "lnk",
+      "Ref", "titel", "A", "ref", "done"
+    ]);
+  });
+
+  it("keeps every offset", function() {
+    var masked = markdown.mask(document);
+
+    assert.strictEqual(masked.length, document.length);
+    assert.deepStrictEqual(masked.split("\n").length, document.split("\n").length);
+
+    markdown.tokenize(document).forEach(function(token) {
+      assert.strictEqual(document.substring(token.start, token.end), token.word);
+    });
+  });
+
+  it("hides inline link destinations with or without titles", function() {
+    assert.strictEqual(markdown.mask("[a](  b  ) [c](<> \"t\") [d](<e f> 'g') [h](i)j"),
+      "[a         [c     \"t\"  [d        'g'  [h    j");
+    assert.strictEqual(markdown.mask("[a](b c) [d](e"), "[a](b c) [d](e");
+  });
+
+  it("scans link destinations in linear time", function() {
+    [ "](" + " ".repeat(20000), "[" + "](".repeat(20000), "](".repeat(10000) + " ".repeat(20000) + "x", "](a (".repeat(5000) + ")" ].forEach(function(text) {
+      var start = Date.now();
+
+      markdown.mask(text);
+      assert.ok(Date.now() - start < 200, text.substring(0, 10) + ": " + (Date.now() - start) + " ms");
+    });
+  });
+
+  it("runs an unclosed fence to the end of the document", function() {
+    assert.deepStrictEqual(words(markdown.tokenize("Intro\n~~~\nwrng\n~~\nstill cod\n")), [ "Intro" ]);
+  });
+});
+
+describe("html mode", function() {
+  var document = "<!DOCTYPE html><html><head><style>.clss{}</style><script>var wrng;</script></head>" +
+    "<body><p class=\"intro\" title=\"Helo\">Teh <b>wrold</b>&nbsp;is <code>cnst</code> " +
+    "<img alt='A pictre' src=\"pic.png\"> <!-- commnt --> <pre>prformatted</pre></p></body></html>";
+
+  it("checks text nodes and alt and title attributes only", function() {
+    assert.deepStrictEqual(words(html.tokenize(document)), [ "Helo", "Teh", "wrold", "is", "A", "pictre" ]);
+  });
+
+  it("keeps every offset", function() {
+    assert.strictEqual(html.mask(document).length, document.length);
+
+    html.tokenize(document).forEach(function(token) {
+      assert.strictEqual(document.substring(token.start, token.end), token.word);
+    });
+  });
+
+  it("hides unclosed comments and skipped elements to the end", function() {
+    assert.deepStrictEqual(words(html.tokenize("Intro <!-- wrng")), [ "Intro" ]);
+    assert.deepStrictEqual(words(html.tokenize("Intro <script>wrng")), [ "Intro" ]);
+  });
+});
+
+describe("modes", function() {
+  it("picks the mode from the file name", function() {
+    assert.deepStrictEqual([ "README.md", "index.HTML", "app.ts", "notes.txt", "Makefile" ].map(modes.detectMode), [
+      "markdown", "html", "code", "text", "text"
+    ]);
+    assert.throws(function() {
+      dictionary.checkText("x", { mode: "latex" });
+    }, /unknown mode "latex"/);
+  });
+
+  it("checks Markdown and HTML through checkText()", function() {
+    assert.deepStrictEqual(words(dictionary.checkText("See [teh](wrold) `wrold`", { mode: "auto", fileName: "a.md", suggest: false })), [ "teh" ]);
+    assert.deepStrictEqual(words(dictionary.checkText("<a title=\"teh\" href=\"wrold\">wrold</a>", { mode: "html", suggest: false })), [ "teh", "wrold" ]);
+  });
+});
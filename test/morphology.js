@@ -0,0 +1,109 @@
+"use strict";
+
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var Typo = require("../typo");
+
+var affData = [
+  "PFX A Y 1",
+  "PFX A 0 re .",
+  "",
+  "SFX S Y 2",
+  "SFX S 0 s [^y] is:plural",
+  "SFX S y ies y is:plural",
+  "",
+  "SFX D Y 2",
+  "SFX D 0 ed [^e] is:past",
+  "SFX D 0 d e is:past",
+  "",
+  "SFX V N 1",
+  "SFX V f ves f is:plural",
+  ""
+].join("\n");
+
+var wordsData = [
+  "7",
+  "run/AS po:verb",
+  "walk/SD po:verb",
+  "talk/SD po:verb",
+  "leaf/V po:noun",
+  "leave/SD po:verb",
+  "fly/S po:noun",
+  "went po:verb st:go",
+  ""
+].join("\n");
+
+var dictionary = new Typo("xx", affData, wordsData);
+
+describe("analyze()", function() {
+  it("returns the root, the affixes in order and the morphological fields", function() {
+    assert.deepStrictEqual(dictionary.analyze("reruns"), [ {
+      stem: "run",
+      root: "run",
+      affixes: [
+        { flag: "A", type: "PFX", add: "re", remove: "" },
+        { flag: "S", type: "SFX", add: "s", remove: "" }
+      ],
+      fields: [ "po:verb", "is:plural" ],
+      partOfSpeech: "verb"
+    } ]);
+    assert.deepStrictEqual(dictionary.analyze("flies")[0].affixes, [ { flag: "S", type: "SFX", add: "ies", remove: "y" } ]);
+  });
+
+  it("analyzes roots without affixes", function() {
+    assert.deepStrictEqual(dictionary.analyze("run"), [ { stem: "run", root: "run", affixes: [], fields: [ "po:verb" ], partOfSpeech: "verb" } ]);
+  });
+
+  it("returns every analysis of an ambiguous word", function() {
+    assert.deepStrictEqual(dictionary.analyze("leaves").map(function(analysis) {
+      return [ analysis.root, analysis.partOfSpeech, analysis.affixes[0].flag ];
+    }), [ [ "leave", "verb", "S" ], [ "leaf", "noun", "V" ] ]);
+  });
+
+  it("takes the stem from the st: field", function() {
+    assert.deepStrictEqual(dictionary.analyze("went"), [ { stem: "go", root: "went", affixes: [], fields: [ "po:verb", "st:go" ], partOfSpeech: "verb" } ]);
+  });
+
+  it("looks words up like check()", function() {
+    assert.deepStrictEqual(dictionary.analyze("Runs"), dictionary.analyze("runs"));
+    assert.deepStrictEqual(dictionary.analyze("RERUNS"), dictionary.analyze("reruns"));
+    assert.deepStrictEqual(dictionary.analyze(" reruns "), dictionary.analyze("reruns"));
+  });
+
+  it("has no analyses for misspellings and compounds", function() {
+    assert.deepStrictEqual(dictionary.analyze("wrold"), []);
+    assert.deepStrictEqual(dictionary.analyze("runed"), []);
+    assert.deepStrictEqual(dictionary.analyze(""), []);
+    assert.deepStrictEqual(new Typo("en_US").analyze("12345th"), []);
+  });
+});
+
+describe("stem()", function() {
+  it("returns the distinct stems of the analyses", function() {
+    assert.deepStrictEqual(dictionary.stem("reruns"), [ "run" ]);
+    assert.deepStrictEqual(dictionary.stem("leaves"), [ "leave", "leaf" ]);
+    assert.deepStrictEqual(dictionary.stem("went"), [ "go" ]);
+    assert.deepStrictEqual(dictionary.stem("wrold"), []);
+  });
+});
+
+describe("generate()", function() {
+  it("inflects a stem like the example word", function() {
+    assert.deepStrictEqual(dictionary.generate("walk", "talked"), [ "walked" ]);
+    assert.deepStrictEqual(dictionary.generate("walk", "talks"), [ "walks" ]);
+    assert.deepStrictEqual(dictionary.generate("fly", "runs"), [ "flies" ]);
+    assert.deepStrictEqual(dictionary.generate("walk", "talk"), [ "walk" ]);
+  });
+
+  it("uses the analysis the stem allows", function() {
+    assert.deepStrictEqual(dictionary.generate("walk", "leaves"), [ "walks" ]);
+    assert.deepStrictEqual(dictionary.generate("leaf", "leaves"), [ "leaves" ]);
+  });
+
+  it("returns nothing without the flags of the example", function() {
+    assert.deepStrictEqual(dictionary.generate("run", "talked"), []);
+    assert.deepStrictEqual(dictionary.generate("leaf", "flies"), []);
+    assert.deepStrictEqual(dictionary.generate("walk", "wrold"), []);
+  });
+});
@@ -0,0 +1,159 @@
+"use strict";
+
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var Typo = require("../typo");
+var letterCase = require("../lib/case");
+
+var AFF = "SET UTF-8\n";
+
+function dictionary(code, words, settings) {
+  return new Typo(code, AFF, words.length + "\n" + words.join("\n") + "\n", settings);
+}
+
+describe("Unicode normalization", function() {
+  var precomposed = "caf\u00e9";
+  var decomposed = "cafe\u0301";
+
+  it("matches precomposed and decomposed accents alike", function() {
+    [ dictionary("fr_FR", [ precomposed ]), dictionary("fr_FR", [ decomposed ]) ].forEach(function(fr) {
+      assert.strictEqual(fr.check(precomposed), true);
+      assert.strictEqual(fr.check(decomposed), true);
+      assert.strictEqual(fr.check(decomposed.toUpperCase()), true);
+      assert.strictEqual(fr.check("cafe"), false);
+    });
+  });
+
+  it("compares words as they are when turned off", function() {
+    var fr = dictionary("fr_FR", [ precomposed ], { normalization: false });
+
+    assert.strictEqual(fr.check(precomposed), true);
+    assert.strictEqual(fr.check(decomposed), false);
+  });
+
+  it("suggests the dictionary form of a decomposed misspelling", function() {
+    assert.strictEqual(dictionary("fr_FR", [ precomposed ]).suggest(decomposed + "e")[0], precomposed);
+  });
+});
+
+describe("apostrophes", function() {
+  var en = dictionary("en_US", [ "don't", "o'clock" ]);
+
+  it("reads typographic apostrophes as straight ones", function() {
+    assert.strictEqual(en.check("don't"), true);
+    assert.strictEqual(en.check("don’t"), true);
+    assert.strictEqual(en.check("donʼt"), true);
+    assert.strictEqual(en.check("O’CLOCK"), true);
+  });
+
+  it("applies to dictionary words", function() {
+    var typographic = dictionary("en_US", [ "don’t" ]);
+
+    assert.strictEqual(typographic.check("don't"), true);
+    assert.strictEqual(typographic.check("don’t"), true);
+  });
+
+  it("keeps them apart when turned off", function() {
+    var strict = dictionary("en_US", [ "don't" ], { apostrophes: false });
+
+    assert.strictEqual(strict.check("don't"), true);
+    assert.strictEqual(strict.check("don’t"), false);
+  });
+
+  it("fixes a misspelling without changing its apostrophe", function() {
+    assert.strictEqual(en.fixText("I don’tt know").text, "I don’t know");
+  });
+});
+
+describe("Turkish casing", function() {
+  var tr = dictionary("tr_TR", [ "istanbul", "ılık", "İzmir" ]);
+
+  it("uppercases i to İ and ı to I", function() {
+    assert.strictEqual(tr.check("İSTANBUL"), true);
+    assert.strictEqual(tr.check("İstanbul"), true);
+    assert.strictEqual(tr.check("ILIK"), true);
+    assert.strictEqual(tr.check("Ilık"), true);
+    assert.strictEqual(tr.check("İZMİR"), true);
+  });
+
+  it("keeps the dotted and dotless i apart", function() {
+    assert.strictEqual(tr.check("ISTANBUL"), false);
+    assert.strictEqual(tr.check("İLİK"), false);
+    assert.strictEqual(tr.check("ılık".replace("ı", "i")), false);
+  });
+
+  it("follows the locale setting over the dictionary code", function() {
+    var en = dictionary("tr_TR", [ "istanbul", "ılık" ], { locale: "en" });
+
+    assert.strictEqual(en.check("ISTANBUL"), true);
+    assert.strictEqual(en.check("ILIK"), false);
+  });
+
+  it("folds ignored words in the dictionary's language", function() {
+    var ignoring = dictionary("tr_TR", []);
+
+    ignoring.ignoreWord("DİYARBAKIR");
+
+    assert.strictEqual(ignoring.check("diyarbakır"), true);
+    assert.strictEqual(ignoring.check("Diyarbakır"), true);
+    assert.strictEqual(ignoring.check("diyarbakir"), false);
+  });
+
+  it("recases suggestions with the dotted capital", function() {
+    assert.strictEqual(tr.suggest("İSTANBL")[0], "İSTANBUL");
+  });
+});
+
+describe("sharp s", function() {
+  var de = dictionary("de_DE", [ "Straße", "groß", "Masse" ]);
+
+  it("accepts SS for ß in ALLCAPS German words", function() {
+    assert.strictEqual(de.check("STRASSE"), true);
+    assert.strictEqual(de.check("STRAẞE"), true);
+    assert.strictEqual(de.check("GROSS"), true);
+    assert.strictEqual(de.check("MASSE"), true);
+  });
+
+  it("only in ALLCAPS words", function() {
+    assert.strictEqual(de.check("Strasse"), false);
+    assert.strictEqual(de.check("strasse"), false);
+    assert.strictEqual(de.check("STRASE"), false);
+  });
+
+  it("is off for other languages unless CHECKSHARPS is set", function() {
+    assert.strictEqual(dictionary("en_US", [ "Straße" ]).check("STRASSE"), false);
+    assert.strictEqual(dictionary("de_DE", [ "Straße" ], { sharpS: false }).check("STRASSE"), false);
+    assert.strictEqual(new Typo("xx", AFF + "CHECKSHARPS\n", "1\nStraße\n").check("STRASSE"), true);
+  });
+});
+
+describe("astral characters", function() {
+  // Deseret letters, outside the Basic Multilingual Plane.
+  var lower = "𐐨𐐯𐐻";
+  var capitalized = "𐐀𐐯𐐻";
+  var allCaps = "𐐀𐐇𐐓";
+  var xx = dictionary("xx", [ lower ]);
+
+  it("accepts capitalization variants", function() {
+    assert.strictEqual(xx.check(lower), true);
+    assert.strictEqual(xx.check(capitalized), true);
+    assert.strictEqual(xx.check(allCaps), true);
+  });
+
+  it("recases suggestions to the misspelling", function() {
+    assert.strictEqual(xx.suggest(capitalized + "x")[0], capitalized);
+    assert.strictEqual(xx.suggest(allCaps + "X")[0], allCaps);
+  });
+
+  it("takes the first letter whole in lib/case.js", function() {
+    assert.strictEqual(letterCase.capitalize(lower), capitalized);
+    assert.strictEqual(letterCase.titleCase(allCaps), capitalized);
+    assert.strictEqual(letterCase.startsWithCapital(capitalized), true);
+    assert.strictEqual(letterCase.startsWithCapital(lower), false);
+    assert.strictEqual(letterCase.isAllCaps(allCaps), true);
+    assert.strictEqual(letterCase.isAllCaps("𐐀"), false);
+    assert.strictEqual(letterCase.matchCase(allCaps, lower), allCaps);
+    assert.strictEqual(letterCase.matchCase(capitalized, lower), capitalized);
+  });
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var Typo = require("../typo");
+
+describe("Typo.create()", function() {
+  it("runs the asynchronous methods in the workers", function() {
+    return Typo.create("en_US", { workers: 2 }).then(function(typo) {
+      return Promise.all([ typo.checkAsync("hello"), typo.checkAsync("helo"), typo.suggestAsync("helo", 1) ]).then(function(results) {
+        assert.deepStrictEqual(results, [ true, false, [ "hello" ] ]);
+
+        typo.addWord("webpack", "S");
+
+        return typo.checkAsync("webpacks");
+      }).then(function(result) {
+        assert.strictEqual(result, true);
+
+        return typo.close();
+      });
+    });
+  });
+
+  it("leaves out workers that exited, and rejects once none is left", function() {
+    return Typo.create("en_US", { workers: 2 }).then(function(typo) {
+      var workers = typo.pool.slots.map(function(slot) {
+        return slot.worker;
+      });
+
+      return workers[0].terminate().then(function() {
+        assert.strictEqual(typo.pool.slots.length, 1);
+
+        return typo.suggestAsync("helo", 1);
+      }).then(function(result) {
+        assert.deepStrictEqual(result, [ "hello" ]);
+
+        return workers[1].terminate();
+      }).then(function() {
+        return typo.suggestAsync("helo", 1).then(function() {
+          assert.fail("the request was answered");
+        }, function(e) {
+          assert.strictEqual(e.message, "Typo: every worker thread has exited");
+        });
+      });
+    });
+  });
+
+  it("rejects when the dictionary cannot be loaded", function() {
+    return Typo.create("xx_XX").then(function() {
+      assert.fail("the dictionary was loaded");
+    }, function(e) {
+      assert.match(e.message, /could not load dictionary "xx_XX"/);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+"use strict";
+
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var Typo = require("../typo");
+
+var dictionary = new Typo("en_US");
+
+var TEXT = [
+  "<!-- typo-check-ignore: tset -->",
+  "teh tset",
+  "// typo-check-disable-next-line",
+  "wrold",
+  "wrold hwat",
+  "/* typo-check-disable */",
+  "foo hwat",
+  "/* typo-check-enable */",
+  "hwat typo-check-disable-line",
+  "Thsi is the end"
+].join("\n");
+
+/**
+ * Writes a text to a check stream in chunks of the given sizes, and resolves
+ * to the misspellings.
+ */
+
+function checkInChunks(text, size, options) {
+  return new Promise(function(resolve, reject) {
+    var stream = dictionary.createCheckStream(Object.assign({ suggest: false }, options));
+    var misspellings = [];
+
+    stream.on("data", function(misspelling) {
+      misspellings.push(misspelling);
+    });
+    stream.on("error", reject);
+    stream.on("end", function() {
+      resolve(misspellings);
+    });
+
+    for (var i = 0; i < text.length; i += size) {
+      stream.write(text.substring(i, i + size));
+    }
+
+    stream.end();
+  });
+}
+
+describe("createCheckStream()", function() {
+  var expected = dictionary.checkText(TEXT, { suggest: false });
+
+  it("finds the misspellings of checkText(), directives included", function() {
+    assert.deepStrictEqual(expected.map(function(misspelling) {
+      return misspelling.line + ":" + misspelling.column + " " + misspelling.word;
+    }), [ "2:1 teh", "5:1 wrold", "5:7 hwat", "10:1 Thsi" ]);
+
+    return checkInChunks(TEXT, TEXT.length).then(function(misspellings) {
+      assert.deepStrictEqual(misspellings, expected);
+    });
+  });
+
+  [ 1, 3, 7, 32 ].forEach(function(size) {
+    it("carries directives over chunks of " + size + " characters", function() {
+      return checkInChunks(TEXT, size).then(function(misspellings) {
+        assert.deepStrictEqual(misspellings, expected);
+      });
+    });
+  });
+
+  it("reports everything without directives", function() {
+    return checkInChunks(TEXT, 5, { directives: false }).then(function(misspellings) {
+      assert.deepStrictEqual(misspellings, dictionary.checkText(TEXT, { suggest: false, directives: false }));
+      assert.ok(misspellings.length > expected.length);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+"use strict";
+
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var Typo = require("../typo");
+var suggester = require("../lib/suggest");
+
+var dictionary = new Typo("en_US");
+
+describe("suggest()", function() {
+  it("finds words that sound like the misspelling, however far", function() {
+    assert.strictEqual(dictionary.suggest("fonetik")[0], "phonetic");
+    assert.ok(dictionary.suggest("nollij").indexOf("knowledge") !== -1);
+    assert.deepStrictEqual(dictionary.suggest("mispeling", 3), [ "misspelling", "misplaying", "misapplying" ]);
+  });
+
+  it("ranks far phonetic matches after close edits that sound alike", function() {
+    assert.deepStrictEqual(dictionary.suggest("wrold", 5), [ "world", "wold", "word", "worlds", "wolds" ]);
+
+    var suggestions = dictionary.suggest("recieve", 8);
+
+    assert.deepStrictEqual(suggestions.slice(0, 4), [ "receive", "relieve", "recipe", "Recife" ]);
+    assert.strictEqual(suggestions.indexOf("RSV"), -1);
+  });
+});
+
+describe("COMPOUNDRULE", function() {
+  it("accepts whole words only", function() {
+    assert.strictEqual(dictionary.check("12345th"), true);
+    assert.strictEqual(dictionary.check("abcdefghij12345th"), false);
+  });
+
+  it("keeps the digits of the misspelling", function() {
+    assert.strictEqual(dictionary.suggest("22th")[0], "22nd");
+    assert.strictEqual(dictionary.suggest("1th")[0], "1st");
+    assert.strictEqual(dictionary.suggest("101th")[0], "101st");
+    assert.ok(dictionary.suggest("3th", 2).indexOf("3rd") !== -1);
+  });
+
+  it("suggests the compounds the rules allow", function() {
+    assert.strictEqual(dictionary.suggest("12345tj")[0], "12345th");
+    assert.deepStrictEqual(dictionary.suggest("abcdefghij12345"), []);
+    assert.deepStrictEqual(suggester.searchCompoundRules([ "n*mp" ], dictionary.compoundRuleCodes, "22th", 1).map(function(found) {
+      return found.word;
+    }).sort(), [ "20th", "220th", "224th", "225th", "226th", "227th", "228th", "229th", "24th", "25th", "26th", "27th", "28th", "29th" ]);
+  });
+});
+
+describe("COMPOUNDFLAG", function() {
+  it("suggests compounds one edit away", function() {
+    var compounding = new Typo("xx", "COMPOUNDMIN 3\nCOMPOUNDFLAG A\n", "2\nfoo/A\nbar/A\n");
+
+    assert.deepStrictEqual(compounding.suggest("foobaz"), [ "foobar" ]);
+    assert.strictEqual(compounding.suggestDetailed("foobaz")[0].source, "compound");
+  });
+});
+
+describe("replacements()", function() {
+  it("replaces each occurrence of a pattern in turn", function() {
+    assert.deepStrictEqual(suggester.replacements("phoph", [ [ "ph", "f" ] ]), [ "foph", "phof" ]);
+    assert.deepStrictEqual(suggester.replacements("phoph", [ [ "ph", "f" ], [ "o", "f" ], [ "ph", "f" ] ]), [ "foph", "phof", "phfph" ]);
+  });
+
+  it("anchors patterns to the start and the end of the word", function() {
+    var table = [ [ "^ex", "x" ], [ "ing$", "in" ] ];
+
+    assert.deepStrictEqual(suggester.replacements("exex", table), [ "xex" ]);
+    assert.deepStrictEqual(suggester.replacements("singing", table), [ "singin" ]);
+    assert.deepStrictEqual(suggester.replacements("alot", [ [ "^alot$", "a_lot" ] ]), [ "a lot" ]);
+    assert.deepStrictEqual(suggester.replacements("alotment", [ [ "^alot$", "a_lot" ] ]), []);
+    assert.deepStrictEqual(suggester.replacements("x", [ [ "^$", "y" ] ]), []);
+  });
+
+  it("reads \"_\" as a space in patterns and replacements", function() {
+    assert.deepStrictEqual(suggester.replacements("a lot", [ [ "a_l", "al" ] ]), [ "alot" ]);
+    assert.deepStrictEqual(suggester.replacements("incase", [ [ "in", "in_" ] ]), [ "in case" ]);
+  });
+});
+
+describe("REP", function() {
+  var typo = new Typo("xx", "REP 4\nREP ^alot$ a_lot\nREP ^alto$ a_lto\nREP ^ph f\nREP f$ ph\n", "5\na\nlot\nfone\ngraph\nallotment\n");
+
+  it("suggests the words of the replacements first", function() {
+    assert.deepStrictEqual(typo.suggestDetailed("phone")[0], { word: "fone", score: 0.917, distance: 2, source: "rep" });
+    assert.deepStrictEqual(typo.suggest("graf"), [ "graph" ]);
+    assert.deepStrictEqual(typo.suggest("phonex"), []);
+  });
+
+  it("suggests several words when each of them is correct", function() {
+    assert.deepStrictEqual(typo.suggest("alot"), [ "a lot", "lot" ]);
+    assert.strictEqual(typo.suggest("alto").indexOf("a lto"), -1);
+    assert.strictEqual(typo.suggest("alotment").indexOf("a lotment"), -1);
+  });
+
+  it("keeps the case of the misspelling", function() {
+    assert.deepStrictEqual(typo.suggest("Alot"), [ "A lot", "Lot" ]);
+    assert.deepStrictEqual(typo.suggest("ALOT"), [ "A LOT", "LOT" ]);
+  });
+});
+
+describe("candidateCost()", function() {
+  it("discounts phonetic matches only without a close soundalike", function() {
+    assert.strictEqual(suggester.candidateCost(3, "phonetic"), 1.3);
+    assert.strictEqual(suggester.candidateCost(2, "phonetic", true), 2);
+    assert.ok(suggester.candidateCost(3, "phonetic", true) > 2);
+  });
+});
+
+describe("buildPhoneticIndexAsync()", function() {
+  var affData = "";
+  var wordsData = "3\nphonetic\nknowledge\nworld\n";
+
+  it("indexes the words by sound in a worker thread", function() {
+    var typo = new Typo("xx", affData, wordsData);
+
+    return typo.buildPhoneticIndexAsync().then(function(indexed) {
+      assert.strictEqual(indexed, typo);
+      assert.deepStrictEqual(typo.phoneticIndex, new Typo("xx", affData, wordsData).buildPhoneticIndex().phoneticIndex);
+      assert.deepStrictEqual(typo.suggest("fonetik"), [ "phonetic" ]);
+    });
+  });
+
+  it("drops the index when the dictionary changes meanwhile", function() {
+    var typo = new Typo("xx", affData, wordsData);
+    var indexing = typo.buildPhoneticIndexAsync();
+
+    typo.addWord("nollij");
+
+    return indexing.then(function() {
+      assert.strictEqual(typo.phoneticIndex, null);
+      assert.ok(typo.soundsLike("knowledge").indexOf("nollij") !== -1);
+    });
+  });
+});
+
+describe("suggestDetailed()", function() {
+  it("tells how each suggestion was found and how good it is", function() {
+    assert.deepStrictEqual(dictionary.suggestDetailed("wrold", 3), [
+      { word: "world", score: 0.75, distance: 1, source: "edit" },
+      { word: "wold", score: 0.667, distance: 1, source: "edit" },
+      { word: "word", score: 0.333, distance: 2, source: "edit" }
+    ]);
+    assert.deepStrictEqual(dictionary.suggestDetailed("fonetik", 1), [ { word: "phonetic", score: 0.567, distance: 3, source: "phonetic" } ]);
+    assert.deepStrictEqual(dictionary.suggestDetailed("world"), []);
+  });
+
+  it("names the REP, MAP and case sources", function() {
+    var typo = new Typo("xx", "REP 1\nREP alot a_lot\nMAP 1\nMAP eé\n", "5\na\nlot\ncafé\nHello\nallot\n");
+
+    assert.deepStrictEqual(typo.suggestDetailed("alot", 1), [ { word: "a lot", score: 0.917, distance: 1, source: "rep" } ]);
+    assert.deepStrictEqual(typo.suggestDetailed("cafe"), [ { word: "café", score: 0.917, distance: 0.5, source: "map" } ]);
+    assert.deepStrictEqual(typo.suggestDetailed("hello"), [ { word: "Hello", score: 1, distance: 0, source: "case" } ]);
+  });
+});
+
+describe("loadFrequencies()", function() {
+  var wordsData = "3\nwold\nworld\nword\n";
+
+  it("ranks frequent words first", function() {
+    assert.deepStrictEqual(new Typo("xx", "", wordsData).suggest("wrold"), [ "world", "wold", "word" ]);
+    assert.deepStrictEqual(new Typo("xx", "", wordsData).loadFrequencies("wold 1000\nworld 10\n").suggest("wrold"), [ "wold", "world", "word" ]);
+    assert.deepStrictEqual(new Typo("xx", "", wordsData, { frequencyData: "wold 1000\nworld 10\n" }).suggestDetailed("wrold", 2), [
+      { word: "wold", score: 0.833, distance: 1, source: "edit" },
+      { word: "world", score: 0.808, distance: 1, source: "edit" }
+    ]);
+  });
+
+  it("weighs words by their logarithmic counts, or by their order without counts", function() {
+    assert.deepStrictEqual(new Typo("xx", "", wordsData).loadFrequencies("# Most frequent first\nwold\nword\nworld\n").frequencies, {
+      wold: 1,
+      word: Math.log(3) / Math.log(4),
+      world: 0.5
+    });
+    assert.deepStrictEqual(new Typo("xx", "", wordsData).loadFrequencies("Wold 5\r\nwold 5\nworld 0\n").frequencies, { wold: 1, world: 0 });
+  });
+});
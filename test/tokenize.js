@@ -0,0 +1,92 @@
+"use strict";
+
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var Typo = require("../typo");
+var tokenizer = require("../lib/tokenize");
+
+var dictionary = new Typo("en_US");
+
+function words(tokens) {
+  return tokens.map(function(token) {
+    return token.word;
+  });
+}
+
+describe("tokenize()", function() {
+  it("skips URLs, email addresses and numbers", function() {
+    var text = "See https://exmaple.com/pathh?q=1, www.exmaple.org. and mail jon.doe+x@exmaple.co.uk; 42 3.14 mp3 ok";
+
+    assert.deepStrictEqual(words(tokenizer.tokenize(text)), [ "See", "and", "mail", "ok" ]);
+  });
+
+  it("keeps the digits of WORDCHARS", function() {
+    assert.deepStrictEqual(words(tokenizer.tokenize("mp3 x2 42", "0123456789")), [ "mp3", "x2" ]);
+  });
+
+  it("joins words on inner apostrophes and hyphens", function() {
+    assert.deepStrictEqual(tokenizer.tokenize("don't well-known ‘quoted’ café’s -dash- it'"), [
+      { word: "don't", start: 0, end: 5 },
+      { word: "well-known", start: 6, end: 16 },
+      { word: "quoted", start: 18, end: 24 },
+      { word: "café’s", start: 26, end: 32 },
+      { word: "dash", start: 34, end: 38 },
+      { word: "it", start: 40, end: 42 }
+    ]);
+  });
+
+  it("splits hyphenated words with their offsets", function() {
+    assert.deepStrictEqual(tokenizer.splitHyphenated({ word: "well-knwon", start: 4, end: 14 }), [
+      { word: "well", start: 4, end: 8 },
+      { word: "knwon", start: 9, end: 14 }
+    ]);
+  });
+
+  it("blanks text without moving lines", function() {
+    assert.strictEqual(tokenizer.blank("ab\r\ncd\n"), "  \r\n  \n");
+  });
+
+  it("locates offsets by line and column", function() {
+    var locate = tokenizer.createLocator("ab\ncd\n\nef");
+
+    assert.deepStrictEqual([ 0, 2, 3, 6, 7, 8 ].map(locate), [
+      { line: 1, column: 1 },
+      { line: 1, column: 3 },
+      { line: 2, column: 1 },
+      { line: 3, column: 1 },
+      { line: 4, column: 1 },
+      { line: 4, column: 2 }
+    ]);
+  });
+});
+
+describe("checkText()", function() {
+  it("reports misspellings with their offsets, lines and columns", function() {
+    var text = "Teh cat\nsat on teh https://wrold.com mat wiht well-knwon tset.\n";
+
+    assert.deepStrictEqual(dictionary.checkText(text, { limit: 2 }), [
+      { word: "Teh", start: 0, end: 3, line: 1, column: 1, suggestions: [ "The", "Te" ] },
+      { word: "teh", start: 15, end: 18, line: 2, column: 8, suggestions: [ "the", "Te" ] },
+      { word: "wiht", start: 41, end: 45, line: 2, column: 34, suggestions: [ "with", "whit" ] },
+      { word: "knwon", start: 51, end: 56, line: 2, column: 44, suggestions: [ "known", "Kenon" ] },
+      { word: "tset", start: 57, end: 61, line: 2, column: 50, suggestions: [ "test", "stet" ] }
+    ]);
+  });
+
+  it("accepts typographic apostrophes", function() {
+    assert.deepStrictEqual(dictionary.checkText("It’s the world’s wrold’s", { suggest: false }).map(function(misspelling) {
+      return [ misspelling.word, misspelling.start ];
+    }), [ [ "wrold’s", 17 ] ]);
+  });
+
+  it("honors ignoreWords, ignorePatterns and range", function() {
+    var text = "wrold teh id 3f2a9c1b wrold";
+    var options = { suggest: false, ignoreWords: [ "TEH" ], ignorePatterns: [ "\\b[0-9a-f]{8}\\b" ] };
+
+    assert.deepStrictEqual(words(dictionary.checkText(text, options)), [ "wrold", "wrold" ]);
+    assert.deepStrictEqual(dictionary.checkText(text, Object.assign({ range: { start: 1, end: text.length } }, options)), [
+      { word: "wrold", start: 22, end: 27, line: 1, column: 23, suggestions: [] }
+    ]);
+  });
+});
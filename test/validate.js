@@ -0,0 +1,84 @@
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var Typo = require("../typo");
+
+var DIRECTORY = path.join(__dirname, "validate");
+
+function validate(name) {
+  return Typo.validate(name, fs.readFileSync(path.join(DIRECTORY, name + ".aff"), "utf8"),
+    fs.readFileSync(path.join(DIRECTORY, name + ".dic"), "utf8"));
+}
+
+function find(diagnostics, file, line) {
+  return diagnostics.filter(function(diagnostic) {
+    return diagnostic.file === file && diagnostic.line === line;
+  }).map(function(diagnostic) {
+    return diagnostic.severity + ": " + diagnostic.message;
+  });
+}
+
+describe("Typo.validate()", function() {
+  var diagnostics = validate("broken");
+
+  it("accepts valid files", function() {
+    assert.deepStrictEqual(validate("valid"), []);
+  });
+
+  it("reports entry counts that do not match the entries", function() {
+    assert.deepStrictEqual(find(diagnostics, "aff", 8), [ "error: REP announces 2 entries, but 3 follow" ]);
+    assert.deepStrictEqual(find(diagnostics, "aff", 16), [ "error: SFX S announces 2 entries, but 3 follow" ]);
+    assert.deepStrictEqual(find(diagnostics, "dic", 1), [ "warning: the first line announces 4 words, but there are 6" ]);
+  });
+
+  it("reports bad affix conditions", function() {
+    assert.deepStrictEqual(find(diagnostics, "aff", 22), [
+      "error: bad condition \"[^e\": Invalid regular expression: /[^e$/: Unterminated character class"
+    ]);
+    assert.deepStrictEqual(find(diagnostics, "aff", 26), [
+      "warning: condition \"(a|b)\" uses regular expression syntax that hunspell does not support"
+    ]);
+  });
+
+  it("reports undefined flags", function() {
+    assert.deepStrictEqual(find(diagnostics, "aff", 29), [ "warning: continuation class Z is not defined" ]);
+    assert.deepStrictEqual(find(diagnostics, "dic", 3), [ "warning: flag Q of \"walk\" is not defined in the .aff file" ]);
+    assert.deepStrictEqual(Typo.validate("xx", "FLAG long\nAF 1\nAF AB\nSFX AB Y 1\nSFX AB 0 s .\n", "2\nfoo/1\nbar/2\n"), [
+      { severity: "error", file: "dic", line: 3, message: "flag alias 2 is not defined (AF has 1 entries)" }
+    ]);
+  });
+
+  it("reports duplicate words, but not homonyms", function() {
+    assert.deepStrictEqual(find(diagnostics, "dic", 5), [ "warning: duplicate word \"run\" (also on line 2)" ]);
+    assert.deepStrictEqual(find(diagnostics, "dic", 4), []);
+  });
+
+  it("reports bad directives and redefined rules", function() {
+    assert.deepStrictEqual(find(diagnostics, "aff", 6), [ "error: COMPOUNDMIN needs a number" ]);
+    assert.deepStrictEqual(find(diagnostics, "aff", 31), [
+      "warning: SFX A cross product flag should be Y or N, not \"X\"",
+      "warning: affix rule A is already defined on line 13; this definition replaces it"
+    ]);
+    assert.deepStrictEqual(Typo.validate("xx", "FLAG UTF-8\nPFX A\n", ""), [
+      { severity: "error", file: "aff", line: 1, message: "FLAG UTF-8 is not supported; use single characters (no FLAG), long or num" },
+      { severity: "error", file: "aff", line: 2, message: "PFX A header needs a cross product flag and an entry count" },
+      { severity: "error", file: "dic", line: 1, message: "the dictionary is empty" }
+    ]);
+  });
+
+  it("sorts the diagnostics by file and line", function() {
+    assert.deepStrictEqual(diagnostics.map(function(diagnostic) {
+      return diagnostic.file + ":" + diagnostic.line;
+    }), [ "aff:6", "aff:8", "aff:16", "aff:22", "aff:26", "aff:29", "aff:31", "aff:31", "dic:1", "dic:3", "dic:5" ]);
+  });
+
+  it("reads the files of a locale code", function() {
+    assert.deepStrictEqual(Typo.validate("en_US").map(function(diagnostic) {
+      return diagnostic.severity;
+    }).indexOf("error"), -1);
+  });
+});
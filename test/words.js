@@ -0,0 +1,128 @@
+"use strict";
+
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var assert = require("assert");
+var describe = require("node:test").describe;
+var it = require("node:test").it;
+var Typo = require("../typo");
+
+var AFF = "SET UTF-8\nSFX S Y 1\nSFX S 0 s .\n\nSFX D Y 2\nSFX D 0 ed [^e]\nSFX D 0 d e\n";
+
+function dictionary() {
+  return new Typo("xx", AFF, "2\ncat/S\nwalk/DS\n");
+}
+
+function checks(typo, words) {
+  return words.map(function(word) {
+    return typo.check(word);
+  });
+}
+
+describe("addWord()", function() {
+  it("adds a word with the forms of its flags", function() {
+    var typo = dictionary().addWord("frobnicate", "DS").addWord("blorp", [ "S" ]).addWord("plain");
+
+    assert.deepStrictEqual(checks(typo, [ "frobnicate", "frobnicated", "frobnicates", "Frobnicate", "FROBNICATED", "blorps", "plain", "plains" ]),
+      [ true, true, true, true, true, true, true, false ]);
+    assert.deepStrictEqual(typo.suggest("frobnicat", 2), [ "frobnicate", "frobnicated" ]);
+  });
+
+  it("reaches the phonetic index once it is built", function() {
+    var typo = dictionary().buildPhoneticIndex().addWord("knowledge");
+
+    assert.deepStrictEqual(typo.soundsLike("nollij"), [ "knowledge" ]);
+  });
+});
+
+describe("removeWord()", function() {
+  it("removes a word with its forms", function() {
+    var typo = dictionary();
+
+    assert.strictEqual(typo.removeWord("walk"), true);
+    assert.deepStrictEqual(checks(typo, [ "walk", "walked", "walks", "cat", "cats" ]), [ false, false, false, true, true ]);
+    assert.strictEqual(typo.removeWord("walk"), false);
+  });
+
+  it("keeps the forms that other words also produce", function() {
+    var typo = dictionary().addWord("cats");
+
+    typo.removeWord("cat");
+    assert.deepStrictEqual(checks(typo, [ "cat", "cats" ]), [ false, true ]);
+  });
+});
+
+describe("ignoreWord()", function() {
+  it("accepts a word in any capitalization without suggesting it", function() {
+    var typo = dictionary().ignoreWord("Zorblax");
+
+    assert.deepStrictEqual(checks(typo, [ "Zorblax", "zorblax", "ZORBLAX", "zorblaxs" ]), [ true, true, true, false ]);
+    assert.deepStrictEqual(typo.suggest("zorblx"), []);
+    assert.deepStrictEqual(typo.checkText("cats zorblax.", { suggest: false }), []);
+  });
+});
+
+describe("personal word lists", function() {
+  var list = "# Project words\r\nfrobnicate/D\n  blorp  \n\n*walk\n#cat\n";
+
+  it("adds words with flags, and removes those starting with *", function() {
+    var typo = dictionary().addWords(list);
+
+    assert.deepStrictEqual(checks(typo, [ "frobnicated", "blorp", "walk", "walks", "cat", "#cat" ]), [ true, true, false, false, true, false ]);
+  });
+
+  it("reads word list files", function() {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), "typo-words-"));
+    var file = path.join(directory, ".typo-words");
+
+    try {
+      fs.writeFileSync(file, list);
+
+      assert.strictEqual(dictionary().addWordsFromFile(file).check("frobnicated"), true);
+      assert.strictEqual(dictionary().addWordsFromFile(path.join(directory, "missing"), true).check("frobnicate"), false);
+      assert.throws(function() {
+        dictionary().addWordsFromFile(path.join(directory, "missing"));
+      }, /^Error: Typo: could not read word list .*missing \(ENOENT/);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it("adds words to the last layer of a composite checker", function() {
+    var base = dictionary();
+    var glossary = new Typo("yy", AFF, "1\nwebpack\n");
+    var composite = new Typo.Composite([ base, glossary ]).addWords("blorp/S\n");
+
+    assert.deepStrictEqual([ composite.check("blorps"), base.check("blorps"), glossary.check("blorps") ], [ true, false, true ]);
+    assert.strictEqual(composite.removeWord("cat"), true);
+    assert.strictEqual(composite.check("cat"), false);
+  });
+});
+
+describe("word changes in worker threads", function() {
+  it("reach every worker of Typo.create()", function() {
+    return Typo.create("en_US", { workers: 2 }).then(function(typo) {
+      typo.addWords("frobnicate/DSG\n*hello\n");
+      typo.ignoreWord("Zorblax");
+
+      var words = [ "frobnicated", "frobnicating", "hello", "ZORBLAX" ];
+
+      // Each pair of requests goes to both workers.
+      return Promise.all(words.concat(words).map(function(word) {
+        return typo.checkAsync(word);
+      })).then(function(results) {
+        assert.deepStrictEqual(results, [ true, true, false, true, true, true, false, true ]);
+        assert.deepStrictEqual(checks(typo, words), [ true, true, false, true ]);
+
+        typo.removeWord("frobnicate");
+
+        return Promise.all([ typo.checkAsync("frobnicated"), typo.checkAsync("frobnicated") ]);
+      }).then(function(results) {
+        assert.deepStrictEqual(results, [ false, false ]);
+
+        return typo.close();
+      });
+    });
+  });
+});
@@ -1,5 +1,115 @@
 "use strict";
 
+var tokenizer = require("./lib/tokenize");
+var modes = require("./lib/modes");
+var compiled = require("./lib/compiled");
+var WordTrie = require("./lib/trie");
+var suggester = require("./lib/suggest");
+var phonetic = require("./lib/phonetic");
+var directives = require("./lib/directives");
+var autofix = require("./lib/fix");
+var letterCase = require("./lib/case");
+var unifiedDiff = require("./lib/diff");
+
+/**
+ * The flags whose rule codes the generated forms of a word keep; see inheritedFlags().
+ */
+
+var INHERITED_FLAGS = [ "COMPOUNDFLAG", "COMPOUNDBEGIN", "COMPOUNDMIDDLE", "COMPOUNDEND", "FORBIDDENWORD" ];
+
+/**
+ * Hunspell's break points when the .aff file has no BREAK directive.
+ */
+
+var DEFAULT_BREAKS = [ "-", "^-", "-$" ];
+
+/**
+ * The results of the checks of word parts during the outermost
+ * Typo#checkBreaks() call, as { typo, results }, or null.
+ */
+
+var breakChecks = null;
+
+/**
+ * Languages whose case conversions differ from the default ones: the dotted
+ * and dotless i of Turkish and Azeri, the dot above of Lithuanian.
+ */
+
+var SPECIAL_CASING_LANGUAGES = [ "tr", "az", "lt" ];
+
+/**
+ * Apostrophes read as the straight one when the "apostrophes" setting is on.
+ */
+
+var TYPOGRAPHIC_APOSTROPHES = /[’ʼ]/g;
+
+/**
+ * ALLCAPS words are tried with "ß" for their "SS" pairs up to this many pairs.
+ */
+
+var MAX_SHARP_S_PAIRS = 4;
+
+/**
+ * Returns the normalization settings of a dictionary; see the constructor.
+ *
+ * @param {String} [dictionary] The locale code of the dictionary, e.g. "tr_TR".
+ * @param {Object} settings The constructor settings.
+ * @returns {Object} { form, apostrophes, locale, sharpS }
+ */
+
+function normalizationSettings(dictionary, settings) {
+  var language = String(settings.locale || dictionary || "").split(/[-_]/)[0].toLowerCase();
+
+  return {
+    form: settings.normalization === undefined ? "NFC" : settings.normalization || null,
+    apostrophes: settings.apostrophes !== false,
+    locale: SPECIAL_CASING_LANGUAGES.indexOf(language) !== -1 ? language : null,
+    sharpS: settings.sharpS === undefined ? language === "de" : Boolean(settings.sharpS)
+  };
+}
+
+function formWord(form) {
+  return form.word;
+}
+
+/**
+ * Applies an ICONV or OCONV table to a word, replacing the longest pattern
+ * that matches at each position.
+ *
+ * @param {String} word
+ * @param {Array[]} table The [ pattern, replacement ] entries.
+ * @returns {String}
+ */
+
+function convert(word, table) {
+  if (!table || table.length === 0) {
+    return word;
+  }
+
+  var rv = "";
+  var position = 0;
+
+  while (position < word.length) {
+    var best = null;
+
+    for (var i = 0, len = table.length; i < len; i++) {
+      if (word.startsWith(table[i][0], position) && (!best || table[i][0].length > best[0].length)) {
+        best = table[i];
+      }
+    }
+
+    if (best && best[0]) {
+      rv += best[1].replace(/_/g, " ");
+      position += best[0].length;
+    } else {
+      rv += word[position];
+      position++;
+    }
+  }
+
+  return rv;
+}
+
 /**
  * Typo is a JavaScript implementation of a spellchecker using hunspell-style
  * dictionaries.
@@ -26,8 +136,23 @@
  *                            {String} [platform]: "chrome" for Chrome Extension or other
  *                              value for the usual web.
  *                            {String} [dictionaryPath]: path to load dictionary from in non-chrome
- *                              environment.
+ *                              environment. Defaults to the bundled "dictionaries" folder,
+ *                              which is also used for dictionaries missing from the path.
  *                            {Object} [flags]: flag information.
+ *                            {String} [frequencyData]: the data of a word frequency list,
+ *                              see loadFrequencies(). When the dictionary is loaded from
+ *                              disk, [dictionary].freq is read if it exists.
+ *                            {String|Boolean} [normalization="NFC"]: the Unicode normalization
+ *                              form of dictionary words and checked words alike, so that
+ *                              precomposed and decomposed accents match; false to turn it off.
+ *                            {Boolean} [apostrophes=true]: read typographic apostrophes (’, ʼ)
+ *                              as straight ones (').
+ *                            {String} [locale]: the language of case conversions, e.g. "tr"
+ *                              for the dotted and dotless i. Defaults to the language of the
+ *                              dictionary code ("tr_TR").
+ *                            {Boolean} [sharpS]: accept "SS" for "ß" in ALLCAPS words
+ *                              ("STRASSE"). Defaults to true for German dictionaries and to
+ *                              the CHECKSHARPS directive of the .aff file.
  *
  *
  * @returns {Typo} A Typo object.
@@ -36,20 +161,70 @@
 function Typo(dictionary, affData, wordsData, settings) {
   settings = settings || {};
 
+  var frequencyData = settings.frequencyData;
+
+  if (dictionary && (affData == null || wordsData == null)) {
+    var files = Typo.readDictionaryFiles(dictionary, settings);
+
+    affData = files.affData;
+    wordsData = files.wordsData;
+    frequencyData = files.frequencyData;
+  }
+
   this.rules = {};
-  this.dictionaryTable = {};
+  this.dictionaryTable = new WordTrie();
 
   this.compoundRules = [];
   this.compoundRuleCodes = {};
 
+  // The COMPOUNDRULE patterns as written ("n*1t"); compoundRules holds their
+  // regular expressions.
+  this.compoundRulePatterns = [];
+
   this.replacementTable = [];
 
+  // Groups of related characters from MAP directives, e.g. [ "e", "é", "è" ].
+  this.mapTable = [];
+
+  // Pronunciation rules from PHONE directives, as [ pattern, replacement ].
+  this.phoneTable = [];
+
+  // Flag sets (AF) and morphological descriptions (AM) that .dic and .aff lines
+  // may refer to by number, from 1.
+  this.aliasFlags = [];
+  this.morphAliases = [];
+
+  // Morphological fields of .dic entries ("st:run po:verb"), by word; see analyze().
+  this.morphology = {};
+
+  // Conversions applied to checked words (ICONV) and to suggestions (OCONV).
+  this.inputConversions = [];
+  this.outputConversions = [];
+
+  // Patterns at which unknown words are split and checked part by part (BREAK).
+  this.breakTable = null;
+
+  // Words accepted for this session only; see ignoreWord().
+  this.ignoredWords = {};
+
+  // Weights from 0 to 1 of lowercase words, from an optional frequency list; see loadFrequencies().
+  this.frequencies = {};
+
   this.flags = settings.flags || {};
 
+  // How words are normalized and case-converted; see normalize() and foldCase().
+  this.normalization = normalizationSettings(dictionary, settings);
+
   if (dictionary) {
+    affData = this.normalize(affData);
+    wordsData = this.normalize(wordsData);
 
     this.rules = this.parseAFF(affData);
 
+    if ("CHECKSHARPS" in this.flags) {
+      this.normalization.sharpS = settings.sharpS !== false;
+    }
+
     // Save the rule codes that are used in compound rules.
     this.compoundRuleCodes = {};
 
@@ -77,6 +252,8 @@ function Typo(dictionary, affData, wordsData, settings) {
       }
     }
 
+    this.compoundRulePatterns = this.compoundRules.slice();
+
     // Build the full regular expressions for each compound rule.
     // I have a feeling (but no confirmation yet) that this method of
     // testing for compound words is probably slow.
@@ -95,18 +272,376 @@ function Typo(dictionary, affData, wordsData, settings) {
         }
       }
 
-      this.compoundRules[ruleCounter] = new RegExp(expressionText, "i");
+      // Anchored: the whole word must follow the rule, not just a part of it.
+      this.compoundRules[ruleCounter] = new RegExp("^" + expressionText + "$", "i");
+    }
+
+    if (frequencyData) {
+      this.loadFrequencies(frequencyData);
     }
   }
 
   return this;
 }
 
+/**
+ * Maps the charset names used by the SET directive of .aff files to the
+ * encoding labels understood by Buffer and TextDecoder.
+ */
+
+Typo.charsetAliases = {
+  "UTF-8": "utf8",
+  "ISO8859-1": "latin1",
+  "ISO-8859-1": "latin1",
+  "MICROSOFT-CP1251": "windows-1251",
+  "CP1251": "windows-1251",
+  "TIS620-2533": "tis-620"
+};
+
+/**
+ * Returns the charset declared by the SET directive of an .aff file.
+ *
+ * @param {String} affData The .aff file contents, decoded as ISO8859-1 or UTF-8.
+ * @returns {String} The declared charset, or "ISO8859-1" (hunspell's default).
+ */
+
+Typo.detectCharset = function(affData) {
+  // The file may start with a UTF-8 byte order mark, decoded either way.
+  var match = /^(?:\uFEFF|\u00EF\u00BB\u00BF)?SET\s+(\S+)/m.exec(affData);
+
+  return match ? match[1] : "ISO8859-1";
+};
+
+/**
+ * Decodes the raw bytes of a dictionary file.
+ *
+ * @param {Buffer} buffer The file contents.
+ * @param {String} charset The charset name, as used by the SET directive.
+ * @returns {String} The decoded text, without byte order mark.
+ */
+
+Typo.decode = function(buffer, charset) {
+  var name = String(charset).toUpperCase();
+  var encoding = Typo.charsetAliases[name] || name.toLowerCase().replace(/^iso-?8859-?/, "iso-8859-");
+  var text;
+
+  if (encoding === "utf8" || encoding === "latin1") {
+    text = buffer.toString(encoding);
+  } else {
+    try {
+      text = new TextDecoder(encoding).decode(buffer);
+    } catch (e) {
+      throw new Error("Typo: unsupported dictionary charset \"" + charset + "\"");
+    }
+  }
+
+  return text.replace(/^\uFEFF/, "");
+};
+
+/**
+ * Returns the locations of the .aff and .dic files of a dictionary.
+ *
+ * @param {String} dictionary The locale code of the dictionary, e.g. "en_US".
+ * @param {Object} [settings] The constructor settings; dictionaryPath is used when set.
+ * @returns {Object} The paths, as { affPath, dicPath, freqPath }.
+ */
+
+Typo.resolveDictionaryPaths = function(dictionary, settings) {
+  settings = settings || {};
+
+  var path = require("path");
+  var base = settings.dictionaryPath || path.join(__dirname, "dictionaries");
+
+  return {
+    affPath: path.join(base, dictionary, dictionary + ".aff"),
+    dicPath: path.join(base, dictionary, dictionary + ".dic"),
+    freqPath: path.join(base, dictionary, dictionary + ".freq")
+  };
+};
+
+/**
+ * Decodes the files of a dictionary read from disk, honoring the SET charset
+ * of the .aff file. The frequency list is optional.
+ */
+
+function decodeDictionaryFiles(affBuffer, dicBuffer, freqBuffer) {
+  // Every charset hunspell supports is ASCII-compatible, so the SET line can be
+  // read before the real charset is known.
+  var charset = Typo.detectCharset(affBuffer.toString("latin1"));
+
+  return {
+    charset: charset,
+    affData: Typo.decode(affBuffer, charset),
+    wordsData: Typo.decode(dicBuffer, charset),
+    frequencyData: freqBuffer ? Typo.decode(freqBuffer, charset) : null
+  };
+}
+
+function missingFileError(dictionary, filePath, error) {
+  var message = "Typo: could not load dictionary \"" + dictionary + "\": " + filePath;
+
+  if (error.code === "ENOENT") {
+    message += " does not exist";
+  } else {
+    message += " (" + error.message + ")";
+  }
+
+  var rv = new Error(message);
+  rv.code = error.code;
+  rv.path = filePath;
+
+  return rv;
+}
+
+/**
+ * Whether a dictionary missing from settings.dictionaryPath is to be looked up
+ * in the bundled dictionaries folder, so that a custom folder holding only
+ * some of the dictionaries ("tech_terms") can be used with the others ("en_US").
+ */
+
+function isBundledFallback(settings, error) {
+  return Boolean(settings && settings.dictionaryPath) && error.code === "ENOENT";
+}
+
+function withoutDictionaryPath(settings) {
+  return Object.assign({}, settings, { dictionaryPath: null });
+}
+
+/**
+ * Reads the .aff and .dic files of a dictionary synchronously, and its .freq
+ * word frequency list if there is one.
+ *
+ * @param {String} dictionary The locale code of the dictionary, e.g. "en_US".
+ * @param {Object} [settings] Constructor settings (platform, dictionaryPath).
+ * @returns {Object} The decoded files, as { affData, wordsData, frequencyData, charset }.
+ */
+
+Typo.readDictionaryFiles = function(dictionary, settings) {
+  settings = settings || {};
+
+  if (settings.platform === "chrome") {
+    return readChromeDictionaryFiles(dictionary, settings);
+  }
+
+  var fs = require("fs");
+  var paths = Typo.resolveDictionaryPaths(dictionary, settings);
+  var buffers = [];
+
+  try {
+    fs.accessSync(paths.affPath);
+  } catch (e) {
+    if (isBundledFallback(settings, e)) {
+      try {
+        return Typo.readDictionaryFiles(dictionary, withoutDictionaryPath(settings));
+      } catch (bundledError) {
+        // Report the missing file where the dictionary was looked up first.
+      }
+    }
+  }
+
+  [ paths.affPath, paths.dicPath ].forEach(function(filePath) {
+    try {
+      buffers.push(fs.readFileSync(filePath));
+    } catch (e) {
+      throw missingFileError(dictionary, filePath, e);
+    }
+  });
+
+  try {
+    buffers.push(fs.readFileSync(paths.freqPath));
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      throw missingFileError(dictionary, paths.freqPath, e);
+    }
+  }
+
+  return decodeDictionaryFiles(buffers[0], buffers[1], buffers[2]);
+};
+
+/**
+ * Same as Typo.readDictionaryFiles(), without blocking.
+ *
+ * @param {String} dictionary The locale code of the dictionary, e.g. "en_US".
+ * @param {Object} [settings] Constructor settings (dictionaryPath).
+ * @returns {Promise} Resolves to { affData, wordsData, frequencyData, charset }.
+ */
+
+Typo.readDictionaryFilesAsync = function(dictionary, settings) {
+  var fs = require("fs");
+  var paths = Typo.resolveDictionaryPaths(dictionary, settings);
+
+  function read(filePath) {
+    return fs.promises.readFile(filePath).catch(function(e) {
+      throw missingFileError(dictionary, filePath, e);
+    });
+  }
+
+  function readFiles() {
+    var readFrequencies = fs.promises.readFile(paths.freqPath).catch(function(e) {
+      if (e.code !== "ENOENT") {
+        throw missingFileError(dictionary, paths.freqPath, e);
+      }
+
+      return null;
+    });
+
+    return Promise.all([ read(paths.affPath), read(paths.dicPath), readFrequencies ]).then(function(buffers) {
+      return decodeDictionaryFiles(buffers[0], buffers[1], buffers[2]);
+    });
+  }
+
+  return fs.promises.access(paths.affPath).then(readFiles, function(e) {
+    if (!isBundledFallback(settings, e)) {
+      return readFiles();
+    }
+
+    // Report the missing file where the dictionary was looked up first.
+    return Typo.readDictionaryFilesAsync(dictionary, withoutDictionaryPath(settings)).catch(readFiles);
+  });
+};
+
+/**
+ * Creates a Typo instance for a locale by loading its dictionary from disk.
+ *
+ * @param {String} dictionary The locale code of the dictionary, e.g. "en_US".
+ * @param {Object} [settings] Constructor settings.
+ * @returns {Typo}
+ */
+
+Typo.fromDictionary = function(dictionary, settings) {
+  return new Typo(dictionary, null, null, settings);
+};
+
+/**
+ * Same as Typo.fromDictionary(), but the files are read asynchronously.
+ *
+ * @param {String} dictionary The locale code of the dictionary, e.g. "en_US".
+ * @param {Object} [settings] Constructor settings.
+ * @returns {Promise} Resolves to the Typo instance.
+ */
+
+Typo.fromDictionaryAsync = function(dictionary, settings) {
+  return Typo.readDictionaryFilesAsync(dictionary, settings).then(function(files) {
+    var typo = new Typo(dictionary, files.affData, files.wordsData, settings);
+
+    if (files.frequencyData && !(settings && settings.frequencyData)) {
+      typo.loadFrequencies(files.frequencyData);
+    }
+
+    return typo;
+  });
+};
+
+/**
+ * Checks the .aff and .dic files of a dictionary for mistakes: wrong entry
+ * counts, bad affix conditions, undefined flags, duplicate words and a wrong
+ * word count. See lib/validate.js for the diagnostics returned.
+ *
+ * @param {String} dictionary The locale code of the dictionary, e.g. "en_US".
+ * @param {String} [affData] The data from the dictionary's .aff file. If omitted
+ *                           and Typo.js is being used in a Chrome extension
+ *                           or from Node.js, the files are read from disk.
+ * @param {String} [wordsData] The data from the dictionary's .dic file.
+ * @param {Object} [settings] Constructor settings (platform, dictionaryPath).
+ * @returns {Object[]} The errors and warnings, as { severity, file, line, message }.
+ */
+
+Typo.validate = function(dictionary, affData, wordsData, settings) {
+  if (affData == null || wordsData == null) {
+    var files = Typo.readDictionaryFiles(dictionary, settings);
+
+    affData = files.affData;
+    wordsData = files.wordsData;
+  }
+
+  return require("./lib/validate").validate(affData, wordsData);
+};
+
+/**
+ * Loads a dictionary without blocking the event loop, in a pool of worker
+ * threads that share its word trie. The resolved instance works like any
+ * other, and its asynchronous methods (suggestAsync(), checkTextAsync()...)
+ * run in the workers, so that several documents are checked in parallel.
+ * Call close() to stop the workers.
+ *
+ * Node.js only.
+ *
+ * @param {String} dictionary The locale code of the dictionary, e.g. "en_US".
+ * @param {Object} [settings] Constructor settings, plus "workers": the number
+ *                            of worker threads (default: the number of CPUs
+ *                            minus one, from 1 to 4).
+ * @returns {Promise} Resolves to the Typo instance.
+ */
+
+Typo.create = function(dictionary, settings) {
+  return require("./lib/pool").create(dictionary, settings);
+};
+
+/**
+ * Restores a Typo instance from a compiled dictionary made by Typo#serialize().
+ * This is much faster than parsing the .aff and .dic files.
+ *
+ * @param {String|Buffer} data The compiled dictionary, optionally gzipped.
+ * @returns {Typo}
+ */
+
+Typo.fromCompiled = function(data) {
+  if (typeof data !== "string") {
+    if (data[0] === 0x1f && data[1] === 0x8b) {
+      data = require("zlib").gunzipSync(data);
+    }
+
+    data = data.toString("utf8");
+  }
+
+  return new Typo().load(compiled.decode(data));
+};
+
+/**
+ * Loads a dictionary pair through XMLHttpRequest inside a Chrome extension.
+ */
+
+function readChromeDictionaryFiles(dictionary, settings) {
+  var base = settings.dictionaryPath || "lib/typo/dictionaries";
+
+  function read(path, charset) {
+    var req = new XMLHttpRequest();
+    req.open("GET", chrome.extension.getURL(base + "/" + dictionary + "/" + path), false);
+
+    if (req.overrideMimeType) {
+      req.overrideMimeType("text/plain; charset=" + charset);
+    }
+
+    req.send(null);
+
+    if (req.status !== 200 && req.status !== 0) {
+      throw new Error("Typo: could not load dictionary \"" + dictionary + "\": " + path + " returned " + req.status);
+    }
+
+    return req.responseText;
+  }
+
+  var affData = read(dictionary + ".aff", "ISO8859-1");
+  var charset = Typo.detectCharset(affData);
+
+  if (charset.toUpperCase() !== "ISO8859-1") {
+    affData = read(dictionary + ".aff", charset);
+  }
+
+  return {
+    charset: charset,
+    affData: affData,
+    wordsData: read(dictionary + ".dic", charset)
+  };
+}
+
 Typo.prototype = {
   /**
    * Loads a Typo instance from a hash of all of the Typo properties.
    *
-   * @param object obj A hash of Typo properties, probably gotten from a JSON.parse(JSON.stringify(typo_instance)).
+   * @param object obj A hash of Typo properties. Regular expressions do not survive
+   *                   JSON.stringify(), so use serialize() and Typo.fromCompiled() to
+   *                   save and restore an instance.
    */
 
   load: function(obj) {
@@ -116,17 +651,26 @@ Typo.prototype = {
       }
     }
 
+    // Older serializations stored the words in a plain object.
+    if (this.dictionaryTable && !(this.dictionaryTable instanceof WordTrie)) {
+      this.dictionaryTable = WordTrie.fromObject(this.dictionaryTable);
+    }
+
     return this;
   },
 
   /**
-   * Read the contents of a file.
+   * Serializes this instance into the compact compiled dictionary format, which
+   * Typo.fromCompiled() restores into a fully working checker, compound rules
+   * included. Words ignored through ignoreWord() are not saved.
    *
-   * @param {String} path The path (relative) to the file.
-   * @param {String} [charset="ISO8859-1"] The expected charset of the file
-   * @returns string The file data.
+   * @returns {String} The compiled dictionary; see lib/compiled.js for the format.
    */
 
+  serialize: function() {
+    return compiled.encode(this);
+  },
+
   /**
    * Parse the rules out from a .aff file.
    *
@@ -169,6 +713,8 @@ Typo.prototype = {
             charactersToAdd = "";
           }
 
+          charactersToAdd = this.removeIgnoredCharacters(charactersToAdd);
+
           var continuationClasses = this.parseRuleCodes(additionParts[1]);
 
           var regexToMatch = lineParts[4];
@@ -180,6 +726,10 @@ Typo.prototype = {
             entry.continuationClasses = continuationClasses;
           }
 
+          if (lineParts.length > 5) {
+            entry.morphology = this.parseMorphology(lineParts.slice(5).join(" "));
+          }
+
           if (regexToMatch !== ".") {
             if (ruleType === "SFX") {
               entry.match = new RegExp(regexToMatch + "$");
@@ -219,12 +769,68 @@ Typo.prototype = {
         if (lineParts1.length === 3) {
           this.replacementTable.push([ lineParts1[1], lineParts1[2] ]);
         }
+      } else if (ruleType === "MAP") {
+        var numEntries2 = parseInt(definitionParts[1], 10);
+
+        for (var mapCounter = i + 1, mapLen = i + 1 + numEntries2; mapCounter < mapLen; mapCounter++) {
+          // Multi-character sequences are parenthesized: "MAP ß(ss)".
+          this.mapTable.push(lines[mapCounter].split(/\s+/)[1].match(/\([^)]*\)|./g).map(function(item) {
+            return item.replace(/^\((.*)\)$/, "$1");
+          }));
+        }
+
+        i += numEntries2;
+      } else if (ruleType === "PHONE") {
+        var numEntries3 = parseInt(definitionParts[1], 10);
+
+        for (var phoneCounter = i + 1, phoneLen = i + 1 + numEntries3; phoneCounter < phoneLen; phoneCounter++) {
+          var phoneParts = lines[phoneCounter].split(/\s+/);
+
+          if (phoneParts.length >= 3) {
+            this.phoneTable.push([ phoneParts[1], phoneParts[2] ]);
+          }
+        }
+
+        i += numEntries3;
+      } else if (ruleType === "AF" || ruleType === "AM" || ruleType === "ICONV" || ruleType === "OCONV" || ruleType === "BREAK") {
+        // Tables: a count line, then one line per entry.
+        var numEntries4 = parseInt(definitionParts[1], 10);
+        var table = [];
+
+        for (var tableCounter = i + 1, tableLen = i + 1 + numEntries4; tableCounter < tableLen; tableCounter++) {
+          // Morphological descriptions contain spaces.
+          var tableParts = ruleType === "AM" ? [ lines[tableCounter].replace(/^\S+\s+/, "") ] : lines[tableCounter].split(/\s+/).slice(1);
+
+          table.push(ruleType === "ICONV" || ruleType === "OCONV" ? tableParts.slice(0, 2) : tableParts[0]);
+        }
+
+        if (ruleType === "AF") {
+          this.aliasFlags = table;
+        } else if (ruleType === "AM") {
+          this.morphAliases = table;
+        } else if (ruleType === "ICONV") {
+          this.inputConversions = table;
+        } else if (ruleType === "OCONV") {
+          this.outputConversions = table;
+        } else {
+          this.breakTable = table;
+        }
+
+        i += numEntries4;
       } else {
         // ONLYINCOMPOUND
         // COMPOUNDMIN
+        // COMPOUNDWORDMAX
+        // COMPOUNDFLAG, COMPOUNDBEGIN, COMPOUNDMIDDLE, COMPOUNDEND
+        // CHECKCOMPOUNDDUP (no value)
+        // CIRCUMFIX
+        // FORBIDDENWORD
         // FLAG
         // KEEPCASE
         // NEEDAFFIX
+        // IGNORE
+        // TRY
+        // KEY
 
         this.flags[ruleType] = definitionParts[1];
       }
@@ -241,6 +847,9 @@ Typo.prototype = {
    */
 
   removeAffixComments: function(data) {
+    // Dictionaries are commonly distributed with Windows line endings.
+    data = data.replace(/\r\n?/g, "\n");
+
     // Remove comments
     data = data.replace(/#.*$/mg, "");
 
@@ -260,88 +869,263 @@ Typo.prototype = {
    * Parses the words out from the .dic file.
    *
    * @param {String} data The data from the dictionary file.
-   * @returns object The lookup table containing all of the words and
-   *                 word forms from the dictionary.
+   * @returns WordTrie The lookup table containing all of the words and
+   *                   word forms from the dictionary.
    */
 
   parseDIC: function(data) {
     data = this.removeDicComments(data);
 
     var lines = data.split("\n");
-    var dictionaryTable = {};
+    var dictionaryTable = new WordTrie(lines.length * 4);
 
     function addWord(word, rules) {
       // Some dictionaries will list the same word multiple times with different rule sets.
-      if (!(word in dictionaryTable) || typeof dictionaryTable[word] !== "object") {
-        dictionaryTable[word] = [];
-      }
-
-      dictionaryTable[word].push(rules);
+      dictionaryTable.add(word, rules);
     }
 
     // The first line is the number of words in the dictionary.
     for (var i = 1, lineLen = lines.length; i < lineLen; i++) {
-      var line = lines[i];
+      var entry = this.parseDicLine(lines[i]);
+      var word = entry.word;
 
-      var parts = line.split("/", 2);
+      // Now for each affix rule, generate that form of the word.
+      if (entry.ruleCodes.length > 0) {
+        var ruleCodesArray = entry.ruleCodes;
 
-      var word = parts[0];
+        // Save the ruleCodes for compound word situations. Words flagged with
+        // NEEDAFFIX are kept too, for analyze(); checkExact() skips them.
+        addWord(word, ruleCodesArray);
 
-      // Now for each affix rule, generate that form of the word.
-      if (parts.length > 1) {
-        var ruleCodesArray = this.parseRuleCodes(parts[1]);
+        var newWords = this.generateWordForms(word, ruleCodesArray);
+        var inherited = this.inheritedFlags(ruleCodesArray);
 
-        // Save the ruleCodes for compound word situations.
-        if (!("NEEDAFFIX" in this.flags) || ruleCodesArray.indexOf(this.flags.NEEDAFFIX) === -1) {
-          addWord(word, ruleCodesArray);
+        for (var ii = 0, newWordsLen = newWords.length; ii < newWordsLen; ii++) {
+          addWord(newWords[ii], inherited);
         }
 
         for (var j = 0, ruleCodesLen = ruleCodesArray.length; j < ruleCodesLen; j++) {
           var code = ruleCodesArray[j];
 
-          var rule = this.rules[code];
-
-          if (rule) {
-            var newWords = this.applyRule(word, rule);
-
-            for (var ii = 0, newWordsLen = newWords.length; ii < newWordsLen; ii++) {
-              var newWord = newWords[ii];
-
-              addWord(newWord, []);
-
-              if (rule.combineable) {
-                for (var k = j + 1; k < ruleCodesLen; k++) {
-                  var combineCode = ruleCodesArray[k];
-
-                  var combineRule = this.rules[combineCode];
-
-                  if (combineRule) {
-                    if (combineRule.combineable && (rule.type !== combineRule.type)) {
-                      var otherNewWords = this.applyRule(newWord, combineRule);
-
-                      for (var iii = 0, otherNewWordsLen = otherNewWords.length; iii < otherNewWordsLen; iii++) {
-                        var otherNewWord = otherNewWords[iii];
-                        addWord(otherNewWord, []);
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-
           if (code in this.compoundRuleCodes) {
             this.compoundRuleCodes[code].push(word);
           }
         }
       } else {
-        addWord(word.trim(), []);
+        addWord(word, []);
       }
-    }
 
-    return dictionaryTable;
-  },
+      if (entry.fields) {
+        if (!{}.hasOwnProperty.call(this.morphology, word)) {
+          this.morphology[word] = [];
+        }
+
+        this.morphology[word].push({ ruleCodes: entry.ruleCodes, fields: this.parseMorphology(entry.fields) });
+      }
+    }
+
+    dictionaryTable.compact();
+
+    return dictionaryTable;
+  },
+
+  /**
+   * Splits a line of a .dic file into its word, its rule codes and its
+   * morphological fields ("work/S\tpo:verb"). Fields start at the first blank
+   * followed by a "xx:" field name, or may be an AM alias number.
+   *
+   * @param {String} line
+   * @returns {Object} The entry, as { word, ruleCodes, fields }, the fields
+   *                   as written; see parseMorphology().
+   */
+
+  parseDicLine: function(line) {
+    var fieldsStart = line.search(/[ \t]+\S\S:/);
+    var fields = "";
+
+    if (fieldsStart === -1 && this.morphAliases && this.morphAliases.length > 0) {
+      fieldsStart = line.search(/[ \t]+\d+$/);
+    }
+
+    if (fieldsStart === -1) {
+      fieldsStart = line.indexOf("\t");
+    }
+
+    if (fieldsStart !== -1) {
+      fields = line.substring(fieldsStart).trim();
+      line = line.substring(0, fieldsStart);
+    }
+
+    // A slash at the start of the word is part of it.
+    var slash = line.indexOf("/", 1);
+    var word = slash === -1 ? line : line.substring(0, slash);
+
+    return {
+      word: this.removeIgnoredCharacters(word.trim()),
+      ruleCodes: slash === -1 ? [] : this.parseRuleCodes(line.substring(slash + 1).trim()),
+      fields: fields
+    };
+  },
+
+  /**
+   * Splits morphological fields into a list ("st:run po:verb" -> [ "st:run", "po:verb" ]),
+   * resolving an AM alias number.
+   *
+   * @param {String} text
+   * @returns {String[]}
+   */
+
+  parseMorphology: function(text) {
+    text = text.trim();
+
+    if (/^\d+$/.test(text) && this.morphAliases && this.morphAliases.length > 0) {
+      text = this.morphAliases[text - 1] || "";
+    }
+
+    return text ? text.split(/\s+/) : [];
+  },
+
+  /**
+   * Returns the rule codes of a word that its generated forms share: the
+   * compounding flags and FORBIDDENWORD.
+   *
+   * @param {String[]} ruleCodesArray The rule codes of the word.
+   * @returns {String[]}
+   */
+
+  inheritedFlags: function(ruleCodesArray) {
+    var rv = [];
+
+    for (var i = 0, len = INHERITED_FLAGS.length; i < len; i++) {
+      var flag = this.flags[INHERITED_FLAGS[i]];
+
+      if (flag !== undefined && ruleCodesArray.indexOf(flag) !== -1 && rv.indexOf(flag) === -1) {
+        rv.push(flag);
+      }
+    }
+
+    return rv;
+  },
+
+  /**
+   * Removes the characters of the IGNORE directive from a word.
+   *
+   * @param {String} word
+   * @returns {String}
+   */
+
+  removeIgnoredCharacters: function(word) {
+    var ignored = this.flags.IGNORE;
+
+    if (!ignored) {
+      return word;
+    }
+
+    var rv = "";
+
+    for (var i = 0, len = word.length; i < len; i++) {
+      if (ignored.indexOf(word[i]) === -1) {
+        rv += word[i];
+      }
+    }
+
+    return rv;
+  },
+
+
+  /**
+   * Generates the word forms that the affix rules of a word produce, including
+   * the combinations of a prefix and a suffix that are both combineable.
+   *
+   * @param {String} word The base word.
+   * @param {String[]} ruleCodesArray The rule codes of the word.
+   * @returns {String[]} The new words, without the base word. A form produced
+   *                     twice is listed twice.
+   */
+
+  generateWordForms: function(word, ruleCodesArray) {
+    return this.generateAnalyzedForms(word, ruleCodesArray).map(formWord);
+  },
+
+  /**
+   * Same as generateWordForms(), but each form comes with the affixes that
+   * produced it, as { word, affixes }; see expandRule().
+   *
+   * @param {String} word The base word.
+   * @param {String[]} ruleCodesArray The rule codes of the word.
+   * @returns {Object[]}
+   */
+
+  generateAnalyzedForms: function(word, ruleCodesArray) {
+    var forms = [];
+
+    for (var j = 0, ruleCodesLen = ruleCodesArray.length; j < ruleCodesLen; j++) {
+      var rule = this.rules[ruleCodesArray[j]];
+
+      if (rule) {
+        var newForms = this.expandRule(word, rule, false, ruleCodesArray[j]);
+
+        for (var ii = 0, newFormsLen = newForms.length; ii < newFormsLen; ii++) {
+          var newForm = newForms[ii];
+
+          forms.push(newForm);
+
+          if (rule.combineable) {
+            for (var k = j + 1; k < ruleCodesLen; k++) {
+              var combineRule = this.rules[ruleCodesArray[k]];
+
+              if (combineRule) {
+                if (combineRule.combineable && (rule.type !== combineRule.type)) {
+                  forms = forms.concat(this.expandRule(newForm.word, combineRule, false, ruleCodesArray[k], newForm.affixes));
+                }
+              }
+            }
+          }
+        }
+
+        if (rule.combineable && "CIRCUMFIX" in this.flags) {
+          forms = forms.concat(this.generateCircumfixes(word, ruleCodesArray[j], ruleCodesArray.slice(j + 1)));
+        }
+      }
+    }
+
+    return forms;
+  },
+
+  /**
+   * Generates the forms of a word made of a CIRCUMFIX entry of a rule and a
+   * CIRCUMFIX entry of one of the other rules of the word.
+   *
+   * @param {String} word The base word.
+   * @param {String} ruleCode The code of a combineable affix rule of the word.
+   * @param {String[]} otherRuleCodes The rule codes that may complete it.
+   * @returns {Object[]} The forms, as { word, affixes }.
+   */
+
+  generateCircumfixes: function(word, ruleCode, otherRuleCodes) {
+    var rule = this.rules[ruleCode];
+    var forms = [];
+
+    for (var i = 0, entriesLen = rule.entries.length; i < entriesLen; i++) {
+      var half = this.isCircumfix(rule.entries[i]) ? this.applyEntry(word, rule, rule.entries[i]) : null;
+
+      if (half === null) {
+        continue;
+      }
+
+      for (var j = 0, codesLen = otherRuleCodes.length; j < codesLen; j++) {
+        var otherRule = this.rules[otherRuleCodes[j]];
 
+        if (otherRule && otherRule.combineable && otherRule.type !== rule.type) {
+          forms = forms.concat(this.expandRule(half, otherRule, true, otherRuleCodes[j], [
+            { flag: ruleCode, rule: rule, entry: rule.entries[i] }
+          ]));
+        }
+      }
+    }
+
+    return forms;
+  },
 
   /**
    * Removes comment lines and then cleans up blank lines and trailing whitespace.
@@ -351,6 +1135,9 @@ Typo.prototype = {
    */
 
   removeDicComments: function(data) {
+    // Dictionaries are commonly distributed with Windows line endings.
+    data = data.replace(/\r\n?/g, "\n");
+
     // I can't find any official documentation on it, but at least the de_DE
     // dictionary uses tab-indented lines as comments.
 
@@ -372,6 +1159,11 @@ Typo.prototype = {
   },
 
   parseRuleCodes: function(textCodes) {
+    // With AF aliases, rule codes are the number of a flag set.
+    if (textCodes && this.aliasFlags && this.aliasFlags.length > 0 && /^\d+$/.test(textCodes)) {
+      textCodes = this.aliasFlags[textCodes - 1];
+    }
+
     if (!textCodes) {
       return [];
     } else if (!("FLAG" in this.flags)) {
@@ -392,39 +1184,64 @@ Typo.prototype = {
   /**
    * Applies an affix rule to a word.
    *
+   * An affix entry flagged with CIRCUMFIX is only half of a word: its forms
+   * are kept once a CIRCUMFIX entry of the other type is applied too, through
+   * its continuation classes or through a combineable rule of the word.
+   *
    * @param {String} word The base word.
    * @param {Object} rule The affix rule.
+   * @param {Boolean} [circumfix=false] Whether the word is the half of a
+   *                                    circumfix, which only CIRCUMFIX entries complete.
    * @returns {String[]} The new words generated by the rule.
    */
 
-  applyRule: function(word, rule) {
+  applyRule: function(word, rule, circumfix) {
+    return this.expandRule(word, rule, circumfix).map(formWord);
+  },
+
+  /**
+   * Same as applyRule(), but each new word comes with the affixes that
+   * produced it, in the order they were applied, as { word, affixes }. Each
+   * affix is a { flag, rule, entry } object.
+   *
+   * @param {String} word The base word.
+   * @param {Object} rule The affix rule.
+   * @param {Boolean} [circumfix=false] See applyRule().
+   * @param {String} [flag] The rule code of the rule.
+   * @param {Object[]} [affixes=[]] The affixes that produced the base word.
+   * @returns {Object[]}
+   */
+
+  expandRule: function(word, rule, circumfix, flag, affixes) {
     var entries = rule.entries;
-    var newWords = [];
+    var newForms = [];
+
+    affixes = affixes || [];
 
     for (var i = 0, entriesLen = entries.length; i < entriesLen; i++) {
       var entry = entries[i];
+      var isCircumfix = this.isCircumfix(entry);
 
-      if (!entry.match || word.match(entry.match)) {
-        var newWord = word;
+      if (circumfix && !isCircumfix) {
+        continue;
+      }
 
-        if (entry.remove) {
-          newWord = newWord.replace(entry.remove, "");
-        }
+      var newWord = this.applyEntry(word, rule, entry);
 
-        if (rule.type === "SFX") {
-          newWord = newWord + entry.add;
-        } else {
-          newWord = entry.add + newWord;
-        }
+      if (newWord !== null) {
+        var newAffixes = affixes.concat([ { flag: flag, rule: rule, entry: entry } ]);
 
-        newWords.push(newWord);
+        if (circumfix || !isCircumfix) {
+          newForms.push({ word: newWord, affixes: newAffixes });
+        }
 
         if ("continuationClasses" in entry) {
           for (var j = 0, classesLen = entry.continuationClasses.length; j < classesLen; j++) {
             var continuationRule = this.rules[entry.continuationClasses[j]];
 
             if (continuationRule) {
-              newWords = newWords.concat(this.applyRule(newWord, continuationRule));
+              newForms = newForms.concat(this.expandRule(newWord, continuationRule, isCircumfix && !circumfix,
+                entry.continuationClasses[j], newAffixes));
             }
             /*
              else {
@@ -438,300 +1255,1593 @@ Typo.prototype = {
       }
     }
 
-    return newWords;
+    return newForms;
   },
 
   /**
-   * Checks whether a word or a capitalization variant exists in the current dictionary.
-   * The word is trimmed and several variations of capitalizations are checked.
-   * If you want to check a word without any changes made to it, call checkExact()
-   *
-   * @see http://blog.stevenlevithan.com/archives/faster-trim-javascript re:trimming function
+   * Applies a single entry of an affix rule, without its continuation classes.
    *
-   * @param {String} aWord The word to check.
-   * @returns {Boolean}
+   * @param {String} word The base word.
+   * @param {Object} rule The affix rule.
+   * @param {Object} entry One of its entries.
+   * @returns {String|null} The new word, or null if the entry does not apply.
    */
 
-  check: function(aWord) {
-    // Remove leading and trailing whitespace
-    var trimmedWord = aWord.replace(/^\s\s*/, "").replace(/\s\s*$/, "");
-
-    if (this.checkExact(trimmedWord)) {
-      return true;
+  applyEntry: function(word, rule, entry) {
+    if (entry.match && !word.match(entry.match)) {
+      return null;
     }
 
-    // The exact word is not in the dictionary.
-    if (trimmedWord.toUpperCase() === trimmedWord) {
-      // The word was supplied in all uppercase.
-      // Check for a capitalized form of the word.
-      var capitalizedWord = trimmedWord[0] + trimmedWord.substring(1).toLowerCase();
-
-      if (this.hasFlag(capitalizedWord, "KEEPCASE")) {
-        // Capitalization variants are not allowed for this word.
-        return false;
-      }
+    var newWord = word;
 
-      if (this.checkExact(capitalizedWord)) {
-        return true;
-      }
+    if (entry.remove) {
+      newWord = newWord.replace(entry.remove, "");
     }
 
-    var lowercaseWord = trimmedWord.toLowerCase();
-
-    if (lowercaseWord !== trimmedWord) {
-      if (this.hasFlag(lowercaseWord, "KEEPCASE")) {
-        // Capitalization variants are not allowed for this word.
-        return false;
-      }
-
-      // Check for a lowercase form
-      if (this.checkExact(lowercaseWord)) {
-        return true;
-      }
+    if (rule.type === "SFX") {
+      return newWord + entry.add;
     }
 
-    return false;
+    return entry.add + newWord;
   },
 
   /**
-   * Checks whether a word exists in the current dictionary.
+   * Tells whether an affix entry is flagged with CIRCUMFIX.
    *
-   * @param {String} word The word to check.
+   * @param {Object} entry
    * @returns {Boolean}
    */
 
-  checkExact: function(word) {
-    var ruleCodes = this.dictionaryTable[word];
-
-    if (typeof ruleCodes === "undefined") {
-      // Check if this might be a compound word.
-      if ("COMPOUNDMIN" in this.flags && word.length >= this.flags.COMPOUNDMIN) {
-        for (var i = 0, rulesLen = this.compoundRules.length; i < rulesLen; i++) {
-          if (word.match(this.compoundRules[i])) {
-            return true;
-          }
-        }
-      }
-
-      return false;
-    } else {
-      for (var counter = 0, ruleCodesLen = ruleCodes.length; counter < ruleCodesLen; counter++) {
-        if (!this.hasFlag(word, "ONLYINCOMPOUND", ruleCodes[counter])) {
-          return true;
-        }
-      }
-
-      return false;
-    }
+  isCircumfix: function(entry) {
+    return "CIRCUMFIX" in this.flags && "continuationClasses" in entry &&
+      entry.continuationClasses.indexOf(this.flags.CIRCUMFIX) !== -1;
   },
 
   /**
-   * Looks up whether a given word is flagged with a given flag.
+   * Adds a word to the dictionary, along with the forms its affix rules produce.
    *
-   * @param {String} word The word in question.
-   * @param {String} flag The flag in question.
-   * @return {Boolean}
+   * @param {String} word The word, e.g. "webpack".
+   * @param {String|String[]} [flags] The affix rule codes of the word, as written in
+   *                                  a .dic file ("S") or already parsed (["S"]).
+   * @returns {Typo} this
    */
 
-  hasFlag: function(word, flag, wordFlags) {
-    if (flag in this.flags) {
-      if (typeof wordFlags === "undefined") {
-        wordFlags = Array.prototype.concat.apply([], this.dictionaryTable[word]);
-      }
+  addWord: function(word, flags) {
+    word = this.normalize(word);
 
-      if (wordFlags && wordFlags.indexOf(this.flags[flag]) !== -1) {
-        return true;
-      }
+    var ruleCodesArray = typeof flags === "string" ? this.parseRuleCodes(flags) : (flags || []);
+    this.dictionaryTable.add(word, ruleCodesArray);
+
+    var forms = this.generateWordForms(word, ruleCodesArray);
+    var inherited = this.inheritedFlags(ruleCodesArray);
+
+    for (var i = 0, formsLen = forms.length; i < formsLen; i++) {
+      this.dictionaryTable.add(forms[i], inherited);
     }
 
-    return false;
+    if (this.phoneticIndex) {
+      phonetic.addToIndex(this.phoneticIndex, [ word ].concat(forms), this.phoneticEncoder);
+    }
+
+    if (this.pool) {
+      this.pool.broadcast("addWord", [ word, ruleCodesArray ]);
+    }
+
+    return this;
   },
 
   /**
-   * Returns a list of suggestions for a misspelled word.
+   * Removes a word from the dictionary, along with the forms its affix rules
+   * produced. Forms that other words also produce are kept.
    *
-   * @see http://www.norvig.com/spell-correct.html for the basis of this suggestor.
-   * This suggestor is primitive, but it works.
-   *
-   * @param {String} word The misspelling.
-   * @param {Number} [limit=5] The maximum number of suggestions to return.
-   * @returns {String[]} The array of suggestions.
+   * @param {String} word The word to remove.
+   * @returns {Boolean} Whether the word was in the dictionary.
    */
 
-  alphabet: "",
+  removeWord: function(word) {
+    word = this.normalize(word);
 
-  suggest: function(word, limit) {
-    if (!limit) {
-      limit = 5;
-    }
+    var entries = this.dictionaryTable.get(word);
 
-    if (this.check(word)) {
-      return [];
+    if (entries === undefined) {
+      return false;
     }
 
-    // Check the replacement table.
-    for (var i = 0, tableLen = this.replacementTable.length; i < tableLen; i++) {
-      var replacementEntry = this.replacementTable[i];
+    this.dictionaryTable.delete(word);
 
-      if (word.indexOf(replacementEntry[0]) !== -1) {
-        var correctedWord = word.replace(replacementEntry[0], replacementEntry[1]);
-
-        if (this.check(correctedWord)) {
-          return [ correctedWord ];
-        }
-      }
+    if (this.pool) {
+      this.pool.broadcast("removeWord", [ word ]);
     }
 
-    var self = this;
-    self.alphabet = "abcdefghijklmnopqrstuvwxyz";
-
-    /*
-     if (!self.alphabet) {
-     // Use the alphabet as implicitly defined by the words in the dictionary.
-     var alphaHash = {};
-
-     for (var i in self.dictionaryTable) {
-     for (var j = 0, _len = i.length; j < _len; j++) {
-     alphaHash[i[j]] = true;
-     }
-     }
-
-     for (var i in alphaHash) {
-     self.alphabet += i;
-     }
-
-     var alphaArray = self.alphabet.split("");
-     alphaArray.sort();
-     self.alphabet = alphaArray.join("");
-     }
-     */
-
-    function edits1(words) {
-      var rv = [];
-
-      for (var ii = 0, wordsLen = words.length; ii < wordsLen; ii++) {
-        var singleWord = words[ii];
-
-        var splits = [];
+    for (var i = 0, entriesLen = entries.length; i < entriesLen; i++) {
+      var forms = this.generateWordForms(word, entries[i] || []);
+      var inherited = this.inheritedFlags(entries[i] || []).join(",");
 
-        for (var wordCounter = 0, wordLen = singleWord.length + 1; wordCounter < wordLen; wordCounter++) {
-          splits.push([ singleWord.substring(0, wordCounter), singleWord.substring(wordCounter, singleWord.length) ]);
-        }
+      for (var j = 0, formsLen = forms.length; j < formsLen; j++) {
+        // Every generated form was stored with one list of inherited rule codes; drop one of them.
+        var formEntries = this.dictionaryTable.get(forms[j]);
 
-        var deletes = [];
+        if (formEntries && forms[j] !== word) {
+          formEntries = formEntries.slice();
 
-        for (var counter = 0, len = splits.length; counter < len; counter++) {
-          var s = splits[counter];
+          for (var k = 0; k < formEntries.length; k++) {
+            if (formEntries[k].join(",") === inherited) {
+              formEntries.splice(k, 1);
+              break;
+            }
+          }
 
-          if (s[1]) {
-            deletes.push(s[0] + s[1].substring(1));
+          if (formEntries.length === 0) {
+            this.dictionaryTable.delete(forms[j]);
+          } else {
+            this.dictionaryTable.set(forms[j], formEntries);
           }
         }
+      }
+    }
 
-        var transposes = [];
+    return true;
+  },
 
-        for (var splitsCounter = 0, splitsLen = splits.length; splitsCounter < splitsLen; splitsCounter++) {
-          var split = splits[splitsCounter];
+  /**
+   * Accepts a word, in any capitalization, for the lifetime of this instance
+   * without adding it to the dictionary. It is not offered as a suggestion.
+   *
+   * @param {String} word The word to ignore.
+   * @returns {Typo} this
+   */
 
-          if (split[1].length > 1) {
-            transposes.push(split[0] + split[1][1] + split[1][0] + split[1].substring(2));
-          }
-        }
+  ignoreWord: function(word) {
+    this.ignoredWords[this.foldCase(word)] = true;
 
-        var replaces = [];
+    if (this.pool) {
+      this.pool.broadcast("ignoreWord", [ word ]);
+    }
 
-        for (var splitsCounter1 = 0, splitsLen1 = splits.length; splitsCounter1 < splitsLen1; splitsCounter1++) {
-          var split1 = splits[splitsCounter1];
+    return this;
+  },
 
-          if (split1[1]) {
-            for (var j = 0, alpahbetLen = self.alphabet.length; j < alpahbetLen; j++) {
-              replaces.push(split1[0] + self.alphabet[j] + split1[1].substring(1));
-            }
-          }
-        }
+  /**
+   * Adds the words of a personal word list. Each line holds a word, optionally
+   * followed by "/" and affix rule codes as in a .dic file ("webpack/S").
+   * A line starting with "*" removes the word instead. Lines starting with "#"
+   * are comments.
+   *
+   * @param {String} data The contents of the word list.
+   * @returns {Typo} this
+   */
 
-        var inserts = [];
+  addWords: function(data) {
+    var lines = data.replace(/\r\n?/g, "\n").split("\n");
 
-        for (var splitsCounter2 = 0, splitsLen2 = splits.length; splitsCounter2 < splitsLen2; splitsCounter2++) {
-          var split2 = splits[splitsCounter2];
+    for (var i = 0, len = lines.length; i < len; i++) {
+      var line = lines[i].trim();
 
-          if (split2[1]) {
-            for (var alphCounter = 0, alphLen = self.alphabet.length; alphCounter < alphLen; alphCounter++) {
-              replaces.push(split2[0] + self.alphabet[alphCounter] + split2[1]);
-            }
-          }
-        }
+      if (!line || line[0] === "#") {
+        continue;
+      }
 
-        rv = rv.concat(deletes);
-        rv = rv.concat(transposes);
-        rv = rv.concat(replaces);
-        rv = rv.concat(inserts);
+      if (line[0] === "*") {
+        this.removeWord(line.substring(1));
+        continue;
       }
 
-      return rv;
+      var parts = line.split("/", 2);
+
+      this.addWord(parts[0], parts[1]);
     }
 
-    function known(words) {
-      var rv = [];
+    return this;
+  },
 
-      for (var counter = 0; counter < words.length; counter++) {
-        if (self.check(words[counter])) {
-          rv.push(words[counter]);
-        }
+  /**
+   * Adds the words of a personal word list file, such as a project's .typo-words.
+   *
+   * @param {String} path The path of the file.
+   * @param {Boolean} [optional=false] If true, a missing file is not an error.
+   * @returns {Typo} this
+   */
+
+  addWordsFromFile: function(path, optional) {
+    var data;
+
+    try {
+      data = require("fs").readFileSync(path, "utf8");
+    } catch (e) {
+      if (optional && e.code === "ENOENT") {
+        return this;
       }
 
-      return rv;
+      throw new Error("Typo: could not read word list " + path + " (" + e.message + ")");
     }
 
-    function correct(word) {
-      // Get the edit-distance-1 and edit-distance-2 forms of this word.
-      var ed1 = edits1([word]);
-      var ed2 = edits1(ed1);
+    return this.addWords(data);
+  },
+
+  /**
+   * Loads a word frequency list, used to rank common words ahead of rare ones
+   * in suggestions. Each line holds a word and, optionally, its number of
+   * occurrences in some corpus ("the 23135851162"). Without counts, the words
+   * are taken to be listed from the most to the least frequent. Lines starting
+   * with "#" are comments.
+   *
+   * Counts are turned into weights from 0 to 1 on a logarithmic scale, so
+   * that the most frequent words do not drown the rest.
+   *
+   * @param {String} data The frequency list.
+   * @returns {Typo} this
+   */
+
+  loadFrequencies: function(data) {
+    var lines = data.replace(/\r\n?/g, "\n").split("\n");
+    var counts = {};
+    var maxCount = 0;
+    var entries = [];
+
+    for (var i = 0, len = lines.length; i < len; i++) {
+      var line = lines[i].trim();
+
+      if (line && line[0] !== "#") {
+        entries.push(line.split(/\s+/));
+      }
+    }
+
+    for (var j = 0, entriesLen = entries.length; j < entriesLen; j++) {
+      var word = entries[j][0].toLowerCase();
+      var count = entries[j].length > 1 ? parseFloat(entries[j][1]) || 0 : entriesLen - j;
+
+      counts[word] = (counts[word] || 0) + count;
+      maxCount = Math.max(maxCount, counts[word]);
+    }
+
+    for (var countedWord in counts) {
+      if ({}.hasOwnProperty.call(counts, countedWord)) {
+        this.frequencies[countedWord] = maxCount > 0 ? Math.log(counts[countedWord] + 1) / Math.log(maxCount + 1) : 0;
+      }
+    }
+
+    if (this.pool) {
+      this.pool.broadcast("loadFrequencies", [ data ]);
+    }
+
+    return this;
+  },
+
+  /**
+   * Checks whether a word or a capitalization variant exists in the current dictionary.
+   * The word is trimmed and several variations of capitalizations are checked.
+   * If you want to check a word without any changes made to it, call checkExact()
+   *
+   * @see http://blog.stevenlevithan.com/archives/faster-trim-javascript re:trimming function
+   *
+   * @param {String} aWord The word to check.
+   * @returns {Boolean}
+   */
+
+  check: function(aWord) {
+    var locale = this.normalization.locale;
+
+    // Remove leading and trailing whitespace
+    var trimmedWord = this.normalize(aWord.replace(/^\s\s*/, "").replace(/\s\s*$/, ""));
+
+    if (this.ignoredWords && {}.hasOwnProperty.call(this.ignoredWords, letterCase.lowerCase(trimmedWord, locale))) {
+      return true;
+    }
+
+    trimmedWord = this.removeIgnoredCharacters(convert(trimmedWord, this.inputConversions));
+
+    if (!trimmedWord) {
+      return false;
+    }
+
+    if (this.checkExact(trimmedWord)) {
+      return true;
+    }
+
+    // The exact word is not in the dictionary.
+    if (letterCase.upperCase(trimmedWord, locale) === trimmedWord) {
+      // The word was supplied in all uppercase.
+      // Check for a capitalized form of the word.
+      var capitalizedWord = letterCase.titleCase(trimmedWord, locale);
+
+      if (this.hasFlag(capitalizedWord, "KEEPCASE")) {
+        // Capitalization variants are not allowed for this word.
+        return false;
+      }
+
+      if (this.checkExact(capitalizedWord)) {
+        return true;
+      }
+
+      if (this.normalization.sharpS && this.checkSharpS(trimmedWord)) {
+        return true;
+      }
+    }
+
+    var lowercaseWord = letterCase.lowerCase(trimmedWord, locale);
+
+    if (lowercaseWord !== trimmedWord) {
+      if (this.hasFlag(lowercaseWord, "KEEPCASE")) {
+        // Capitalization variants are not allowed for this word.
+        return false;
+      }
+
+      // Check for a lowercase form
+      if (this.checkExact(lowercaseWord)) {
+        return true;
+      }
+    }
+
+    return this.checkBreaks(trimmedWord);
+  },
+
+  /**
+   * Normalizes a word, or dictionary data, the way the dictionary words are:
+   * to the Unicode normalization form of the "normalization" setting, and with
+   * straight apostrophes when the "apostrophes" setting is on.
+   *
+   * @param {String} text
+   * @returns {String}
+   */
+
+  normalize: function(text) {
+    var settings = this.normalization;
+
+    if (settings.form) {
+      text = text.normalize(settings.form);
+    }
+
+    return settings.apostrophes ? text.replace(TYPOGRAPHIC_APOSTROPHES, "'") : text;
+  },
+
+  /**
+   * Returns the normalized lowercase form of a word, under which ignoreWord()
+   * keeps it. The case conversion follows the "locale" setting.
+   *
+   * @param {String} word
+   * @returns {String}
+   */
+
+  foldCase: function(word) {
+    return letterCase.lowerCase(this.normalize(word.trim()), this.normalization.locale);
+  },
+
+  /**
+   * Checks an ALLCAPS word whose "SS" pairs may stand for "ß", as uppercase
+   * German has no "ß": "STRASSE" for "Straße". See the "sharpS" setting.
+   *
+   * @param {String} word The word, in ALLCAPS.
+   * @returns {Boolean}
+   */
+
+  checkSharpS: function(word) {
+    var locale = this.normalization.locale;
+    var parts = word.split("SS");
+    var pairs = parts.length - 1;
+
+    if (pairs === 0 || pairs > MAX_SHARP_S_PAIRS) {
+      return false;
+    }
+
+    // Every choice of pairs to read as "ß", at least one.
+    for (var mask = 1; mask < 1 << pairs; mask++) {
+      var variant = parts[0];
+
+      for (var i = 1; i <= pairs; i++) {
+        variant += (mask & (1 << (i - 1)) ? "ß" : "SS") + parts[i];
+      }
+
+      var forms = [ letterCase.titleCase(variant, locale), letterCase.lowerCase(variant, locale) ];
+
+      for (var j = 0; j < forms.length; j++) {
+        if (!this.hasFlag(forms[j], "KEEPCASE") && this.checkExact(forms[j])) {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  },
+
+  /**
+   * Checks a word made of correct words joined at the patterns of the BREAK
+   * directive, e.g. "well-known". Patterns anchored with ^ or $ are only
+   * removed from the start or the end of the word.
+   *
+   * @param {String} word The word, which the dictionary does not contain.
+   * @returns {Boolean}
+   */
+
+  checkBreaks: function(word) {
+    var self = this;
+    var breaks = this.breakTable || DEFAULT_BREAKS;
+    var saved = breakChecks;
+    var outermost = !breakChecks || breakChecks.typo !== this;
+
+    if (outermost) {
+      breakChecks = { typo: this, results: {} };
+    }
+
+    var results = breakChecks.results;
+
+    // Each part is checked once, however many ways the word splits into it:
+    // "xq-xq-xq-…" would otherwise take time doubling with every hyphen.
+    function checkPart(part) {
+      if (!{}.hasOwnProperty.call(results, part)) {
+        results[part] = self.check(part);
+      }
+
+      return results[part];
+    }
+
+    try {
+      for (var i = 0, len = breaks.length; i < len; i++) {
+        var pattern = breaks[i];
+
+        if (pattern.length > 1 && pattern[0] === "^") {
+          if (word.startsWith(pattern.substring(1)) && word.length >= pattern.length && checkPart(word.substring(pattern.length - 1))) {
+            return true;
+          }
+        } else if (pattern.length > 1 && pattern[pattern.length - 1] === "$") {
+          var suffix = pattern.substring(0, pattern.length - 1);
+
+          if (word.endsWith(suffix) && word.length >= pattern.length && checkPart(word.substring(0, word.length - suffix.length))) {
+            return true;
+          }
+        } else if (pattern) {
+          for (var position = word.indexOf(pattern, 1); position !== -1; position = word.indexOf(pattern, position + 1)) {
+            if (checkPart(word.substring(0, position)) && checkPart(word.substring(position + pattern.length))) {
+              return true;
+            }
+          }
+        }
+      }
+
+      return false;
+    } finally {
+      if (outermost) {
+        breakChecks = saved;
+      }
+    }
+  },
+
+  /**
+   * Checks whether a word exists in the current dictionary.
+   *
+   * @param {String} word The word to check.
+   * @returns {Boolean}
+   */
+
+  checkExact: function(word) {
+    var ruleCodes = this.dictionaryTable.get(word);
+
+    if (typeof ruleCodes === "undefined") {
+      // Check if this might be a compound word.
+      if ("COMPOUNDMIN" in this.flags && word.length >= this.flags.COMPOUNDMIN) {
+        for (var i = 0, rulesLen = this.compoundRules.length; i < rulesLen; i++) {
+          if (word.match(this.compoundRules[i])) {
+            return true;
+          }
+        }
+      }
+
+      return this.checkCompound(word);
+    } else {
+      var found = false;
+
+      for (var counter = 0, ruleCodesLen = ruleCodes.length; counter < ruleCodesLen; counter++) {
+        if (this.hasFlag(word, "FORBIDDENWORD", ruleCodes[counter])) {
+          // Forbidden words stay forbidden, whatever else produced them.
+          return false;
+        }
+
+        if (!this.hasFlag(word, "ONLYINCOMPOUND", ruleCodes[counter]) && !this.hasFlag(word, "NEEDAFFIX", ruleCodes[counter])) {
+          found = true;
+        }
+      }
+
+      return found;
+    }
+  },
+
+  /**
+   * Whether the dictionary makes compounds with COMPOUNDFLAG, COMPOUNDBEGIN,
+   * COMPOUNDMIDDLE or COMPOUNDEND (see checkCompound()).
+   *
+   * @returns {Boolean}
+   */
+
+  usesCompoundFlags: function() {
+    var flags = this.flags;
+
+    return "COMPOUNDFLAG" in flags || "COMPOUNDBEGIN" in flags || "COMPOUNDMIDDLE" in flags || "COMPOUNDEND" in flags;
+  },
+
+  /**
+   * Checks whether a word is a compound of dictionary words flagged with
+   * COMPOUNDFLAG, or with COMPOUNDBEGIN, COMPOUNDMIDDLE and COMPOUNDEND
+   * according to their place. Each part has at least COMPOUNDMIN characters
+   * (3 by default), there are at most COMPOUNDWORDMAX parts, and with
+   * CHECKCOMPOUNDDUP, a part may not be repeated right away ("foofoo").
+   *
+   * Affixed forms of a word share its compounding flags, at any place.
+   *
+   * @param {String} word
+   * @returns {Boolean}
+   */
+
+  checkCompound: function(word) {
+    var flags = this.flags;
+
+    if (!this.usesCompoundFlags()) {
+      return false;
+    }
+
+    var self = this;
+    var minLength = parseInt(flags.COMPOUNDMIN, 10) || 3;
+    var maxParts = parseInt(flags.COMPOUNDWORDMAX, 10) || Infinity;
+
+    function allowed(part, placeFlag) {
+      var entries = self.dictionaryTable.get(part);
+      var rv = false;
+
+      if (entries === undefined) {
+        return false;
+      }
+
+      for (var i = 0, len = entries.length; i < len; i++) {
+        if (self.hasFlag(part, "FORBIDDENWORD", entries[i])) {
+          return false;
+        }
+
+        if (self.hasFlag(part, "NEEDAFFIX", entries[i])) {
+          continue;
+        }
+
+        if (self.hasFlag(part, "COMPOUNDFLAG", entries[i]) || self.hasFlag(part, placeFlag, entries[i])) {
+          rv = true;
+        }
+      }
+
+      return rv;
+    }
+
+    function search(start, partCount, previous) {
+      for (var end = start + minLength; end <= word.length; end++) {
+        var isLast = end === word.length;
+
+        if ((isLast && partCount === 0) || (!isLast && word.length - end < minLength)) {
+          continue;
+        }
+
+        var part = word.substring(start, end);
+
+        if ("CHECKCOMPOUNDDUP" in flags && part === previous) {
+          continue;
+        }
+
+        if (!allowed(part, start === 0 ? "COMPOUNDBEGIN" : (isLast ? "COMPOUNDEND" : "COMPOUNDMIDDLE"))) {
+          continue;
+        }
+
+        if (isLast || (partCount + 2 <= maxParts && search(end, partCount + 1, part))) {
+          return true;
+        }
+      }
+
+      return false;
+    }
+
+    return search(0, 0, null);
+  },
+
+  /**
+   * Looks up whether a given word is flagged with a given flag.
+   *
+   * @param {String} word The word in question.
+   * @param {String} flag The flag in question.
+   * @return {Boolean}
+   */
+
+  hasFlag: function(word, flag, wordFlags) {
+    if (flag in this.flags) {
+      if (typeof wordFlags === "undefined") {
+        wordFlags = Array.prototype.concat.apply([], this.dictionaryTable.get(word) || []);
+      }
+
+      if (wordFlags && wordFlags.indexOf(this.flags[flag]) !== -1) {
+        return true;
+      }
+    }
+
+    return false;
+  },
+
+  /**
+   * Returns the analyses of a word: for each way the dictionary produces it,
+   * its root, the affixes applied to the root, in order, and the morphological
+   * fields of the .dic entry and of those affixes ("po:verb", "is:plural"...).
+   * The stem is the value of the "st:" field of the entry, or else its root.
+   *
+   *     dictionary.analyze("reruns");
+   *     // [ { stem: "run", root: "run", partOfSpeech: null, fields: [],
+   *     //     affixes: [ { flag: "A", type: "PFX", add: "re", remove: "" },
+   *     //                { flag: "S", type: "SFX", add: "s", remove: "" } ] } ]
+   *
+   * Words are looked up like in check(), capitalization variants included.
+   * Misspellings and compound words have no analyses.
+   *
+   * @param {String} aWord The word to analyze.
+   * @returns {Object[]} The analyses, as { stem, root, affixes, fields, partOfSpeech }.
+   */
+
+  analyze: function(aWord) {
+    var locale = this.normalization.locale;
+    var word = this.removeIgnoredCharacters(convert(this.normalize(aWord.trim()), this.inputConversions));
+    var variants = [ word ];
+
+    if (word && letterCase.upperCase(word, locale) === word) {
+      variants.push(letterCase.titleCase(word, locale));
+    }
+
+    variants.push(letterCase.lowerCase(word, locale));
+
+    for (var i = 0, len = variants.length; i < len; i++) {
+      var analyses = word ? this.analyzeExact(variants[i]) : [];
+
+      if (analyses.length > 0) {
+        return analyses;
+      }
+    }
+
+    return [];
+  },
+
+  /**
+   * Same as analyze(), without capitalization variants.
+   *
+   * @param {String} word
+   * @returns {Object[]}
+   */
+
+  analyzeExact: function(word) {
+    var entries = this.dictionaryTable.get(word);
+
+    if (entries === undefined || !this.checkExact(word)) {
+      return [];
+    }
+
+    var analyses = [];
+    var seen = {};
+    var derivations = 0;
+    var roots = this.affixRoots(word);
+    var self = this;
+
+    function addAnalysis(root, ruleCodes, affixes) {
+      var analysis = self.describeAnalysis(root, ruleCodes, affixes);
+      var key = JSON.stringify([ analysis.root, analysis.affixes, analysis.fields ]);
+
+      if (!{}.hasOwnProperty.call(seen, key)) {
+        seen[key] = true;
+        analyses.push(analysis);
+      }
+    }
+
+    for (var i = 0, rootsLen = roots.length; i < rootsLen; i++) {
+      var rootEntries = this.dictionaryTable.get(roots[i]) || [];
+
+      for (var j = 0, entriesLen = rootEntries.length; j < entriesLen; j++) {
+        var forms = rootEntries[j].length > 0 ? this.generateAnalyzedForms(roots[i], rootEntries[j]) : [];
+
+        for (var k = 0, formsLen = forms.length; k < formsLen; k++) {
+          if (forms[k].word === word) {
+            derivations++;
+            addAnalysis(roots[i], rootEntries[j], forms[k].affixes);
+          }
+        }
+      }
+    }
+
+    // The word is a root itself when an entry has rule codes of its own, or
+    // when it has more entries than the affixes of other roots account for.
+    var unexplained = entries.length - derivations;
+
+    for (var ii = 0, len = entries.length; ii < len; ii++) {
+      var ruleCodes = entries[ii];
+      var isRoot = this.inheritedFlags(ruleCodes).length < ruleCodes.length || unexplained > 0;
+
+      if (isRoot && !this.hasFlag(word, "ONLYINCOMPOUND", ruleCodes) && !this.hasFlag(word, "NEEDAFFIX", ruleCodes)) {
+        addAnalysis(word, ruleCodes, []);
+      }
+
+      if (this.inheritedFlags(ruleCodes).length === ruleCodes.length) {
+        unexplained--;
+      }
+    }
+
+    return analyses;
+  },
+
+  /**
+   * Returns the words that affix rules could turn into a word, found by
+   * removing affixes from it (up to three), the word itself first.
+   *
+   * @param {String} word
+   * @returns {String[]}
+   */
+
+  affixRoots: function(word) {
+    var roots = [ word ];
+    var seen = {};
+    var level = [ word ];
+
+    seen[word] = true;
+
+    for (var depth = 0; depth < 3 && level.length > 0; depth++) {
+      var nextLevel = [];
+
+      for (var i = 0, levelLen = level.length; i < levelLen; i++) {
+        for (var code in this.rules) {
+          var rule = this.rules[code];
+
+          for (var j = 0, entriesLen = rule.entries.length; j < entriesLen; j++) {
+            var root = this.removeEntry(level[i], rule, rule.entries[j]);
+
+            if (root !== null && !{}.hasOwnProperty.call(seen, root)) {
+              seen[root] = true;
+              roots.push(root);
+              nextLevel.push(root);
+            }
+          }
+        }
+      }
+
+      level = nextLevel;
+    }
+
+    return roots;
+  },
+
+  /**
+   * Undoes applyEntry(): returns the word that a single entry of an affix rule
+   * turns into the given word, or null if there is none.
+   *
+   * @param {String} word
+   * @param {Object} rule The affix rule.
+   * @param {Object} entry One of its entries.
+   * @returns {String|null}
+   */
+
+  removeEntry: function(word, rule, entry) {
+    var root;
+
+    if (rule.type === "SFX") {
+      if (!word.endsWith(entry.add)) {
+        return null;
+      }
+
+      root = word.substring(0, word.length - entry.add.length) + (entry.remove ? entry.remove.source.replace(/\$$/, "") : "");
+    } else {
+      if (!word.startsWith(entry.add)) {
+        return null;
+      }
+
+      root = (entry.remove || "") + word.substring(entry.add.length);
+    }
+
+    if (!root || (entry.match && !root.match(entry.match))) {
+      return null;
+    }
+
+    return root;
+  },
+
+  /**
+   * Builds an analysis for analyze().
+   *
+   * @param {String} root
+   * @param {String[]} ruleCodes The rule codes of the .dic entry of the root.
+   * @param {Object[]} affixes The affixes applied, as returned by expandRule().
+   * @returns {Object}
+   */
+
+  describeAnalysis: function(root, ruleCodes, affixes) {
+    var fields = [];
+    var entries = {}.hasOwnProperty.call(this.morphology, root) ? this.morphology[root] : [];
+
+    for (var i = 0, len = entries.length; i < len; i++) {
+      if (entries[i].ruleCodes.join(",") === ruleCodes.join(",")) {
+        fields = entries[i].fields;
+        break;
+      }
+    }
+
+    var analysis = {
+      stem: root,
+      root: root,
+      affixes: affixes.map(function(affix) {
+        var remove = affix.entry.remove || "";
+
+        if (remove instanceof RegExp) {
+          remove = remove.source.replace(/\$$/, "");
+        }
+
+        fields = fields.concat(affix.entry.morphology || []);
+
+        return { flag: affix.flag, type: affix.rule.type, add: affix.entry.add, remove: remove };
+      }),
+      fields: fields,
+      partOfSpeech: null
+    };
+
+    for (var j = 0, fieldsLen = fields.length; j < fieldsLen; j++) {
+      if (fields[j].indexOf("st:") === 0 && analysis.stem === root) {
+        analysis.stem = fields[j].substring(3);
+      } else if (fields[j].indexOf("po:") === 0 && analysis.partOfSpeech === null) {
+        analysis.partOfSpeech = fields[j].substring(3);
+      }
+    }
+
+    analysis.stem = convert(analysis.stem, this.outputConversions);
+    analysis.root = convert(analysis.root, this.outputConversions);
+
+    return analysis;
+  },
+
+  /**
+   * Returns the stems of a word, e.g. [ "run" ] for "reruns", for search
+   * normalization. A word with several analyses may have several stems
+   * ("leaves": "leave", "leaf"); misspellings have none.
+   *
+   * @param {String} word
+   * @returns {String[]}
+   */
+
+  stem: function(word) {
+    var stems = [];
+
+    this.analyze(word).forEach(function(analysis) {
+      if (stems.indexOf(analysis.stem) === -1) {
+        stems.push(analysis.stem);
+      }
+    });
+
+    return stems;
+  },
+
+  /**
+   * Inflects a stem like an example word: generate("walk", "talked") returns
+   * [ "walked" ]. The forms of the stem made with the same affix rules as the
+   * example are returned, which requires both words to use the same flags.
+   * When the example has several analyses, the one with the most affixes that
+   * the stem allows is used.
+   *
+   * @param {String} stem A dictionary word.
+   * @param {String} exampleWord An inflected word.
+   * @returns {String[]} The forms, or [] if there are none.
+   */
+
+  generate: function(stem, exampleWord) {
+    var analyses = this.analyze(exampleWord).sort(function(a, b) {
+      return b.affixes.length - a.affixes.length;
+    });
+    var roots = this.dictionaryTable.get(stem) || [];
+
+    function affixFlags(affixes) {
+      return affixes.map(function(affix) {
+        return affix.flag;
+      }).sort().join(",");
+    }
+
+    for (var i = 0, analysesLen = analyses.length; i < analysesLen; i++) {
+      var flags = affixFlags(analyses[i].affixes);
+      var rv = [];
+
+      if (flags === "") {
+        return this.check(stem) ? [ convert(stem, this.outputConversions) ] : [];
+      }
+
+      for (var j = 0, rootsLen = roots.length; j < rootsLen; j++) {
+        var forms = this.generateAnalyzedForms(stem, roots[j]);
+
+        for (var k = 0, formsLen = forms.length; k < formsLen; k++) {
+          var word = convert(forms[k].word, this.outputConversions);
+
+          if (affixFlags(forms[k].affixes) === flags && this.checkExact(forms[k].word) && rv.indexOf(word) === -1) {
+            rv.push(word);
+          }
+        }
+      }
+
+      if (rv.length > 0) {
+        return rv;
+      }
+    }
+
+    return [];
+  },
+
+  /**
+   * The characters of suggestionAlphabet(), set on the first suggestion.
+   */
+
+  alphabet: "",
+
+  /**
+   * The dictionary words by phonetic code, built by buildPhoneticIndex().
+   */
+
+  phoneticIndex: null,
+
+  phoneticEncoder: null,
+
+  /**
+   * The pending buildPhoneticIndexAsync() call, if any.
+   */
+
+  phoneticIndexing: null,
+
+  /**
+   * Returns the characters that suggest() inserts and substitutes: those of the
+   * TRY directive, or else those the dictionary words are made of, lowercased.
+   *
+   * @returns {String}
+   */
 
-      var corrections = known(ed1).concat(known(ed2));
+  suggestionAlphabet: function() {
+    var characters = {};
+    var trie = this.dictionaryTable;
+    var source = this.flags.TRY;
+    var rv = "";
 
-      // Sort the edits based on how many different ways they were created.
-      var weightedCorrections = {};
+    if (!source) {
+      source = "";
 
-      for (var counter = 0, correctionsLen = corrections.length; counter < correctionsLen; counter++) {
-        if (!(corrections[counter] in weightedCorrections)) {
-          weightedCorrections[corrections[counter]] = 1;
-        } else {
-          weightedCorrections[corrections[counter]] += 1;
-        }
+      for (var node = 1; node < trie.nodeCount; node++) {
+        characters[trie.chars[node]] = true;
       }
 
-      var sortedCorrections = [];
+      for (var code in characters) {
+        source += String.fromCharCode(code);
+      }
 
-      for (var correction in weightedCorrections) {
-        if ({}.hasOwnProperty.call(weightedCorrections, correction)) {
-          sortedCorrections.push([ correction, weightedCorrections[correction] ]);
-        }
+      characters = {};
+    }
+
+    for (var i = 0, len = source.length; i < len; i++) {
+      var character = source[i].toLowerCase();
+
+      if (!characters[character]) {
+        characters[character] = true;
+        rv += character;
       }
+    }
+
+    return rv;
+  },
+
+  /**
+   * Indexes the dictionary words by sound, for soundsLike(), unless done
+   * already. This takes about 0.6 seconds for en_US, which the first
+   * suggestion pays unless the index was built beforehand, e.g. when the
+   * dictionary loads or with buildPhoneticIndexAsync().
+   *
+   * @returns {Typo} The instance, for chaining.
+   */
+
+  buildPhoneticIndex: function() {
+    if (!this.phoneticIndex) {
+      this.phoneticEncoder = phonetic.createEncoder(this.phoneTable);
+      this.phoneticIndex = phonetic.buildIndex(this.dictionaryTable, this.phoneticEncoder);
+    }
+
+    return this;
+  },
+
+  /**
+   * Same as buildPhoneticIndex(), in a worker thread reading the word trie
+   * from shared memory (see WordTrie#share()): the main thread only copies the
+   * index back, in about a tenth of the time. An index built while the
+   * dictionary changed is dropped, and the first suggestion builds another.
+   *
+   * Node.js only.
+   *
+   * @returns {Promise} Resolves to the instance.
+   */
+
+  buildPhoneticIndexAsync: function() {
+    var self = this;
+
+    if (this.phoneticIndex) {
+      return Promise.resolve(this);
+    }
+
+    if (!this.phoneticIndexing) {
+      var trie = this.dictionaryTable;
+
+      this.phoneticIndexing = require("./lib/pool").buildPhoneticIndex(this).then(function(index) {
+        self.phoneticIndexing = null;
 
-      function sorter(a, b) {
-        if (a[1] < b[1]) {
-          return -1;
+        if (!self.phoneticIndex && self.dictionaryTable === trie && trie.shared) {
+          self.phoneticEncoder = phonetic.createEncoder(self.phoneTable);
+          self.phoneticIndex = index;
         }
 
-        return 1;
-      }
+        return self;
+      }, function(e) {
+        self.phoneticIndexing = null;
+
+        throw e;
+      });
+    }
+
+    return this.phoneticIndexing;
+  },
+
+  /**
+   * Returns the dictionary words that sound like a word, according to the PHONE
+   * table of the dictionary or to Double Metaphone (see lib/phonetic.js). Only
+   * the primary Double Metaphone code of the word is looked up, as alternate
+   * codes bring in too many unrelated words. The first call indexes the whole
+   * dictionary; see buildPhoneticIndex().
+   *
+   * @param {String} word
+   * @returns {String[]}
+   */
+
+  soundsLike: function(word) {
+    this.buildPhoneticIndex();
+
+    var code = this.phoneticEncoder(word)[0];
+
+    return code !== undefined && {}.hasOwnProperty.call(this.phoneticIndex, code) ? this.phoneticIndex[code].slice() : [];
+  },
+
+  /**
+   * Returns a list of suggestions for a misspelled word, best first; see
+   * suggestDetailed() for their scores.
+   *
+   * Candidates are the replacements of the REP table that make correct words
+   * (or correct words separated by spaces: "alot" -> "a lot"), the dictionary
+   * words within two edits of the misspelling, found by walking the word trie
+   * (see lib/suggest.js), and the compound words within two edits: those of
+   * the COMPOUNDRULE patterns ("22nd" for "22th"), and the single edits of the
+   * misspelling that checkCompound() accepts, made with the characters of the
+   * TRY directive, or of the dictionary when there is none. Candidates changing
+   * the digits of the misspelling come last. Swapping characters of a MAP group
+   * (e/é/è) counts as a cheap edit, and KEY keyboard neighbors rank first among
+   * substitutions.
+   * Words that sound like the misspelling are candidates too, however many
+   * edits away (see soundsLike()). Frequent words are preferred.
+   * Suggestions follow the capitalization of the misspelling ("TEH" -> "THE",
+   * "Teh" -> "The"), except where the dictionary requires its own: KEEPCASE
+   * words ("kHz") and words stored with capitals ("Paris" for "parsi").
+   *
+   * @param {String} word The misspelling.
+   * @param {Number} [limit=5] The maximum number of suggestions to return.
+   * @returns {String[]} The array of suggestions.
+   */
+
+  suggest: function(word, limit) {
+    return this.suggestDetailed(word, limit).map(function(suggestion) {
+      return suggestion.word;
+    });
+  },
+
+  /**
+   * Same as suggest(), but each suggestion comes with how it was found and how
+   * good it is, as { word, score, distance, source }:
+   *
+   *   - score: the confidence in the suggestion, from 0 to 1.
+   *   - distance: the edit distance to the misspelling (0.5 for MAP swaps).
+   *   - source: "rep" (REP table), "map" (MAP groups), "case" (capitalization
+   *     only), "edit" (dictionary word), "compound" (compound word) or
+   *     "phonetic" (a word that sounds like the misspelling).
+   *
+   * The score combines the edit distance, keyboard and phonetic closeness, and
+   * the frequency of the word when the dictionary ships a frequency list
+   * (see loadFrequencies()).
+   *
+   * @param {String} word The misspelling.
+   * @param {Number} [limit=5] The maximum number of suggestions to return.
+   * @returns {Object[]} The suggestions, best first.
+   */
 
-      sortedCorrections.sort(sorter).reverse();
+  suggestDetailed: function(word, limit) {
+    if (!limit) {
+      limit = 5;
+    }
+
+    if (this.check(word)) {
+      return [];
+    }
+
+    // Suggestions are made in the dictionary's own characters (ICONV, IGNORE)
+    // and converted back with OCONV.
+    word = this.removeIgnoredCharacters(convert(this.normalize(word), this.inputConversions));
 
+    var self = this;
+    var locale = this.normalization.locale;
+    var lowercaseWord = letterCase.lowerCase(word, locale);
+
+    if (!self.alphabet) {
+      self.alphabet = this.suggestionAlphabet();
+    }
+
+    function edits1(singleWord) {
       var rv = [];
 
-      for (var counter1 = 0, length = Math.min(limit, sortedCorrections.length); counter1 < length; counter1++) {
-        if (!self.hasFlag(sortedCorrections[counter1][0], "NOSUGGEST")) {
-          rv.push(sortedCorrections[counter1][0]);
+      for (var wordCounter = 0, wordLen = singleWord.length; wordCounter <= wordLen; wordCounter++) {
+        var head = singleWord.substring(0, wordCounter);
+        var tail = singleWord.substring(wordCounter);
+
+        if (tail) {
+          // Deletion
+          rv.push(head + tail.substring(1));
+        }
+
+        if (tail.length > 1) {
+          // Transposition
+          rv.push(head + tail[1] + tail[0] + tail.substring(2));
+        }
+
+        for (var j = 0, alphabetLen = self.alphabet.length; j < alphabetLen; j++) {
+          if (tail) {
+            // Substitution
+            rv.push(head + self.alphabet[j] + tail.substring(1));
+          }
+
+          // Insertion
+          rv.push(head + self.alphabet[j] + tail);
         }
       }
 
       return rv;
     }
 
-    return correct(word);
+    // REP replacements may make several words ("a lot"), each of which must be correct.
+    function isCorrect(candidate) {
+      return self.check(candidate) || (candidate.indexOf(" ") !== -1 && candidate.split(" ").every(function(part) {
+        return part !== "" && self.check(part);
+      }));
+    }
+
+    // Gives a dictionary word the capitalization of the misspelling, when check()
+    // accepts it that way: KEEPCASE words ("kHz") keep their own.
+    function recase(candidate) {
+      var recased = letterCase.matchCase(word, candidate, locale);
+
+      return recased === candidate || isCorrect(recased) ? recased : candidate;
+    }
+
+    // Whether a word that check() accepts is only accepted as a compound.
+    function isCompound(candidate) {
+      var lowercase = letterCase.lowerCase(candidate, locale);
+
+      return !self.dictionaryTable.has(candidate) &&
+        !self.dictionaryTable.has(lowercase) &&
+        !self.dictionaryTable.has(letterCase.capitalize(lowercase, locale));
+    }
+
+    var candidates = {};
+
+    function consider(candidate, distance, source) {
+      if (candidate === word) {
+        return;
+      }
+
+      if (!{}.hasOwnProperty.call(candidates, candidate) ||
+          suggester.candidateCost(candidates[candidate].distance, candidates[candidate].source) > suggester.candidateCost(distance, source)) {
+        candidates[candidate] = { word: candidate, distance: distance, source: source };
+      }
+    }
+
+    // Every replacement of the REP table, on the lowercase form of the word too.
+    var replaced = suggester.replacements(word, this.replacementTable);
+
+    if (lowercaseWord !== word) {
+      replaced = replaced.concat(suggester.replacements(lowercaseWord, this.replacementTable).map(recase));
+    }
+
+    for (var repCounter = 0, repLen = replaced.length; repCounter < repLen; repCounter++) {
+      consider(replaced[repCounter], suggester.editDistance(word, replaced[repCounter]), "rep");
+    }
+
+    var mapVariants = suggester.mapVariants(word, this.mapTable);
+
+    for (var mapCounter = 0, mapLen = mapVariants.length; mapCounter < mapLen; mapCounter++) {
+      consider(mapVariants[mapCounter], 0.5, "map");
+    }
+
+    // The search folds case one UTF-16 code unit at a time, which leaves out
+    // letters outside the BMP: it starts from the lowercase word instead.
+    var found = suggester.searchTrie(this.dictionaryTable, lowercaseWord, 2, suggester.relatedCharacters(this.mapTable));
+
+    for (var foundCounter = 0, foundLen = found.length; foundCounter < foundLen; foundCounter++) {
+      var foundDistance = found[foundCounter].distance;
+
+      consider(recase(found[foundCounter].word), foundDistance, foundDistance === 0 ? "case" : "edit");
+    }
+
+    var soundalikes = this.soundsLike(word);
+
+    for (var soundCounter = 0, soundLen = soundalikes.length; soundCounter < soundLen; soundCounter++) {
+      var soundalike = recase(soundalikes[soundCounter]);
+
+      consider(soundalike, suggester.editDistance(word, soundalike), "phonetic");
+    }
+
+    // The trie search finds every dictionary word, but not the compounds of
+    // COMPOUNDFLAG and its kin: for those, try the single edits of the word.
+    if (this.usesCompoundFlags()) {
+      var singleEdits = edits1(word);
+
+      for (var editCounter = 0, editsLen = singleEdits.length; editCounter < editsLen; editCounter++) {
+        // Inserted and substituted characters come from the lowercase alphabet.
+        var edit = letterCase.matchCase(word, singleEdits[editCounter], locale);
+
+        if (this.checkCompound(singleEdits[editCounter]) || this.checkCompound(letterCase.lowerCase(edit, locale))) {
+          consider(edit, 1, "edit");
+        }
+      }
+    }
+
+    // Compound words are not in the trie: search what the COMPOUNDRULE
+    // patterns allow ("22nd" for "22th"). Dictionaries compiled by older
+    // versions have no patterns.
+    if ("COMPOUNDMIN" in this.flags) {
+      var compounds = suggester.searchCompoundRules(this.compoundRulePatterns || [], this.compoundRuleCodes, word, 2);
+
+      for (var compoundCounter = 0, compoundsLen = compounds.length; compoundCounter < compoundsLen; compoundCounter++) {
+        consider(compounds[compoundCounter].word, compounds[compoundCounter].distance, "edit");
+      }
+    }
+
+    var accepted = [];
+
+    for (var candidate in candidates) {
+      if ({}.hasOwnProperty.call(candidates, candidate) &&
+          isCorrect(candidate) &&
+          !{}.hasOwnProperty.call(this.ignoredWords, letterCase.lowerCase(candidate, locale)) &&
+          !this.hasFlag(candidate, "NOSUGGEST")) {
+        if (candidates[candidate].source === "edit" && isCompound(candidate)) {
+          candidates[candidate].source = "compound";
+        }
+
+        accepted.push(candidates[candidate]);
+      }
+    }
+
+    var ranked = suggester.rank(word, accepted, {
+      neighbors: suggester.keyboardNeighbors(this.flags.KEY),
+      frequencies: this.frequencies
+    });
+    var rv = [];
+    var taken = {};
+
+    // Keep one capitalization of each word ("th" rather than both "th" and "Th").
+    for (var counter = 0, length = ranked.length; counter < length && rv.length < limit; counter++) {
+      var lowercaseCandidate = letterCase.lowerCase(ranked[counter].word, locale);
+
+      if (!{}.hasOwnProperty.call(taken, lowercaseCandidate)) {
+        taken[lowercaseCandidate] = true;
+        ranked[counter].word = convert(ranked[counter].word, this.outputConversions);
+        rv.push(ranked[counter]);
+      }
+    }
+
+    return rv;
+  },
+
+  /**
+   * Finds the misspelled words of a text.
+   *
+   * Hyphenated words are accepted as a whole when the dictionary knows them;
+   * otherwise each part is checked on its own. Inline directives such as
+   * "typo-check-disable-next-line" turn off parts of the text; see lib/directives.js.
+   *
+   * @param {String} text The text to check.
+   * @param {Object} [options] Available properties are:
+   *                           {String} [mode="text"]: "text" for prose, "code" for source
+   *                             code, "markdown", "html", or "auto" to pick one from fileName.
+   *                           {String} [fileName]: the name of the checked file, if any.
+   *                           {Boolean} [suggest=true]: whether to compute suggestions.
+   *                           {Number} [limit=5]: the maximum number of suggestions per word.
+   *                           {String[]} [ignoreWords]: words to accept, in any capitalization.
+   *                           {Array} [ignorePatterns]: regular expressions (or their sources)
+   *                             whose matches are not checked, e.g. hashes or UUIDs.
+   *                           {Boolean} [directives=true]: whether to honor inline directives.
+   *                           {Object} [directiveState]: for a text checked in parts, an
+   *                             object, initially empty, passed again with each part, so
+   *                             that directives carry over; see lib/directives.js.
+   *                           {Object} [range]: only check the words starting from offset
+   *                             range.start to range.end (exclusive), e.g. edited lines.
+   *                           Modes take further options; see lib/code.js.
+   * @returns {Object[]} The misspellings, as { word, start, end, line, column, suggestions }.
+   *                     Offsets are 0-based with end exclusive; line and column are 1-based.
+   */
+
+  checkText: function(text, options) {
+    options = options || {};
+
+    var self = this;
+    var locate = tokenizer.createLocator(text);
+    var tokens = modes.tokenize(text, this.flags.WORDCHARS, options);
+    var isSuppressed = directives.createFilter(text, options, locate);
+    var misspellings = [];
+    var suggestionCache = {};
+
+    function checkToken(token) {
+      return self.check(token.word.replace(/’/g, "'"));
+    }
+
+    function suggestions(word) {
+      if (options.suggest === false) {
+        return [];
+      }
+
+      if (!{}.hasOwnProperty.call(suggestionCache, word)) {
+        suggestionCache[word] = self.suggest(word.replace(/’/g, "'"), options.limit);
+      }
+
+      return suggestionCache[word].slice();
+    }
+
+    function report(token) {
+      var position = locate(token.start);
+
+      if (isSuppressed(token, position.line)) {
+        return;
+      }
+
+      misspellings.push({
+        word: token.word,
+        start: token.start,
+        end: token.end,
+        line: position.line,
+        column: position.column,
+        suggestions: suggestions(token.word)
+      });
+    }
+
+    for (var i = 0, tokensLen = tokens.length; i < tokensLen; i++) {
+      var token = tokens[i];
+
+      if (options.range && (token.start < options.range.start || token.start >= options.range.end)) {
+        continue;
+      }
+
+      if (checkToken(token)) {
+        continue;
+      }
+
+      if (token.word.indexOf("-") === -1) {
+        report(token);
+      } else {
+        tokenizer.splitHyphenated(token).forEach(function(part) {
+          if (part.word && !checkToken(part)) {
+            report(part);
+          }
+        });
+      }
+    }
+
+    return misspellings;
+  },
+
+  /**
+   * Finds the misspelled words in the comments, strings and identifiers of source code.
+   * Shorthand for checkText(source, { mode: "code", ... }).
+   *
+   * @param {String} source The program.
+   * @param {Object} [options] The checkText() options, plus "language" (see lib/code.js).
+   * @returns {Object[]} The misspellings, as returned by checkText().
+   */
+
+  checkCode: function(source, options) {
+    var codeOptions = { mode: "code" };
+
+    for (var i in options) {
+      if ({}.hasOwnProperty.call(options, i) && i !== "mode") {
+        codeOptions[i] = options[i];
+      }
+    }
+
+    return this.checkText(source, codeOptions);
+  },
+
+  /**
+   * Finds the misspellings that a change introduces: those on the lines that a
+   * unified diff (such as "git diff" output) adds, with the line numbers of the
+   * new files.
+   *
+   * @param {String} diff The unified diff.
+   * @param {Object} [options] The checkText() options, "mode" being "auto" by
+   *                           default, plus:
+   *                           {Function} [readFile]: returns the new contents of a
+   *                             file of the diff, or null. The added lines are then
+   *                             checked within the whole file (comments, Markdown
+   *                             blocks...); otherwise on their own.
+   *                           {Function} [fileOptions]: returns more checkText()
+   *                             options for a file of the diff.
+   * @returns {Object[]} The changed files, as { file, misspellings }. Misspellings
+   *                     are as returned by checkText(), with offsets into the file
+   *                     when it was read, and into their line otherwise.
+   */
+
+  checkDiff: function(diff, options) {
+    return unifiedDiff.checkDiff(this, diff, options);
+  },
+
+  /**
+   * Corrects the misspellings of a text that have an unambiguous suggestion:
+   * the only REP table replacement, or the only suggestion within one edit
+   * scoring at least options.minScore. Corrections keep the capitalization of
+   * the misspelled words (ALLCAPS, Capitalized).
+   *
+   * @param {String} text The text to correct.
+   * @param {Object} [options] The checkText() options, plus {Number} [minScore=0.7]
+   *                           (see suggestDetailed() for the scores).
+   * @returns {Object} { text, fixes, misspellings }: the corrected text, the
+   *                   corrections as { word, replacement, start, end, line, column },
+   *                   and the misspellings left, as returned by checkText().
+   */
+
+  fixText: function(text, options) {
+    options = options || {};
+
+    var self = this;
+    var suggestionCache = {};
+    var fixes = [];
+    var misspellings = [];
+
+    this.checkText(text, Object.assign({}, options, { suggest: false })).forEach(function(misspelling) {
+      var word = misspelling.word;
+
+      if (!{}.hasOwnProperty.call(suggestionCache, word)) {
+        suggestionCache[word] = self.suggestDetailed(word.replace(/’/g, "'"), Math.max(autofix.CANDIDATES, options.limit || 5));
+      }
+
+      var suggestions = suggestionCache[word];
+      var replacement = autofix.chooseFix(suggestions, options.minScore);
+
+      if (replacement) {
+        fixes.push({
+          word: word,
+          replacement: autofix.matchApostrophes(word, replacement),
+          start: misspelling.start,
+          end: misspelling.end,
+          line: misspelling.line,
+          column: misspelling.column
+        });
+      } else {
+        misspelling.suggestions = options.suggest === false ? [] : suggestions.slice(0, options.limit || 5).map(function(suggestion) {
+          return suggestion.word;
+        });
+
+        misspellings.push(misspelling);
+      }
+    });
+
+    return { text: autofix.applyFixes(text, fixes), fixes: fixes, misspellings: misspellings };
+  },
+
+  /**
+   * Creates a Node.js Transform stream that checks the text written to it, for
+   * inputs too large to hold in a string. Its readable side emits misspellings
+   * as they are found, with offsets, lines and columns counted from the start
+   * of the stream. It is also an async iterable:
+   *
+   *     fs.createReadStream("export.log").pipe(dictionary.createCheckStream())
+   *       .on("data", function(misspelling) { ... });
+   *
+   * Only the text mode is supported. Inline directives carry over from chunk to
+   * chunk, but "typo-check-ignore" only applies from its line on. See lib/stream.js.
+   *
+   * @param {Object} [options] The checkText() options "suggest", "limit",
+   *                           "ignoreWords", "ignorePatterns" and "directives",
+   *                           plus "encoding" (default: "utf8").
+   * @returns {Transform}
+   */
+
+  createCheckStream: function(options) {
+    return require("./lib/stream").createCheckStream(this, options);
+  },
+
+  /**
+   * The worker threads of an instance made by Typo.create(), or null.
+   */
+
+  pool: null,
+
+  /**
+   * Runs a method in a worker thread of Typo.create(), or right away for other
+   * instances.
+   *
+   * @param {String} method The name of the method.
+   * @param {Array} args Its arguments.
+   * @returns {Promise} Resolves to the result of the method.
+   */
+
+  runAsync: function(method, args) {
+    if (this.pool) {
+      return this.pool.run(method, args);
+    }
+
+    try {
+      return Promise.resolve(this[method].apply(this, args));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  },
+
+  /**
+   * Same as check(), without blocking when the instance comes from Typo.create().
+   *
+   * @returns {Promise} Resolves to a Boolean.
+   */
+
+  checkAsync: function(word) {
+    return this.runAsync("check", [ word ]);
+  },
+
+  /**
+   * Same as suggest(), without blocking when the instance comes from Typo.create().
+   *
+   * @returns {Promise} Resolves to the array of suggestions.
+   */
+
+  suggestAsync: function(word, limit) {
+    return this.runAsync("suggest", [ word, limit ]);
+  },
+
+  /**
+   * Same as suggestDetailed(), without blocking when the instance comes from Typo.create().
+   *
+   * @returns {Promise} Resolves to the detailed suggestions.
+   */
+
+  suggestDetailedAsync: function(word, limit) {
+    return this.runAsync("suggestDetailed", [ word, limit ]);
+  },
+
+  /**
+   * Same as checkText(), without blocking when the instance comes from Typo.create().
+   *
+   * @returns {Promise} Resolves to the misspellings.
+   */
+
+  checkTextAsync: function(text, options) {
+    return this.runAsync("checkText", [ text, options ]);
+  },
+
+  /**
+   * Same as checkCode(), without blocking when the instance comes from Typo.create().
+   *
+   * @returns {Promise} Resolves to the misspellings.
+   */
+
+  checkCodeAsync: function(source, options) {
+    return this.runAsync("checkCode", [ source, options ]);
+  },
+
+  /**
+   * Stops the worker threads of an instance made by Typo.create(). The
+   * instance itself keeps working synchronously.
+   *
+   * @returns {Promise}
+   */
+
+  close: function() {
+    var pool = this.pool;
+
+    this.pool = null;
+
+    return pool ? pool.close() : Promise.resolve();
   }
 };
 
 module.exports = Typo;
+
+// Required last: the composite checker borrows methods from Typo.prototype.
+Typo.Composite = require("./lib/composite");